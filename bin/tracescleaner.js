@@ -0,0 +1,585 @@
+#!/usr/bin/env node
+/**
+ * TracesCleaner — Command-line interface
+ * Scan, clean and reveal invisible characters and homoglyphs in files or stdin,
+ * e.g. from scripts and pre-commit hooks.
+ *
+ * Usage:
+ *   tracescleaner scan   [options] [files|dirs|globs...]
+ *   tracescleaner clean  [options] [files|dirs|globs...]
+ *   tracescleaner reveal [options] [files|dirs|globs...]
+ *
+ * Without files, input is read from stdin (and `clean` writes to stdout).
+ * Run `tracescleaner --help` for the options.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const WatermarkDetector = require('../js/watermark-detector.js');
+
+const USAGE = `Usage: tracescleaner <command> [options] [files|dirs|globs...]
+
+Commands:
+  scan     Report invisible characters, homoglyphs, whitespace anomalies,
+           typography and hidden payloads; exits with status 1 if invisible characters are found
+  clean    Clean files in place, or stdin to stdout
+  reveal   Print the text with [U+200B]-style markers for hidden characters
+
+Reads stdin when no files are given. Directories are searched recursively;
+globs support *, ?, ** and {a,b}.
+
+Clean options (as for clean()):
+  --profile <name>       Start from a cleaning profile: email, code, academic,
+                         social or strict (the other options override it)
+  --normalize <form>     Unicode normalization form: NFC (default), NFD, NFKC
+                         or NFKD
+  --fold <list>          Comma-separated compatibility kinds (ligature, width,
+                         superscript, ...) or U+XXXX codes to fold as NFKC would
+  --no-normalize         Skip Unicode normalization
+  --fix-homoglyphs       Replace look-alike characters with ASCII
+  --strip-html           Strip HTML tags and decode entities
+  --context-aware        Keep legitimate emoji and script joiners (ZWJ, ZWNJ, VS16)
+  --straight-quotes      Replace curly quotes with ' and "
+  --em-dash <style>      Replace em dashes: spaced (" - ") or double ("--")
+  --expand-ellipsis      Replace "…" with "..."
+  --plain-bullets        Replace bullets (•, ◦, ‣, ⁃) starting a line with "-"
+  --trim-trailing        Remove trailing whitespace on each line
+  --collapse-spaces      Collapse runs of spaces between words
+  --text-type <type>     prose, code or mixed (default: prose)
+  --categories <list>    Comma-separated categories to strip (default: all)
+  --rules <file>         Custom characters, allowlist and homoglyphs from a
+                         JSON profile exported by the web app
+
+Output options:
+  --json                 Machine-readable output
+  --all                  reveal: also mark newlines and tabs
+  --no-color             Disable ANSI colors (also when NO_COLOR is set)
+  -h, --help             Show this help
+  -v, --version          Show the version`;
+
+// Flags that take a value
+const VALUE_OPTIONS = new Set(['profile', 'normalize', 'fold', 'em-dash', 'text-type', 'categories', 'rules']);
+const BOOLEAN_OPTIONS = new Set([
+    'no-normalize', 'fix-homoglyphs', 'strip-html', 'context-aware', 'trim-trailing', 'collapse-spaces',
+    'straight-quotes', 'expand-ellipsis', 'plain-bullets',
+    'json', 'all', 'no-color', 'help', 'version',
+]);
+const COMMANDS = new Set(['scan', 'clean', 'reveal']);
+
+// Never searched when expanding directories and globs
+const IGNORED_DIRS = new Set(['.git', 'node_modules']);
+
+const ANSI = {
+    reset: '\x1b[0m',
+    bold: '\x1b[1m',
+    dim: '\x1b[2m',
+    invisible: '\x1b[41;97m',
+    legitimate: '\x1b[42;30m',
+    homoglyph: '\x1b[43;30m',
+    formatting: '\x1b[2;36m',
+};
+
+class UsageError extends Error {}
+
+// =========================================================================
+// Arguments
+// =========================================================================
+
+function parseArgs(argv) {
+    const options = {};
+    const inputs = [];
+    let command = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            inputs.push(...argv.slice(i + 1));
+            break;
+        }
+        if (arg === '-h') {
+            options.help = true;
+        } else if (arg === '-v') {
+            options.version = true;
+        } else if (arg.startsWith('--')) {
+            const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+            if (VALUE_OPTIONS.has(name)) {
+                const value = inlineValue !== undefined ? inlineValue : argv[++i];
+                if (value === undefined) throw new UsageError(`--${name} needs a value`);
+                options[name] = value;
+            } else if (BOOLEAN_OPTIONS.has(name) && inlineValue === undefined) {
+                options[name] = true;
+            } else {
+                throw new UsageError(`Unknown option: ${arg}`);
+            }
+        } else if (!command && !options.help && !options.version) {
+            if (!COMMANDS.has(arg)) throw new UsageError(`Unknown command: ${arg}`);
+            command = arg;
+        } else {
+            inputs.push(arg);
+        }
+    }
+
+    return { command, options, inputs };
+}
+
+// Apply a rules profile (see WatermarkDetector.getRules())
+function loadRules(file) {
+    let rules;
+    try {
+        rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new UsageError(`--rules: cannot read ${file}: ${err.message}`);
+    }
+    try {
+        WatermarkDetector.setRules(rules);
+    } catch (err) {
+        throw new UsageError(`--rules: ${file}: ${err.message}`);
+    }
+}
+
+// Only the options given are set, so the rest come from --profile or
+// clean()'s defaults
+function cleanOptionsFrom(options) {
+    const textType = options['text-type'];
+    if (textType !== undefined && !['prose', 'code', 'mixed'].includes(textType)) {
+        throw new UsageError(`--text-type must be prose, code or mixed, not "${textType}"`);
+    }
+
+    const profile = options.profile;
+    const profiles = WatermarkDetector.getProfiles().map(p => p.id);
+    if (profile !== undefined && !profiles.includes(profile)) {
+        throw new UsageError(`Unknown profile: ${profile} (known: ${profiles.join(', ')})`);
+    }
+
+    let normalize;
+    if (options['no-normalize']) {
+        normalize = false;
+    } else if (options.normalize !== undefined) {
+        normalize = options.normalize.toUpperCase();
+        if (!['NFC', 'NFD', 'NFKC', 'NFKD'].includes(normalize)) {
+            throw new UsageError(`--normalize must be NFC, NFD, NFKC or NFKD, not "${options.normalize}"`);
+        }
+    }
+
+    let fold;
+    if (options.fold !== undefined) {
+        fold = options.fold.split(',').map(item => item.trim()).filter(Boolean);
+        // clean() checks the items up front, even for empty text
+        try {
+            WatermarkDetector.clean('', { fold });
+        } catch (err) {
+            throw new UsageError(`--fold: ${err.message}`);
+        }
+    }
+
+    const emDash = options['em-dash'];
+    if (emDash !== undefined && !['spaced', 'double'].includes(emDash)) {
+        throw new UsageError(`--em-dash must be spaced or double, not "${emDash}"`);
+    }
+
+    const flag = name => (options[name] ? true : undefined);
+    const cleanOptions = {
+        profile,
+        normalize,
+        fold,
+        fixHomoglyphs: flag('fix-homoglyphs'),
+        stripHTML: flag('strip-html'),
+        contextAware: flag('context-aware'),
+        straightQuotes: flag('straight-quotes'),
+        emDash,
+        expandEllipsis: flag('expand-ellipsis'),
+        plainBullets: flag('plain-bullets'),
+        trimTrailing: flag('trim-trailing'),
+        collapseSpaces: flag('collapse-spaces'),
+        textType,
+    };
+
+    if (options.categories !== undefined) {
+        const known = WatermarkDetector.getCategories().map(category => category.id);
+        const categories = options.categories.split(',').map(id => id.trim()).filter(Boolean);
+        const unknown = categories.filter(id => !known.includes(id));
+        if (unknown.length > 0) {
+            throw new UsageError(`Unknown categories: ${unknown.join(', ')} (known: ${known.join(', ')})`);
+        }
+        cleanOptions.categories = categories;
+    }
+
+    return cleanOptions;
+}
+
+// =========================================================================
+// Files and globs
+// =========================================================================
+
+function hasGlob(pattern) {
+    return /[*?{]/.test(pattern);
+}
+
+/**
+ * Turn a glob into a RegExp over '/'-separated relative paths:
+ * `**` spans directories, `*` and `?` stay within one, `{a,b}` is alternation.
+ */
+function globToRegExp(glob) {
+    let source = '';
+    let braces = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+        if (ch === '*' && glob[i + 1] === '*') {
+            const slash = glob[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (ch === '*') {
+            source += '[^/]*';
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else if (ch === '{') {
+            braces++;
+            source += '(?:';
+        } else if (ch === '}' && braces > 0) {
+            braces--;
+            source += ')';
+        } else if (ch === ',' && braces > 0) {
+            source += '|';
+        } else {
+            source += ch.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function walk(dir, out) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!IGNORED_DIRS.has(entry.name)) walk(full, out);
+        } else if (entry.isFile()) {
+            out.push(full);
+        }
+    }
+    return out;
+}
+
+// Files found through directories and globs are skipped when they look binary
+function isBinary(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const buffer = Buffer.alloc(8000);
+        const length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        return buffer.subarray(0, length).includes(0);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Expand the command-line inputs into a list of files. Plain file paths are
+ * taken as given; directories and globs are searched recursively.
+ */
+function expandInputs(inputs) {
+    const files = [];
+    const seen = new Set();
+    const add = (file) => {
+        const key = path.resolve(file);
+        if (!seen.has(key)) {
+            seen.add(key);
+            files.push(file);
+        }
+    };
+
+    for (const input of inputs) {
+        if (!hasGlob(input)) {
+            if (!fs.existsSync(input)) throw new UsageError(`No such file or directory: ${input}`);
+            if (fs.statSync(input).isDirectory()) walk(input, []).filter(file => !isBinary(file)).forEach(add);
+            else add(input);
+            continue;
+        }
+
+        // Search from the deepest directory without glob characters
+        const pattern = input.split(path.sep).join('/');
+        const segments = pattern.split('/');
+        const firstGlob = segments.findIndex(hasGlob);
+        const base = segments.slice(0, firstGlob).join('/') || '.';
+        const regex = globToRegExp(segments.slice(firstGlob).join('/'));
+        const matches = fs.existsSync(base) && fs.statSync(base).isDirectory()
+            ? walk(base, [])
+                .filter(file => regex.test(path.relative(base, file).split(path.sep).join('/')))
+                .filter(file => !isBinary(file))
+                .sort()
+            : [];
+        if (matches.length === 0) throw new UsageError(`No files match: ${input}`);
+        matches.forEach(add);
+    }
+
+    return files;
+}
+
+// Sources to process: files, or a single stdin pseudo-file
+function readSources(inputs) {
+    if (inputs.length === 0) return [{ name: null, text: fs.readFileSync(0, 'utf8') }];
+    return expandInputs(inputs).map(file => ({ name: file, text: fs.readFileSync(file, 'utf8') }));
+}
+
+// =========================================================================
+// Output helpers
+// =========================================================================
+
+// 1-based line/column of UTF-16 offsets, with one pass over the text
+function createLineIndex(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') starts.push(i + 1);
+    }
+    return (offset) => {
+        let lo = 0;
+        let hi = starts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (starts[mid] <= offset) lo = mid;
+            else hi = mid - 1;
+        }
+        return { line: lo + 1, column: offset - starts[lo] + 1 };
+    };
+}
+
+function createPainter(options) {
+    const enabled = !options['no-color'] && !process.env.NO_COLOR && process.stdout.isTTY;
+    return (style, str) => (enabled ? ANSI[style] + str + ANSI.reset : str);
+}
+
+// =========================================================================
+// Commands
+// =========================================================================
+
+/**
+ * Findings for one text, shaped for --json and for the text report
+ */
+function scanText(text, contextAware) {
+    const position = createLineIndex(text);
+    const summary = WatermarkDetector.scan(text, { contextAware });
+    const detection = WatermarkDetector.detect(text, { contextAware });
+    const homoglyphs = WatermarkDetector.detectHomoglyphs(text);
+
+    const invisible = [];
+    detection.chars.forEach((entry) => {
+        entry.positions.forEach((offset) => {
+            invisible.push({ offset, ...position(offset), code: entry.info.code, name: entry.info.name, category: entry.info.category });
+        });
+    });
+    invisible.sort((a, b) => a.offset - b.offset);
+
+    const homoglyphList = [];
+    homoglyphs.chars.forEach((entry) => {
+        entry.occurrences.forEach((occurrence) => {
+            homoglyphList.push({
+                offset: occurrence.offset,
+                line: occurrence.line,
+                column: occurrence.column,
+                char: entry.original,
+                code: entry.code,
+                replacement: entry.replacement,
+            });
+        });
+    });
+    homoglyphList.sort((a, b) => a.offset - b.offset);
+
+    const compatibility = [];
+    WatermarkDetector.detectCompatibility(text).chars.forEach((entry) => {
+        entry.occurrences.forEach((occurrence) => {
+            compatibility.push({
+                offset: occurrence.offset,
+                line: occurrence.line,
+                column: occurrence.column,
+                char: entry.original,
+                code: entry.code,
+                replacement: entry.replacement,
+                kind: entry.kind,
+            });
+        });
+    });
+    compatibility.sort((a, b) => a.offset - b.offset);
+
+    return {
+        invisible,
+        byCategory: summary.byCategory,
+        homoglyphs: homoglyphList,
+        mixedScript: homoglyphs.mixedScript.map(({ word, scripts, offset, line, column }) => ({ word, scripts, offset, line, column })),
+        compatibility,
+        whitespace: WatermarkDetector.detectWhitespaceAnomalies(text).issues
+            .map(({ type, description, count }) => ({ type, description, count })),
+        typography: WatermarkDetector.detectTypography(text).issues
+            .map(({ type, description, count }) => ({ type, description, count })),
+        payloads: summary.payloads,
+    };
+}
+
+function runScan(sources, options) {
+    const contextAware = Boolean(options['context-aware']);
+    const paint = createPainter(options);
+    const results = sources.map(source => ({ file: source.name, ...scanText(source.text, contextAware) }));
+    const totalInvisible = results.reduce((sum, result) => sum + result.invisible.length, 0);
+
+    if (options.json) {
+        process.stdout.write(JSON.stringify({ files: results, totalInvisible }, null, 2) + '\n');
+        return totalInvisible > 0 ? 1 : 0;
+    }
+
+    const lines = [];
+    results.forEach((result) => {
+        const findings = result.invisible.length + result.homoglyphs.length + result.mixedScript.length +
+            result.compatibility.length + result.whitespace.length + result.typography.length + result.payloads.length;
+        if (findings === 0) return;
+
+        lines.push(paint('bold', result.file || '<stdin>'));
+        result.invisible.forEach((item) => {
+            lines.push(`  ${item.line}:${item.column}\t${paint('invisible', item.code)} ${item.name}`);
+        });
+        result.homoglyphs.forEach((item) => {
+            lines.push(`  ${item.line}:${item.column}\t${paint('homoglyph', item.code)} homoglyph "${item.char}" → "${item.replacement}"`);
+        });
+        result.mixedScript.forEach((item) => {
+            lines.push(`  ${item.line}:${item.column}\tmixed-script word "${item.word}" (${item.scripts.join(' + ')})`);
+        });
+        result.compatibility.forEach((item) => {
+            lines.push(`  ${item.line}:${item.column}\t${paint('formatting', item.code)} ${item.kind} "${item.char}" → "${item.replacement}" (NFKC)`);
+        });
+        result.whitespace.forEach((issue) => {
+            lines.push(`  ${paint('dim', 'whitespace')}\t${issue.description} ×${issue.count}`);
+        });
+        result.typography.forEach((issue) => {
+            lines.push(`  ${paint('dim', 'typography')}\t${issue.description} ×${issue.count}`);
+        });
+        result.payloads.forEach((payload) => {
+            const carrier = payload.type === 'tag' ? 'tag characters' : 'variation selectors';
+            lines.push(`  ${paint('dim', 'payload')}\t${carrier}: ${JSON.stringify(payload.message)}`);
+        });
+        lines.push('');
+    });
+
+    const flaggedFiles = results.filter(result => result.invisible.length > 0).length;
+    lines.push(totalInvisible > 0
+        ? `✖ ${totalInvisible} invisible character${totalInvisible !== 1 ? 's' : ''} in ${flaggedFiles} file${flaggedFiles !== 1 ? 's' : ''}`
+        : '✔ No invisible characters found');
+    process.stdout.write(lines.join('\n') + '\n');
+
+    return totalInvisible > 0 ? 1 : 0;
+}
+
+function runClean(sources, options) {
+    const cleanOptions = cleanOptionsFrom(options);
+
+    // stdin → stdout
+    if (sources.length === 1 && sources[0].name === null) {
+        const report = WatermarkDetector.cleanWithReport(sources[0].text, cleanOptions);
+        process.stdout.write(options.json ? JSON.stringify(report, null, 2) + '\n' : report.text);
+        return 0;
+    }
+
+    const results = sources.map((source) => {
+        const report = WatermarkDetector.cleanWithReport(source.text, cleanOptions);
+        if (report.text !== source.text) fs.writeFileSync(source.name, report.text);
+        return { file: source.name, changes: report.edits.length };
+    });
+
+    if (options.json) {
+        process.stdout.write(JSON.stringify({ files: results }, null, 2) + '\n');
+    } else {
+        results
+            .filter(result => result.changes > 0)
+            .forEach(result => process.stdout.write(`cleaned ${result.file} (${result.changes} change${result.changes !== 1 ? 's' : ''})\n`));
+        const changed = results.filter(result => result.changes > 0).length;
+        process.stdout.write(`${changed} of ${results.length} file${results.length !== 1 ? 's' : ''} changed\n`);
+    }
+    return 0;
+}
+
+/**
+ * Terminal counterpart of revealHTML(): hidden characters become [U+XXXX]
+ * markers, homoglyphs are highlighted (or marked [U+XXXX→x] without colors)
+ */
+function revealText(text, options, paint, colors) {
+    const contextAware = Boolean(options['context-aware']);
+    const detection = WatermarkDetector.detect(text, { includeFormatting: Boolean(options.all), contextAware });
+    const flagged = new Set();
+    const legitimate = new Set();
+    detection.chars.forEach(entry => entry.positions.forEach(pos => flagged.add(pos)));
+    detection.legitimate.forEach(entry => entry.positions.forEach(pos => legitimate.add(pos)));
+    const homoglyphs = new Map();
+    WatermarkDetector.detectHomoglyphs(text).chars.forEach((entry) => {
+        entry.positions.forEach(pos => homoglyphs.set(pos, entry));
+    });
+
+    let out = '';
+    let offset = 0;
+    for (const ch of text) {
+        const pos = offset;
+        offset += ch.length;
+
+        if (flagged.has(pos) || legitimate.has(pos)) {
+            const info = WatermarkDetector.getCharInfo(ch);
+            const style = legitimate.has(pos) ? 'legitimate' : (info.category === 'formatting' ? 'formatting' : 'invisible');
+            out += paint(style, `[${info.code}]`);
+            // Keep the text's line structure when newlines are marked
+            if (ch === '\n') out += '\n';
+        } else if (homoglyphs.has(pos)) {
+            const entry = homoglyphs.get(pos);
+            out += colors ? paint('homoglyph', ch) : `[${entry.code}→${entry.replacement}]`;
+        } else {
+            out += ch;
+        }
+    }
+    return out;
+}
+
+function runReveal(sources, options) {
+    const paint = createPainter(options);
+    const colors = paint('bold', '') !== '';
+
+    if (options.json) {
+        const files = sources.map(source => ({ file: source.name, ...scanText(source.text, Boolean(options['context-aware'])) }));
+        process.stdout.write(JSON.stringify({ files }, null, 2) + '\n');
+        return 0;
+    }
+
+    sources.forEach((source, i) => {
+        if (sources.length > 1) process.stdout.write(`${i > 0 ? '\n' : ''}${paint('bold', `==> ${source.name} <==`)}\n`);
+        const revealed = revealText(source.text, options, paint, colors);
+        process.stdout.write(revealed.endsWith('\n') ? revealed : revealed + '\n');
+    });
+    return 0;
+}
+
+// =========================================================================
+// Main
+// =========================================================================
+
+function main(argv) {
+    const { command, options, inputs } = parseArgs(argv);
+
+    if (options.version) {
+        process.stdout.write(`${require('../package.json').version}\n`);
+        return 0;
+    }
+    if (options.help || !command) {
+        process.stdout.write(USAGE + '\n');
+        return options.help ? 0 : 2;
+    }
+
+    // Rules first: they can add categories for --categories
+    if (options.rules !== undefined) loadRules(options.rules);
+
+    // Validate clean options up front, for every command
+    cleanOptionsFrom(options);
+    const sources = readSources(inputs);
+
+    if (command === 'scan') return runScan(sources, options);
+    if (command === 'clean') return runClean(sources, options);
+    return runReveal(sources, options);
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+    process.stderr.write(`tracescleaner: ${err.message}\n`);
+    if (err instanceof UsageError) process.stderr.write('Run "tracescleaner --help" for usage.\n');
+    process.exitCode = 2;
+}
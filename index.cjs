@@ -0,0 +1,8 @@
+/**
+ * TracesCleaner — CommonJS entry point
+ * The same engine as the browser build (js/watermark-detector.js).
+ *
+ *   const { detect, clean } = require('tracescleaner');
+ */
+
+module.exports = require('./js/watermark-detector.js');
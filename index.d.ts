@@ -0,0 +1,444 @@
+/**
+ * TracesCleaner — type definitions for the detection engine
+ * (js/watermark-detector.js, exported as `tracescleaner`).
+ *
+ * Offsets are UTF-16 code unit indexes, as in String.prototype.slice();
+ * lines and columns are 1-based.
+ */
+
+// =========================================================================
+// Character registry
+// =========================================================================
+
+/** Registry category ids, as listed by getCategories() (plus 'formatting' for newlines and tabs) */
+export type CharCategory =
+    | 'formatting'
+    | 'zero-width'
+    | 'direction'
+    | 'joiner'
+    | 'math-invisible'
+    | 'bom'
+    | 'variation'
+    | 'tag'
+    | 'format'
+    | 'separator'
+    | 'annotation'
+    | 'filler'
+    | 'space'
+    | 'control'
+    | 'custom';
+
+/** A built-in category, or any other id given to registerChar(): up to 32 of a-z, 0-9 and - (the literals still autocomplete) */
+export type AnyCharCategory = CharCategory | (string & {});
+
+export interface CharInfo {
+    /** e.g. 'Zero-Width Space' */
+    name: string;
+    /** e.g. 'U+200B' */
+    code: string;
+    category: AnyCharCategory;
+}
+
+export interface Category {
+    id: AnyCharCategory;
+    label: string;
+    /** Number of registry characters in the category (0 for 'control', which is a range) */
+    count: number;
+}
+
+export interface Location {
+    offset: number;
+    length: number;
+    line: number;
+    column: number;
+    /** One-line snippet of the surrounding text */
+    context: string;
+}
+
+// =========================================================================
+// Detection
+// =========================================================================
+
+export interface DetectOptions {
+    /** Also count newlines, tabs and carriage returns */
+    includeFormatting?: boolean;
+    /** List ZWJ/ZWNJ/VS16 and tags that belong to emoji or joining scripts under `legitimate` */
+    contextAware?: boolean;
+}
+
+export interface DetectedChar {
+    info: CharInfo;
+    count: number;
+    positions: number[];
+}
+
+export interface DetectResult {
+    total: number;
+    /** Keyed by the character itself */
+    chars: Map<string, DetectedChar>;
+    legitimate: Map<string, DetectedChar>;
+}
+
+export interface LineEndings {
+    crlf: number;
+    lf: number;
+    cr: number;
+}
+
+export interface StreamDetector {
+    /** Feed the next piece of text; it may end inside a surrogate pair or a CRLF */
+    write(chunk: string): void;
+    /** Examine what is left and return the detect() result for the whole text */
+    end(): DetectResult & { lineEndings: LineEndings };
+    /** How much of the input has been examined so far */
+    readonly offset: number;
+}
+
+export interface HomoglyphEntry {
+    original: string;
+    /** Code point of `original`, e.g. 'U+0430' */
+    code: string;
+    /** The ASCII it imitates */
+    replacement: string;
+    count: number;
+    positions: number[];
+    occurrences: Location[];
+}
+
+export interface MixedScriptWord extends Location {
+    word: string;
+    scripts: string[];
+}
+
+export interface HomoglyphResult {
+    total: number;
+    chars: Map<string, HomoglyphEntry>;
+    mixedScript: MixedScriptWord[];
+}
+
+export interface CompatibilityEntry {
+    /** A character with its combining marks */
+    original: string;
+    /** e.g. 'U+FB01' (space-separated for several code points) */
+    code: string;
+    /** The NFKC form */
+    replacement: string;
+    kind: CompatibilityKind;
+    count: number;
+    positions: number[];
+    occurrences: Location[];
+}
+
+export interface CompatibilityResult {
+    total: number;
+    chars: Map<string, CompatibilityEntry>;
+}
+
+export interface WhitespaceIssue {
+    type: 'trailing-space' | 'double-space' | 'mixed-endings' | 'special-space';
+    count: number;
+    description: string;
+    positions: number[];
+    /** For mixed line endings: the line endings of the less common kind */
+    occurrences: Location[];
+}
+
+export interface WhitespaceResult {
+    total: number;
+    issues: WhitespaceIssue[];
+}
+
+export interface TypographyIssue {
+    type: 'smart-quote' | 'em-dash' | 'ellipsis' | 'bullet';
+    count: number;
+    description: string;
+    positions: number[];
+    occurrences: Location[];
+}
+
+export interface TypographyResult {
+    total: number;
+    issues: TypographyIssue[];
+    words: number;
+    /** Em dashes per 1,000 words, to one decimal place */
+    emDashesPer1000Words: number;
+}
+
+export interface Payload {
+    type: 'tag' | 'variation';
+    start: number;
+    /** Exclusive */
+    end: number;
+    /** Number of carrier characters */
+    count: number;
+    message: string;
+}
+
+export interface ZeroWidthCandidate {
+    scheme: {
+        zero: string;
+        one: string;
+        separator: string | null;
+        bitOrder: 'msb' | 'lsb';
+        label: string;
+    };
+    bits: number;
+    bytes: number[];
+    groups: string[];
+    message: string;
+    confidence: number;
+}
+
+export interface ScanResult {
+    invisible: number;
+    /** Invisible characters per registry category */
+    byCategory: Partial<Record<CharCategory, number>>;
+    homoglyphs: number;
+    mixedScript: number;
+    whitespace: number;
+    payloads: Payload[];
+}
+
+export interface CodeBlock {
+    start: number;
+    /** Exclusive; the fences are included */
+    end: number;
+}
+
+// =========================================================================
+// Cleaning
+// =========================================================================
+
+export type ProfileId = 'email' | 'code' | 'academic' | 'social' | 'strict';
+
+export type NormalizationForm = 'NFC' | 'NFD' | 'NFKC' | 'NFKD';
+
+export type CompatibilityKind =
+    | 'space'
+    | 'ligature'
+    | 'superscript'
+    | 'subscript'
+    | 'fraction'
+    | 'enclosed'
+    | 'width'
+    | 'styled'
+    | 'other';
+
+export interface CleanOptions {
+    /** Start from a named profile's options; the other options override it */
+    profile?: ProfileId;
+    /** Categories to strip (default: all of getCategories()); 'space' characters become a normal space */
+    categories?: Iterable<AnyCharCategory>;
+    /** Normalization form, true for NFC (default), false for none */
+    normalize?: boolean | NormalizationForm;
+    /**
+     * Compatibility characters to fold (as NFKC would) whatever the form:
+     * characters, "U+XXXX" codes or kinds, e.g. ['ligature', 'width']
+     */
+    fold?: Iterable<CompatibilityKind | string>;
+    fixHomoglyphs?: boolean;
+    stripHTML?: boolean;
+    /** Keep ZWJ/ZWNJ/VS16 and tag characters where they belong */
+    contextAware?: boolean;
+    /** Curly quotes to ' and " */
+    straightQuotes?: boolean;
+    /** Em dashes to ' - ' ('spaced') or '--' ('double') */
+    emDash?: 'spaced' | 'double' | false;
+    /** '…' to '...' */
+    expandEllipsis?: boolean;
+    /** Bullets (•, ◦, ‣, ⁃) starting a line to '-' */
+    plainBullets?: boolean;
+    trimTrailing?: boolean;
+    collapseSpaces?: boolean;
+    /** Where the whitespace clean-up applies (default: 'prose') */
+    textType?: 'prose' | 'code' | 'mixed';
+}
+
+export interface Profile {
+    id: ProfileId;
+    label: string;
+    description: string;
+    options: Omit<CleanOptions, 'profile'>;
+}
+
+export type EditType =
+    | 'html-tag'
+    | 'html-entity'
+    | 'invisible'
+    | 'space'
+    | 'normalize'
+    | 'homoglyph'
+    | 'typography'
+    | 'trailing-whitespace'
+    | 'space-collapse';
+
+export interface Edit {
+    type: EditType;
+    originalOffset: number;
+    outputOffset: number;
+    original: string;
+    replacement: string;
+}
+
+export interface CleanReport {
+    text: string;
+    edits: Edit[];
+}
+
+export interface DiffSegment {
+    type: 'same' | 'change';
+    original: string;
+    replacement: string;
+    originalOffset: number;
+    outputOffset: number;
+}
+
+export interface DiffResult {
+    text: string;
+    segments: DiffSegment[];
+}
+
+export interface RevealOptions extends DetectOptions {
+    /** Also highlight the homoglyphs found by detectHomoglyphs() */
+    homoglyphs?: boolean;
+    /** Where `text` starts in a larger text rendered in pieces; added to data-pos */
+    offset?: number;
+}
+
+export type Placement = 'between' | 'inside' | 'any';
+
+export interface InjectOptions {
+    zwsp?: boolean;
+    zwnj?: boolean;
+    bom?: boolean;
+    invisSep?: boolean;
+    /** Same seed, same output (default: random, returned in the result) */
+    seed?: number | string;
+    /** Chance of a character after each word, half that inside longer words (default 0.6) */
+    density?: number;
+    /** Default 'any' */
+    placement?: Placement;
+}
+
+export type EmbedMethod = 'zero-width' | 'tag' | 'variation' | 'homoglyph' | 'whitespace';
+
+export interface EmbedOptions {
+    /** Default 'zero-width' */
+    method?: EmbedMethod;
+    /** Same seed, same output (default: random, returned in the result) */
+    seed?: number | string;
+    /** Fraction of the slots that get carriers, 0-1 (default 0.5); not used by 'homoglyph' and 'whitespace' */
+    density?: number;
+    /** Default 'between'; not used by 'homoglyph' and 'whitespace' */
+    placement?: Placement;
+}
+
+export interface EmbedResult {
+    text: string;
+    /** Carrier characters added or changed */
+    count: number;
+    method: EmbedMethod;
+    seed: number | string;
+    /** Carrier offsets in the original text */
+    slots: number[];
+}
+
+// =========================================================================
+// Custom rules
+// =========================================================================
+
+/** A character, or its code as "U+XXXX" */
+export type RuleChar = string;
+
+/** Custom rules as JSON, from getRules(); characters are given as "U+XXXX" codes */
+export interface RulesProfile {
+    version?: number;
+    chars?: Array<{ code: string; name?: string; category?: AnyCharCategory }>;
+    allowed?: string[];
+    homoglyphs?: Array<{ code: string; replacement: string }>;
+}
+
+export interface AIWatermarkInfo {
+    icon: string;
+    techniques: string[];
+    effectiveness: 'full' | 'partial';
+    note: string;
+}
+
+// =========================================================================
+// API
+// =========================================================================
+
+export function detect(text: string, options?: DetectOptions): DetectResult;
+export function createDetector(options?: DetectOptions): StreamDetector;
+export function detectHomoglyphs(text: string): HomoglyphResult;
+export function detectWhitespaceAnomalies(text: string): WhitespaceResult;
+export function detectCompatibility(text: string): CompatibilityResult;
+export function detectTypography(text: string): TypographyResult;
+export function scan(text: string, options?: Pick<DetectOptions, 'contextAware'>): ScanResult;
+export function clean(text: string, options?: CleanOptions): string;
+export function cleanWithReport(text: string, options?: CleanOptions): CleanReport;
+export function diff(text: string, options?: CleanOptions): DiffResult;
+export function diffHTML(text: string, options?: CleanOptions): { html: string; changes: number };
+export function findCodeBlocks(text: string): CodeBlock[];
+export function revealHTML(text: string, options?: RevealOptions): string;
+export function decodePayloads(text: string): Payload[];
+export function decodeZeroWidthBinary(
+    detection: { chars: Map<string, { positions: number[] }> },
+    options?: { limit?: number },
+): ZeroWidthCandidate[];
+export function inject(text: string, types?: InjectOptions): { text: string; count: number; seed?: number | string };
+export function embed(text: string, message: string, options?: EmbedOptions): EmbedResult;
+export function extractEmbedded(text: string, method: EmbedMethod): string[];
+export function getCharInfo(ch: string): CharInfo | null;
+export function getCategories(): Category[];
+export function getCompatibilityKinds(): Array<{ id: CompatibilityKind; label: string }>;
+export function getProfiles(): Profile[];
+export function locate(text: string, offset: number, length?: number): Location;
+export function registerChar(ch: RuleChar, info?: { name?: string; category?: AnyCharCategory }): CharInfo;
+export function allowChar(ch: RuleChar): void;
+export function registerHomoglyph(ch: RuleChar, replacement: string): void;
+export function getRules(): Required<RulesProfile>;
+export function setRules(rules: RulesProfile): void;
+export function resetRules(): void;
+
+export const INVISIBLE_CHARS: Readonly<Record<string, CharInfo>>;
+export const HOMOGLYPHS: Readonly<Record<string, string>>;
+export const AI_WATERMARK_INFO: Readonly<Record<string, AIWatermarkInfo>>;
+
+declare const WatermarkDetector: {
+    detect: typeof detect;
+    createDetector: typeof createDetector;
+    detectHomoglyphs: typeof detectHomoglyphs;
+    detectWhitespaceAnomalies: typeof detectWhitespaceAnomalies;
+    detectCompatibility: typeof detectCompatibility;
+    detectTypography: typeof detectTypography;
+    scan: typeof scan;
+    clean: typeof clean;
+    cleanWithReport: typeof cleanWithReport;
+    diff: typeof diff;
+    diffHTML: typeof diffHTML;
+    findCodeBlocks: typeof findCodeBlocks;
+    revealHTML: typeof revealHTML;
+    decodePayloads: typeof decodePayloads;
+    decodeZeroWidthBinary: typeof decodeZeroWidthBinary;
+    inject: typeof inject;
+    embed: typeof embed;
+    extractEmbedded: typeof extractEmbedded;
+    getCharInfo: typeof getCharInfo;
+    getCategories: typeof getCategories;
+    getCompatibilityKinds: typeof getCompatibilityKinds;
+    getProfiles: typeof getProfiles;
+    locate: typeof locate;
+    registerChar: typeof registerChar;
+    allowChar: typeof allowChar;
+    registerHomoglyph: typeof registerHomoglyph;
+    getRules: typeof getRules;
+    setRules: typeof setRules;
+    resetRules: typeof resetRules;
+    INVISIBLE_CHARS: typeof INVISIBLE_CHARS;
+    HOMOGLYPHS: typeof HOMOGLYPHS;
+    AI_WATERMARK_INFO: typeof AI_WATERMARK_INFO;
+};
+
+export default WatermarkDetector;
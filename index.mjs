@@ -0,0 +1,46 @@
+/**
+ * TracesCleaner — ES module entry point
+ * Re-exports the engine loaded through the CommonJS build, so both entry
+ * points share one copy of the code (and of its registries).
+ *
+ *   import { detect, clean } from 'tracescleaner';
+ */
+
+import WatermarkDetector from './index.cjs';
+
+export const {
+    detect,
+    createDetector,
+    detectHomoglyphs,
+    detectWhitespaceAnomalies,
+    detectCompatibility,
+    detectTypography,
+    scan,
+    clean,
+    cleanWithReport,
+    diff,
+    diffHTML,
+    findCodeBlocks,
+    revealHTML,
+    decodePayloads,
+    decodeZeroWidthBinary,
+    inject,
+    embed,
+    extractEmbedded,
+    getCharInfo,
+    getCategories,
+    getCompatibilityKinds,
+    getProfiles,
+    locate,
+    registerChar,
+    allowChar,
+    registerHomoglyph,
+    getRules,
+    setRules,
+    resetRules,
+    INVISIBLE_CHARS,
+    HOMOGLYPHS,
+    AI_WATERMARK_INFO,
+} = WatermarkDetector;
+
+export default WatermarkDetector;
@@ -5,6 +5,17 @@
 
 document.addEventListener('DOMContentLoaded', () => {
 
+    // Registry names can contain markup characters (e.g. "Tag '<'"),
+    // so escape anything interpolated into innerHTML
+    function escapeHTML(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
     // =========================================================================
     // Tab switching
     // =========================================================================
@@ -23,6 +34,161 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
+    // =========================================================================
+    // Detector worker — large inputs are analyzed off the main thread
+    // =========================================================================
+
+    // Inputs this long (in UTF-16 code units) go to the worker; shorter ones
+    // are analyzed inline, which is quicker than the round trip
+    const WORKER_THRESHOLD = 100000;
+
+    let detectorWorker = null;
+    let workerUnavailable = typeof Worker === 'undefined';
+    const workerJobs = new Map(); // id → { type, text, options, onProgress, resolve, reject }
+    let nextJobId = 1;
+
+    function runInline(job) {
+        try {
+            job.resolve(DetectorTasks[job.type](job.text, job.options, job.onProgress));
+        } catch (e) {
+            job.reject(e);
+        }
+    }
+
+    // A worker that fails to start (browsers refuse workers on file:// pages)
+    // hands its jobs back to the main thread
+    function abandonWorker() {
+        if (detectorWorker) detectorWorker.terminate();
+        detectorWorker = null;
+        workerUnavailable = true;
+        const jobs = Array.from(workerJobs.values());
+        workerJobs.clear();
+        jobs.forEach(runInline);
+    }
+
+    function getDetectorWorker() {
+        if (detectorWorker || workerUnavailable) return detectorWorker;
+        try {
+            detectorWorker = new Worker('js/detector-worker.js');
+        } catch (e) {
+            workerUnavailable = true;
+            return null;
+        }
+        detectorWorker.addEventListener('error', abandonWorker);
+        detectorWorker.addEventListener('message', (event) => {
+            const { id, type, result, message, ...progress } = event.data;
+            const job = workerJobs.get(id);
+            if (!job) return;
+            if (type === 'progress') {
+                if (job.onProgress) job.onProgress(progress);
+                return;
+            }
+            workerJobs.delete(id);
+            if (type === 'result') job.resolve(result);
+            else job.reject(new Error(message));
+        });
+        return detectorWorker;
+    }
+
+    /**
+     * Run one of DetectorTasks ('count' or 'analyze') — in the worker for
+     * large inputs, inline otherwise.
+     * @param {function({ phase: string, done: number, total: number }): void} [onProgress]
+     * @returns {Promise<object>}
+     */
+    function runDetectorTask(type, text, options, onProgress) {
+        return new Promise((resolve, reject) => {
+            const job = { type, text, options, onProgress, resolve, reject };
+            const worker = text.length >= WORKER_THRESHOLD ? getDetectorWorker() : null;
+            if (!worker) {
+                runInline(job);
+                return;
+            }
+            const id = nextJobId++;
+            workerJobs.set(id, job);
+            // Custom rules live in the page; the worker applies them per job
+            worker.postMessage({ id, type, text, options, rules: WatermarkDetector.getRules() });
+        });
+    }
+
+    // =========================================================================
+    // Annotated views — large texts are rendered a segment at a time, as each
+    // segment scrolls into view, instead of as one huge HTML string
+    // =========================================================================
+    const ANNOTATED_SEGMENT = 20000;
+    const annotatedViews = new WeakMap(); // container → { text, options, observer }
+
+    // Segment ends: just after a line break past ANNOTATED_SEGMENT code units,
+    // so emoji sequences and words stay whole (long lines are cut anyway,
+    // never inside a surrogate pair)
+    function segmentBounds(text) {
+        const bounds = [];
+        let start = 0;
+        while (start < text.length) {
+            let end = text.indexOf('\n', start + ANNOTATED_SEGMENT) + 1;
+            if (end === 0 || end - start > 2 * ANNOTATED_SEGMENT) {
+                end = Math.min(start + ANNOTATED_SEGMENT, text.length);
+                const last = text.charCodeAt(end - 1);
+                if (last >= 0xD800 && last <= 0xDBFF) end++;
+            }
+            bounds.push([start, end]);
+            start = end;
+        }
+        return bounds;
+    }
+
+    function renderSegment(container, segment) {
+        const view = annotatedViews.get(container);
+        if (!view || segment.classList.contains('is-rendered')) return;
+        const start = Number(segment.dataset.start);
+        const end = Number(segment.dataset.end);
+        segment.innerHTML = WatermarkDetector.revealHTML(view.text.slice(start, end), { ...view.options, offset: start });
+        segment.classList.add('is-rendered');
+        if (view.observer) view.observer.unobserve(segment);
+    }
+
+    /**
+     * Show `text` annotated with revealHTML(). Segments not yet on screen hold
+     * their plain text, so the view scrolls and sizes the same either way.
+     */
+    function renderAnnotated(container, text, options) {
+        const previous = annotatedViews.get(container);
+        if (previous && previous.observer) previous.observer.disconnect();
+
+        if (text.length <= ANNOTATED_SEGMENT || typeof IntersectionObserver === 'undefined') {
+            annotatedViews.delete(container);
+            container.innerHTML = WatermarkDetector.revealHTML(text, options);
+            return;
+        }
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach((entry) => {
+                if (entry.isIntersecting) renderSegment(container, entry.target);
+            });
+        }, { root: container, rootMargin: '400px 0px' });
+        annotatedViews.set(container, { text, options, observer });
+
+        const fragment = document.createDocumentFragment();
+        segmentBounds(text).forEach(([start, end]) => {
+            const segment = document.createElement('span');
+            segment.className = 'annotated-segment';
+            segment.dataset.start = start;
+            segment.dataset.end = end;
+            segment.textContent = text.slice(start, end);
+            fragment.appendChild(segment);
+            observer.observe(segment);
+        });
+        container.replaceChildren(fragment);
+    }
+
+    // The annotation for the character at `pos`, rendering its segment first
+    function annotationAt(container, pos) {
+        const segment = Array.from(container.querySelectorAll('.annotated-segment'))
+            .find(seg => pos >= Number(seg.dataset.start) && pos < Number(seg.dataset.end));
+        if (segment) renderSegment(container, segment);
+        return container.querySelector(`[data-pos="${pos}"]`);
+    }
+
     // =========================================================================
     // Clean Tab
     // =========================================================================
@@ -36,8 +202,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const detectionDetails = document.getElementById('detection-details');
     const detectionList = document.getElementById('detection-list');
     const btnCopy = document.getElementById('btn-copy');
+    const btnDownloadReport = document.getElementById('btn-download-report');
     const copyStatus = document.getElementById('copy-status');
     const optInvisible = document.getElementById('opt-invisible');
+    const optContextAware = document.getElementById('opt-context-aware');
     const optNormalize = document.getElementById('opt-normalize');
     const optHomoglyphs = document.getElementById('opt-homoglyphs');
     const liveCount = document.getElementById('live-count');
@@ -45,58 +213,362 @@ document.addEventListener('DOMContentLoaded', () => {
     const annotatedText = document.getElementById('annotated-text');
     const annotatedCount = document.getElementById('annotated-count');
     const btnCopyClean = document.getElementById('btn-copy-clean');
+    const diffResult = document.getElementById('diff-result');
+    const diffRows = document.getElementById('diff-rows');
+    const diffCount = document.getElementById('diff-count');
     const badgeWhitespace = document.getElementById('badge-whitespace');
     const optStripHTML = document.getElementById('opt-strip-html');
+    const optTrimTrailing = document.getElementById('opt-trim-trailing');
+    const optCollapseSpaces = document.getElementById('opt-collapse-spaces');
+    const optStraightQuotes = document.getElementById('opt-straight-quotes');
+    const optEmDash = document.getElementById('opt-em-dash');
+    const optExpandEllipsis = document.getElementById('opt-expand-ellipsis');
+    const optPlainBullets = document.getElementById('opt-plain-bullets');
+    const badgeTypography = document.getElementById('badge-typography');
+    const optTextType = document.getElementById('opt-text-type');
+    const optCategories = document.getElementById('opt-categories');
+    const optFoldKinds = document.getElementById('opt-fold-kinds');
+    const optProfile = document.getElementById('opt-profile');
+    const profileDescription = document.getElementById('profile-description');
+    const badgeHiddenHTML = document.getElementById('badge-hidden-html');
+    const optOutputFormat = document.getElementById('opt-output-format');
+    const outputCleanLabel = document.getElementById('output-clean-label');
+
+    // Change report of the last clean, for the audit-trail download
+    let lastReport = null;
+
+    // Hidden elements, data-* attributes and comments found in pasted HTML;
+    // kept until the input is cleared
+    let htmlFindings = [];
+
+    // The last HTML paste that filled the whole input, and the formatted
+    // output of the last clean ({ source, html, plain } or null for plain text)
+    let pastedHTML = null;
+    let formattedOutput = null;
+
+    // Custom rules saved by the rules panel, loaded before the category
+    // checkboxes since they can add a category
+    const RULES_KEY = 'tracescleaner-rules';
+    try {
+        const saved = localStorage.getItem(RULES_KEY);
+        if (saved) WatermarkDetector.setRules(JSON.parse(saved));
+    } catch (e) {
+        // Unreadable rules are ignored; the panel saves over them
+    }
+
+    // One checkbox per strippable category, all checked by default; redrawn
+    // when the rules change, keeping unchecked categories unchecked
+    function renderCategoryOptions() {
+        const unchecked = new Set(Array.from(optCategories.querySelectorAll('input[data-category]:not(:checked)'))
+            .map(input => input.dataset.category));
+        optCategories.innerHTML = '';
+        WatermarkDetector.getCategories().forEach((category) => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            label.innerHTML = `
+                <input type="checkbox" data-category="${escapeHTML(category.id)}" ${unchecked.has(category.id) ? '' : 'checked'}>
+                <span class="checkmark"></span>
+                ${escapeHTML(category.label)}
+            `;
+            optCategories.appendChild(label);
+        });
+    }
+
+    renderCategoryOptions();
+
+    function getSelectedCategories() {
+        if (!optInvisible.checked) return [];
+        return Array.from(optCategories.querySelectorAll('input[data-category]:checked'))
+            .map(input => input.dataset.category);
+    }
+
+    optInvisible.addEventListener('change', () => {
+        optCategories.classList.toggle('is-disabled', !optInvisible.checked);
+    });
+
+    // One checkbox per kind of compatibility character, for folding only
+    // some of them; ligatures and fullwidth forms checked to start with
+    WatermarkDetector.getCompatibilityKinds().forEach((kind) => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        label.innerHTML = `
+            <input type="checkbox" data-kind="${kind.id}" ${kind.id === 'ligature' || kind.id === 'width' ? 'checked' : ''}>
+            <span class="checkmark"></span>
+            ${escapeHTML(kind.label)}
+        `;
+        optFoldKinds.appendChild(label);
+    });
+
+    const compatibilityKindLabels = {};
+    WatermarkDetector.getCompatibilityKinds().forEach((kind) => {
+        compatibilityKindLabels[kind.id] = kind.label;
+    });
+
+    function updateFoldKinds() {
+        optFoldKinds.classList.toggle('hidden', optNormalize.value !== 'fold');
+    }
+
+    optNormalize.addEventListener('change', updateFoldKinds);
+
+    // Live detection on input/paste — counts ALL hidden chars including
+    // newlines. Debounced, and only one count runs at a time: input typed
+    // meanwhile is counted when it finishes.
+    const LIVE_COUNT_DELAY = 150;
+    let liveCountTimer = null;
+    let liveCountRunning = false;
+    let liveCountStale = false;
+
+    // Set by a paste: run Clean once the count has found something
+    let cleanAfterCount = false;
+
+    function scheduleLiveCount() {
+        clearTimeout(liveCountTimer);
+        liveCountTimer = setTimeout(updateLiveCount, LIVE_COUNT_DELAY);
+    }
 
-    // Live detection on input/paste — counts ALL hidden chars including newlines
     function updateLiveCount() {
+        if (liveCountRunning) {
+            liveCountStale = true;
+            return;
+        }
         const text = inputClean.value;
         if (!text) {
             liveCount.classList.add('hidden');
+            cleanAfterCount = false;
             return;
         }
-        const result = WatermarkDetector.detect(text, { includeFormatting: true });
-        if (result.total > 0) {
-            liveCount.textContent = `${result.total} hidden characters found`;
+
+        liveCountRunning = true;
+        runDetectorTask('count', text, { contextAware: optContextAware.checked }, (progress) => {
+            liveCount.textContent = `Scanning… ${Math.round(progress.done / progress.total * 100)}%`;
             liveCount.classList.remove('hidden', 'is-clean');
-        } else {
-            liveCount.textContent = '✓ No hidden characters';
-            liveCount.classList.remove('hidden');
-            liveCount.classList.add('is-clean');
+        }).then((result) => {
+            if (result.total > 0) {
+                liveCount.textContent = `${result.total} hidden characters found`;
+                liveCount.classList.remove('hidden', 'is-clean');
+            } else {
+                liveCount.textContent = '✓ No hidden characters';
+                liveCount.classList.remove('hidden');
+                liveCount.classList.add('is-clean');
+            }
+            if (cleanAfterCount && text === inputClean.value) {
+                cleanAfterCount = false;
+                if (result.total > 0 || htmlFindings.length > 0) btnClean.click();
+            }
+        }, () => {
+            liveCount.classList.add('hidden');
+        }).then(() => {
+            liveCountRunning = false;
+            if (liveCountStale) {
+                liveCountStale = false;
+                updateLiveCount();
+            }
+        });
+    }
+
+    // clean() options from the Clean-tab controls
+    function getCleanOptions() {
+        return {
+            categories: getSelectedCategories(),
+            normalize: optNormalize.value === 'fold' ? 'NFC' : (optNormalize.value || false),
+            fold: optNormalize.value === 'fold'
+                ? Array.from(optFoldKinds.querySelectorAll('input[data-kind]:checked')).map(input => input.dataset.kind)
+                : undefined,
+            fixHomoglyphs: optHomoglyphs.checked,
+            stripHTML: optStripHTML.checked,
+            contextAware: optContextAware.checked,
+            straightQuotes: optStraightQuotes.checked,
+            emDash: optEmDash.value || undefined,
+            expandEllipsis: optExpandEllipsis.checked,
+            plainBullets: optPlainBullets.checked,
+            trimTrailing: optTrimTrailing.checked,
+            collapseSpaces: optCollapseSpaces.checked,
+            textType: optTextType.value,
+        };
+    }
+
+    // Cleaning profiles: choosing one sets the controls to its options (and
+    // clean()'s defaults for the rest); changing a control afterwards makes
+    // the settings Custom. The choice is remembered between sessions.
+    const PROFILE_KEY = 'tracescleaner-profile';
+    const profiles = WatermarkDetector.getProfiles();
+
+    profiles.forEach((profile) => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.label;
+        optProfile.appendChild(option);
+    });
+
+    function applyProfile(id) {
+        const profile = profiles.find(p => p.id === id);
+        profileDescription.textContent = profile ? profile.description : '';
+        if (!profile) return;
+        const options = profile.options;
+        const categories = options.categories ? new Set(options.categories) : null;
+        optInvisible.checked = true;
+        optCategories.classList.remove('is-disabled');
+        optCategories.querySelectorAll('input[data-category]').forEach((input) => {
+            input.checked = !categories || categories.has(input.dataset.category);
+        });
+        optNormalize.value = options.normalize === false ? '' : (typeof options.normalize === 'string' ? options.normalize : 'NFC');
+        updateFoldKinds();
+        optHomoglyphs.checked = Boolean(options.fixHomoglyphs);
+        optStripHTML.checked = Boolean(options.stripHTML);
+        optContextAware.checked = Boolean(options.contextAware);
+        optStraightQuotes.checked = Boolean(options.straightQuotes);
+        optEmDash.value = options.emDash || '';
+        optExpandEllipsis.checked = Boolean(options.expandEllipsis);
+        optPlainBullets.checked = Boolean(options.plainBullets);
+        optTrimTrailing.checked = Boolean(options.trimTrailing);
+        optCollapseSpaces.checked = Boolean(options.collapseSpaces);
+        optTextType.value = options.textType || 'prose';
+    }
+
+    function saveProfile() {
+        try {
+            if (optProfile.value) localStorage.setItem(PROFILE_KEY, optProfile.value);
+            else localStorage.removeItem(PROFILE_KEY);
+        } catch (e) {
+            // Not remembered, but still applied
+        }
+    }
+
+    optProfile.addEventListener('change', () => {
+        applyProfile(optProfile.value);
+        saveProfile();
+        scheduleLiveCount();
+        if (!resultsClean.classList.contains('hidden')) btnClean.click();
+    });
+
+    [optInvisible, optCategories, optNormalize, optFoldKinds, optHomoglyphs, optStripHTML, optContextAware, optStraightQuotes,
+        optEmDash, optExpandEllipsis, optPlainBullets, optTrimTrailing, optCollapseSpaces, optTextType].forEach(el => el.addEventListener('change', () => {
+        if (!optProfile.value) return;
+        optProfile.value = '';
+        applyProfile('');
+        saveProfile();
+    }));
+
+    try {
+        const saved = localStorage.getItem(PROFILE_KEY);
+        if (profiles.some(p => p.id === saved)) {
+            optProfile.value = saved;
+            applyProfile(saved);
         }
+    } catch (e) {
+        // Start from the defaults
     }
 
-    inputClean.addEventListener('input', updateLiveCount);
-    inputClean.addEventListener('paste', () => setTimeout(updateLiveCount, 50));
+    inputClean.addEventListener('input', scheduleLiveCount);
+    optContextAware.addEventListener('change', scheduleLiveCount);
+
+    inputClean.addEventListener('input', () => {
+        if (!inputClean.value) htmlFindings = [];
+    });
+
+    // Paste the text/html flavor when there is one: the plain-text flavor
+    // silently drops hidden spans, data-* attributes and comments, so parse
+    // the HTML ourselves, paste its visible text and keep what was hidden
+    inputClean.addEventListener('paste', (e) => {
+        const html = e.clipboardData && e.clipboardData.getData('text/html');
+        if (!html) return;
+
+        e.preventDefault();
+        const parsed = HTMLSanitizer.parse(html);
+        const replacesAll = inputClean.selectionStart === 0 && inputClean.selectionEnd === inputClean.value.length;
+        inputClean.setRangeText(parsed.text, inputClean.selectionStart, inputClean.selectionEnd, 'end');
+        htmlFindings = (replacesAll ? [] : htmlFindings).concat(parsed.findings);
+        pastedHTML = replacesAll ? { html, text: parsed.text } : null;
+        inputClean.dispatchEvent(new Event('input'));
+    });
 
-    btnClean.addEventListener('click', () => {
+    // Above this size the side-by-side diff is skipped: it would repeat the
+    // whole text twice over
+    const DIFF_LIMIT = 1000000;
+    const btnCleanLabel = btnClean.innerHTML;
+
+    btnClean.addEventListener('click', async () => {
         const text = inputClean.value;
         if (!text.trim()) return;
 
-        // Detect — full detection (with formatting chars like newlines)
-        const fullResult = WatermarkDetector.detect(text, { includeFormatting: true });
-        // Detect — watermark-only (without formatting chars)
-        const invisResult = WatermarkDetector.detect(text, { includeFormatting: false });
-        const homoResult = WatermarkDetector.detectHomoglyphs(text);
-        const wsResult = WatermarkDetector.detectWhitespaceAnomalies(text);
+        const contextAware = optContextAware.checked;
+        const cleanOptions = getCleanOptions();
+
+        // One pass over the text: hidden characters (with and without
+        // formatting chars like newlines), homoglyphs, whitespace, clean, diff
+        btnClean.disabled = true;
+        let analysis;
+        try {
+            analysis = await runDetectorTask('analyze', text, {
+                contextAware,
+                clean: cleanOptions,
+                diff: text.length <= DIFF_LIMIT,
+                statistical: getStatisticalOptions(),
+            }, (progress) => {
+                const percent = Math.round(progress.done / progress.total * 100);
+                btnClean.innerHTML = `<span class="btn-icon">⏳</span> ${escapeHTML(progress.phase)}… ${percent}%`;
+            });
+        } catch (e) {
+            liveCount.textContent = `Analysis failed: ${e.message}`;
+            liveCount.classList.remove('hidden', 'is-clean');
+            return;
+        } finally {
+            btnClean.disabled = false;
+            btnClean.innerHTML = btnCleanLabel;
+        }
+        const {
+            detection: fullResult,
+            invisible: invisResult,
+            homoglyphs: homoResult,
+            whitespace: wsResult,
+            compatibility: compatResult,
+            typography: typoResult,
+            report,
+            diff,
+        } = analysis;
 
         // Clean (only strips actual watermark chars, not newlines)
-        const cleaned = WatermarkDetector.clean(text, {
-            normalize: optNormalize.checked,
-            fixHomoglyphs: optHomoglyphs.checked,
-            stripHTML: optStripHTML.checked,
-        });
+        const cleaned = report.text;
+        lastReport = {
+            generatedAt: new Date().toISOString(),
+            options: cleanOptions,
+            originalLength: text.length,
+            cleanedLength: cleaned.length,
+            edits: report.edits,
+            htmlFindings,
+        };
 
         // Show results
         resultsClean.classList.remove('hidden');
-        outputClean.value = cleaned;
+        formattedOutput = formatOutput(text, cleaned, cleanOptions);
+        outputClean.value = formattedOutput ? formattedOutput.source : cleaned;
+        outputCleanLabel.textContent = {
+            text: 'Cleaned text:',
+            html: 'Cleaned HTML:',
+            markdown: 'Cleaned Markdown:',
+        }[optOutputFormat.value];
 
         // Show annotated view with ALL hidden chars (like CleanPaste)
         annotatedResult.classList.remove('hidden');
-        annotatedText.innerHTML = WatermarkDetector.revealHTML(text, { includeFormatting: true });
+        renderAnnotated(annotatedText, text, { includeFormatting: true, contextAware, homoglyphs: true });
         annotatedCount.textContent = `${fullResult.total} hidden characters found`;
         annotatedCount.className = fullResult.total > 0 ? 'badge badge-danger' : 'badge badge-success';
 
+        // Side-by-side diff of original vs cleaned
+        if (diff) {
+            diffResult.classList.toggle('hidden', diff.changes === 0);
+            diffRows.innerHTML = diff.html;
+            diffCount.textContent = `${diff.changes} change${diff.changes !== 1 ? 's' : ''}`;
+        } else {
+            diffResult.classList.remove('hidden');
+            diffRows.innerHTML = '';
+            diffCount.textContent = `${report.edits.length} edits — too large to show here, download the report`;
+        }
+
+        // Green-list watermark test, scored on the original text
+        statisticalText = text;
+        renderStatistical(analysis.statistical);
+
         // Update badges
         if (invisResult.total > 0) {
             badgeInvisible.classList.remove('hidden');
@@ -119,14 +591,31 @@ document.addEventListener('DOMContentLoaded', () => {
             badgeWhitespace.classList.add('hidden');
         }
 
-        if (invisResult.total === 0 && homoResult.total === 0 && wsResult.total === 0) {
+        // Typography is reported but, being ordinary text, never makes it unclean
+        if (typoResult.total > 0) {
+            badgeTypography.classList.remove('hidden');
+            badgeTypography.querySelector('.badge-count').textContent = typoResult.total;
+        } else {
+            badgeTypography.classList.add('hidden');
+        }
+
+        if (htmlFindings.length > 0) {
+            badgeHiddenHTML.classList.remove('hidden');
+            badgeHiddenHTML.querySelector('.badge-count').textContent = htmlFindings.length;
+        } else {
+            badgeHiddenHTML.classList.add('hidden');
+        }
+
+        if (invisResult.total === 0 && homoResult.total === 0 && wsResult.total === 0 && htmlFindings.length === 0) {
             badgeCleanEl.classList.remove('hidden');
         } else {
             badgeCleanEl.classList.add('hidden');
         }
 
         // Detection details
-        if (invisResult.total > 0 || homoResult.total > 0 || wsResult.total > 0) {
+        if (invisResult.total > 0 || invisResult.legitimate.size > 0 || homoResult.total > 0 ||
+            homoResult.mixedScript.length > 0 || wsResult.total > 0 || compatResult.total > 0 || typoResult.total > 0 ||
+            htmlFindings.length > 0) {
             detectionDetails.classList.remove('hidden');
             detectionList.innerHTML = '';
 
@@ -137,7 +626,23 @@ document.addEventListener('DOMContentLoaded', () => {
                 el.innerHTML = `
                     <div class="detection-item-name">
                         <span>🔴</span>
-                        <span>${entry.info.name}</span>
+                        <span>${escapeHTML(entry.info.name)}</span>
+                        <span class="detection-item-code">${entry.info.code}</span>
+                    </div>
+                    <span class="detection-item-count">×${entry.count}</span>
+                `;
+                enableOccurrenceCycling(el, entry.positions, text);
+                detectionList.appendChild(el);
+            });
+
+            // Legitimate joiners / selectors that were kept
+            invisResult.legitimate.forEach((entry) => {
+                const el = document.createElement('div');
+                el.className = 'detection-item detection-item-legitimate';
+                el.innerHTML = `
+                    <div class="detection-item-name">
+                        <span>🟢</span>
+                        <span>${escapeHTML(entry.info.name)} (legitimate, kept)</span>
                         <span class="detection-item-code">${entry.info.code}</span>
                     </div>
                     <span class="detection-item-count">×${entry.count}</span>
@@ -152,11 +657,28 @@ document.addEventListener('DOMContentLoaded', () => {
                 el.innerHTML = `
                     <div class="detection-item-name">
                         <span>🟡</span>
-                        <span>Homoglyph: "${ch}" → "${entry.replacement}"</span>
-                        <span class="detection-item-code">${entry.code}</span>
+                        <span>Homoglyph: "${escapeHTML(ch)}" → "${escapeHTML(entry.replacement)}"</span>
+                        <span class="detection-item-code">${escapeHTML(entry.code)}</span>
                     </div>
                     <span class="detection-item-count">×${entry.count}</span>
                 `;
+                enableOccurrenceCycling(el, entry.positions, text);
+                detectionList.appendChild(el);
+            });
+
+            // Words that mix scripts without being a plain substitution
+            homoResult.mixedScript.forEach((mixed) => {
+                const el = document.createElement('div');
+                el.className = 'detection-item';
+                el.innerHTML = `
+                    <div class="detection-item-name">
+                        <span>🟣</span>
+                        <span>Mixed-script word: "${escapeHTML(mixed.word)}"</span>
+                        <span class="detection-item-code">${mixed.scripts.join(' + ')}</span>
+                    </div>
+                    <span class="detection-item-count">×1</span>
+                `;
+                enableOccurrenceCycling(el, [mixed.offset], text);
                 detectionList.appendChild(el);
             });
 
@@ -167,10 +689,58 @@ document.addEventListener('DOMContentLoaded', () => {
                 el.innerHTML = `
                     <div class="detection-item-name">
                         <span>🔵</span>
-                        <span>${issue.description}</span>
+                        <span>${escapeHTML(issue.description)}</span>
+                    </div>
+                    <span class="detection-item-count">×${issue.count}</span>
+                `;
+                enableOccurrenceCycling(el, issue.positions, text);
+                detectionList.appendChild(el);
+            });
+
+            // Compatibility characters: kept by NFC, folded by NFKC or the fold option
+            compatResult.chars.forEach((entry) => {
+                const el = document.createElement('div');
+                el.className = 'detection-item';
+                el.innerHTML = `
+                    <div class="detection-item-name">
+                        <span>⚪</span>
+                        <span>Compatibility character: "${escapeHTML(entry.original)}" → "${escapeHTML(entry.replacement)}"</span>
+                        <span class="detection-item-code">${entry.code} · ${escapeHTML(compatibilityKindLabels[entry.kind])}</span>
+                    </div>
+                    <span class="detection-item-count">×${entry.count}</span>
+                `;
+                enableOccurrenceCycling(el, entry.positions, text);
+                detectionList.appendChild(el);
+            });
+
+            // Typography: curly quotes, em dashes (with their rate), ellipses, bullets
+            typoResult.issues.forEach((issue) => {
+                const el = document.createElement('div');
+                el.className = 'detection-item';
+                el.innerHTML = `
+                    <div class="detection-item-name">
+                        <span>🟤</span>
+                        <span>${escapeHTML(issue.description)}</span>
                     </div>
                     <span class="detection-item-count">×${issue.count}</span>
                 `;
+                enableOccurrenceCycling(el, issue.positions, text);
+                detectionList.appendChild(el);
+            });
+
+            // Hidden content from pasted HTML (not part of the text itself)
+            htmlFindings.forEach((finding) => {
+                const el = document.createElement('div');
+                el.className = 'detection-item';
+                el.innerHTML = `
+                    <div class="detection-item-name">
+                        <span>🟠</span>
+                        <span>${escapeHTML(finding.description)}</span>
+                        ${finding.tag ? `<span class="detection-item-code">&lt;${escapeHTML(finding.tag)}&gt;</span>` : ''}
+                    </div>
+                    <span class="detection-item-count">×1</span>
+                    <div class="detection-item-context">${escapeHTML(finding.content || '(empty)')}</div>
+                `;
                 detectionList.appendChild(el);
             });
         } else {
@@ -183,9 +753,96 @@ document.addEventListener('DOMContentLoaded', () => {
         resultsClean.style.animation = 'fadeIn 0.3s ease';
     });
 
+    // Clicking a detection item jumps to its next occurrence in the
+    // annotated view and the diff, cycling through all of them, and shows
+    // where it is (line:column and surrounding text)
+    function enableOccurrenceCycling(el, positions, text) {
+        if (!positions || positions.length === 0) return;
+        let next = 0;
+        const context = document.createElement('div');
+        context.className = 'detection-item-context hidden';
+        el.appendChild(context);
+        el.classList.add('is-clickable');
+        el.title = 'Click to jump to the next occurrence';
+        el.addEventListener('click', () => {
+            const pos = positions[next];
+            next = (next + 1) % positions.length;
+            el.querySelector('.detection-item-count').textContent =
+                `${next === 0 ? positions.length : next}/${positions.length}`;
+
+            const location = WatermarkDetector.locate(text, pos);
+            context.textContent = `Line ${location.line}, col ${location.column}: ${location.context}`;
+            context.classList.remove('hidden');
+
+            focusOccurrence(pos);
+        });
+    }
+
+    function focusOccurrence(pos) {
+        const targets = [
+            annotationAt(annotatedText, pos),
+            Array.from(diffRows.querySelectorAll('.diff-del'))
+                .find(del => pos >= Number(del.dataset.pos) && pos < Number(del.dataset.end)),
+        ];
+        targets.forEach((target) => {
+            if (!target) return;
+            target.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+            target.classList.remove('is-focused');
+            target.offsetHeight; // restart the highlight animation
+            target.classList.add('is-focused');
+        });
+    }
+
+    // Formatted output keeps headings, lists and links. While the input is
+    // still exactly what an HTML paste produced, the pasted HTML is sanitized
+    // and its text nodes cleaned; otherwise the input is taken as Markdown.
+    function formatOutput(text, cleaned, cleanOptions) {
+        const format = optOutputFormat.value;
+        if (format === 'text') return null;
+
+        let html;
+        let markdown;
+        if (pastedHTML && pastedHTML.text === text) {
+            // Whitespace clean-up works on whole lines, not on text nodes
+            const textNodeOptions = { ...cleanOptions, stripHTML: false, trimTrailing: false, collapseSpaces: false };
+            html = HTMLSanitizer.sanitize(pastedHTML.html, str => WatermarkDetector.clean(str, textNodeOptions));
+            markdown = Markdown.fromHTML(html);
+        } else {
+            markdown = cleaned;
+            html = Markdown.toHTML(cleaned);
+        }
+
+        return format === 'html'
+            ? { source: html, html, plain: cleaned }
+            : { source: markdown, html, plain: markdown };
+    }
+
+    optOutputFormat.addEventListener('change', () => {
+        if (!resultsClean.classList.contains('hidden')) btnClean.click();
+    });
+
+    // Formatted output goes on the clipboard as both text/html and text/plain,
+    // so rich editors keep the formatting
+    function copyOutput() {
+        if (!formattedOutput || typeof ClipboardItem === 'undefined') {
+            return navigator.clipboard.writeText(outputClean.value);
+        }
+        return navigator.clipboard.write([new ClipboardItem({
+            'text/html': new Blob([formattedOutput.html], { type: 'text/html' }),
+            'text/plain': new Blob([formattedOutput.plain], { type: 'text/plain' }),
+        })]);
+    }
+
+    // Download the audit trail of the last clean as JSON
+    btnDownloadReport.addEventListener('click', () => {
+        if (!lastReport) return;
+        const blob = new Blob([JSON.stringify(lastReport, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `tracescleaner-report-${lastReport.generatedAt.replace(/[:.]/g, '-')}.json`);
+    });
+
     // Copy cleaned text (bottom button)
     btnCopy.addEventListener('click', () => {
-        navigator.clipboard.writeText(outputClean.value).then(() => {
+        copyOutput().then(() => {
             copyStatus.classList.remove('hidden');
             setTimeout(() => copyStatus.classList.add('hidden'), 2000);
         });
@@ -193,8 +850,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Copy clean text (annotated section inline button)
     btnCopyClean.addEventListener('click', () => {
-        const cleaned = outputClean.value;
-        navigator.clipboard.writeText(cleaned).then(() => {
+        copyOutput().then(() => {
             btnCopyClean.classList.add('copied');
             btnCopyClean.innerHTML = '<span>✓</span> Copied!';
             setTimeout(() => {
@@ -204,6 +860,465 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
+    // =========================================================================
+    // Statistical watermark test — green-list z-scores per paragraph
+    // =========================================================================
+    const statisticalResult = document.getElementById('statistical-result');
+    const statisticalVerdict = document.getElementById('statistical-verdict');
+    const statisticalRows = document.getElementById('statistical-rows');
+    const statKey = document.getElementById('stat-key');
+    const statGamma = document.getElementById('stat-gamma');
+    const statTokenizer = document.getElementById('stat-tokenizer');
+
+    // Text of the last clean, re-scored when the key, γ or tokens change
+    let statisticalText = null;
+
+    function getStatisticalOptions() {
+        const gamma = parseFloat(statGamma.value);
+        return {
+            key: statKey.value.trim() || String(StatisticalDetector.DEFAULT_KEY),
+            gamma: gamma > 0 && gamma < 1 ? gamma : StatisticalDetector.DEFAULT_GAMMA,
+            tokenizer: statTokenizer.value,
+        };
+    }
+
+    function formatPValue(p) {
+        return p < 0.001 ? p.toExponential(1) : p.toFixed(3);
+    }
+
+    function renderStatistical(result) {
+        const { overall } = result;
+        statisticalResult.classList.remove('hidden');
+        if (!overall.reliable) {
+            statisticalVerdict.textContent = `Too short to tell (${overall.tokens} tokens)`;
+            statisticalVerdict.className = 'badge badge-info';
+        } else if (overall.watermarked) {
+            statisticalVerdict.textContent = `Watermark likely — z = ${overall.z.toFixed(2)}`;
+            statisticalVerdict.className = 'badge badge-danger';
+        } else {
+            statisticalVerdict.textContent = `No watermark signal — z = ${overall.z.toFixed(2)}`;
+            statisticalVerdict.className = 'badge badge-success';
+        }
+
+        statisticalRows.innerHTML = result.paragraphs.map((paragraph, i) => {
+            const excerpt = statisticalText.slice(paragraph.start, Math.min(paragraph.end, paragraph.start + 120));
+            const classes = ['stat-row'];
+            if (paragraph.watermarked) classes.push('is-watermarked');
+            if (!paragraph.reliable) classes.push('is-unreliable');
+            // Bar length: the z-score relative to the threshold, capped at twice it
+            const bar = Math.max(0, Math.min(paragraph.z / StatisticalDetector.Z_THRESHOLD, 2)) * 3;
+            return `
+                <tr class="${classes.join(' ')}">
+                    <td><div class="stat-excerpt" title="${escapeHTML(excerpt)}">¶${i + 1} ${escapeHTML(excerpt)}</div></td>
+                    <td>${paragraph.tokens}</td>
+                    <td>${paragraph.green} (${paragraph.tokens ? Math.round(paragraph.green / paragraph.tokens * 100) : 0}%)</td>
+                    <td><span class="stat-bar" style="width: ${bar}rem"></span>${paragraph.z.toFixed(2)}</td>
+                    <td>${formatPValue(paragraph.p)}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    async function rescoreStatistical() {
+        if (statisticalText === null) return;
+        const text = statisticalText;
+        try {
+            const result = await runDetectorTask('statistical', text, getStatisticalOptions());
+            if (text === statisticalText) renderStatistical(result);
+        } catch (e) {
+            statisticalVerdict.textContent = `Test failed: ${e.message}`;
+            statisticalVerdict.className = 'badge badge-warning';
+        }
+    }
+
+    [statKey, statGamma, statTokenizer].forEach(el => el.addEventListener('change', rescoreStatistical));
+
+    // =========================================================================
+    // Custom rules — hidden characters, allowed characters and homoglyphs of
+    // the user's own, kept in localStorage and shared as JSON profiles
+    // =========================================================================
+    const rulesCount = document.getElementById('rules-count');
+    const ruleType = document.getElementById('rule-type');
+    const ruleCharacter = document.getElementById('rule-char');
+    const ruleName = document.getElementById('rule-name');
+    const ruleNameLabel = document.getElementById('rule-name-label');
+    const ruleReplacement = document.getElementById('rule-replacement');
+    const ruleReplacementLabel = document.getElementById('rule-replacement-label');
+    const btnAddRule = document.getElementById('btn-add-rule');
+    const rulesError = document.getElementById('rules-error');
+    const rulesList = document.getElementById('rules-list');
+    const rulesFile = document.getElementById('rules-file');
+    const btnExportRules = document.getElementById('btn-export-rules');
+    const btnImportRules = document.getElementById('btn-import-rules');
+    const btnResetRules = document.getElementById('btn-reset-rules');
+
+    function showRulesError(message) {
+        rulesError.textContent = message;
+        rulesError.classList.toggle('hidden', !message);
+    }
+
+    // Printable characters are shown next to their code
+    function ruleGlyph(code) {
+        const ch = String.fromCodePoint(parseInt(code.slice(2), 16));
+        return (WatermarkDetector.getCharInfo(ch) || /[\p{C}\p{Z}]/u.test(ch)) ? '' : `<span class="rule-glyph">${escapeHTML(ch)}</span> `;
+    }
+
+    function renderRules() {
+        const rules = WatermarkDetector.getRules();
+        const items = [
+            ...rules.chars.map(rule => ({ kind: 'chars', code: rule.code, html: `
+                ${ruleGlyph(rule.code)}<code>${rule.code}</code> ${escapeHTML(rule.name)}
+                <span class="rule-kind">hidden · ${escapeHTML(categoryLabel(rule.category))}</span>` })),
+            ...rules.allowed.map(code => ({ kind: 'allowed', code, html: `
+                <code>${code}</code> <span class="rule-kind">allowed</span>` })),
+            ...rules.homoglyphs.map(rule => ({ kind: 'homoglyphs', code: rule.code, html: `
+                ${ruleGlyph(rule.code)}<code>${rule.code}</code> → ${escapeHTML(rule.replacement)}
+                <span class="rule-kind">homoglyph</span>` })),
+        ];
+        rulesCount.textContent = items.length ? `(${items.length})` : '';
+        rulesList.innerHTML = items.map(item => `
+            <li class="rule-item">
+                <span>${item.html}</span>
+                <button class="btn-copy-inline" type="button" data-kind="${item.kind}" data-code="${item.code}">Remove</button>
+            </li>
+        `).join('');
+    }
+
+    // Save the rules and re-run whatever they affect
+    function rulesChanged() {
+        const rules = WatermarkDetector.getRules();
+        try {
+            if (rules.chars.length || rules.allowed.length || rules.homoglyphs.length) {
+                localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+            } else {
+                localStorage.removeItem(RULES_KEY);
+            }
+        } catch (e) {
+            showRulesError('Rules apply to this session only: the browser would not save them.');
+        }
+        renderRules();
+        renderCategoryOptions();
+        scheduleLiveCount();
+        if (!resultsClean.classList.contains('hidden')) btnClean.click();
+    }
+
+    ruleType.addEventListener('change', () => {
+        ruleNameLabel.classList.toggle('hidden', ruleType.value !== 'char');
+        ruleReplacementLabel.classList.toggle('hidden', ruleType.value !== 'homoglyph');
+    });
+
+    btnAddRule.addEventListener('click', () => {
+        try {
+            if (ruleType.value === 'char') {
+                WatermarkDetector.registerChar(ruleCharacter.value, { name: ruleName.value.trim() || undefined });
+            } else if (ruleType.value === 'allow') {
+                WatermarkDetector.allowChar(ruleCharacter.value);
+            } else {
+                WatermarkDetector.registerHomoglyph(ruleCharacter.value, ruleReplacement.value);
+            }
+        } catch (e) {
+            showRulesError(e.message);
+            return;
+        }
+        showRulesError('');
+        ruleCharacter.value = '';
+        ruleName.value = '';
+        ruleReplacement.value = '';
+        rulesChanged();
+    });
+
+    rulesList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-kind]');
+        if (!button) return;
+        const rules = WatermarkDetector.getRules();
+        const { kind, code } = button.dataset;
+        rules[kind] = rules[kind].filter(rule => (typeof rule === 'string' ? rule : rule.code) !== code);
+        WatermarkDetector.setRules(rules);
+        showRulesError('');
+        rulesChanged();
+    });
+
+    btnExportRules.addEventListener('click', () => {
+        const json = JSON.stringify(WatermarkDetector.getRules(), null, 2) + '\n';
+        downloadBlob(new Blob([json], { type: 'application/json' }), 'tracescleaner-rules.json');
+    });
+
+    btnImportRules.addEventListener('click', () => rulesFile.click());
+
+    rulesFile.addEventListener('change', async () => {
+        const file = rulesFile.files[0];
+        rulesFile.value = '';
+        if (!file) return;
+        try {
+            WatermarkDetector.setRules(JSON.parse(await file.text()));
+        } catch (e) {
+            showRulesError(`Could not import ${file.name}: ${e.message}`);
+            return;
+        }
+        showRulesError('');
+        rulesChanged();
+    });
+
+    btnResetRules.addEventListener('click', () => {
+        WatermarkDetector.resetRules();
+        showRulesError('');
+        rulesChanged();
+    });
+
+    renderRules();
+
+    // =========================================================================
+    // Files — batch scan of dropped/picked files and folders, cleaned copies
+    // downloadable one by one or all together as a ZIP
+    // =========================================================================
+    const fileDrop = document.getElementById('file-drop');
+    const fileInput = document.getElementById('file-input');
+    const folderInput = document.getElementById('folder-input');
+    const btnChooseFile = document.getElementById('btn-choose-file');
+    const btnChooseFolder = document.getElementById('btn-choose-folder');
+    const fileResults = document.getElementById('file-results');
+    const batchStatus = document.getElementById('batch-status');
+    const btnDownloadZip = document.getElementById('btn-download-zip');
+    const batchTable = document.getElementById('batch-table');
+    const batchRows = document.getElementById('batch-rows');
+
+    fileInput.accept = FileCleaner.ACCEPT;
+
+    // Looked up each time: custom rules can add categories
+    function categoryLabel(id) {
+        const category = WatermarkDetector.getCategories().find(c => c.id === id);
+        return category ? category.label : id;
+    }
+
+    // One entry per file: { path, file, result, summary, error }
+    let batch = [];
+    let batchSort = { key: 'path', descending: false };
+    const expandedPaths = new Set();
+
+    function downloadBlob(blob, name) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Files inside dropped folders, with their path relative to the drop; a
+    // file or folder that can't be read is listed with its error
+    async function collectEntries(entry, prefix, out) {
+        try {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                if (FileCleaner.kindOf(file.name)) out.push({ path: prefix + file.name, file });
+                return;
+            }
+            const reader = entry.createReader();
+            let children;
+            do {
+                children = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of children) await collectEntries(child, `${prefix}${entry.name}/`, out);
+            } while (children.length > 0);
+        } catch (err) {
+            out.push({ path: prefix + entry.name, file: null, error: `Could not read: ${err.message}` });
+        }
+    }
+
+    // Files picked from different folders can share a name (ignoring case, as
+    // most file systems do): number the repeats ("notes (2).txt") so each gets
+    // its own row and ZIP entry
+    function withUniquePaths(items) {
+        const taken = new Set();
+        return items.map((item) => {
+            const [, base, extension = ''] = /^(.*?)(\.[^./]*)?$/.exec(item.path);
+            let path = item.path;
+            for (let n = 2; taken.has(path.toLowerCase()); n++) path = `${base} (${n})${extension}`;
+            taken.add(path.toLowerCase());
+            return { ...item, path };
+        });
+    }
+
+    async function handleFiles(items) {
+        if (items.length === 0) return;
+        items = withUniquePaths(items);
+        const cleanOptions = getCleanOptions();
+        batch = [];
+        expandedPaths.clear();
+        fileResults.classList.remove('hidden');
+        btnDownloadZip.disabled = true;
+
+        for (const [i, item] of items.entries()) {
+            batchStatus.textContent = `Scanning ${i + 1}/${items.length}…`;
+            const entry = { path: item.path, file: item.file, result: null, summary: null, error: item.error || null };
+            // Folders that could not be read arrive with their error
+            if (!entry.error) {
+                try {
+                    entry.result = await FileCleaner.cleanFile(item.file, cleanOptions);
+                    entry.summary = WatermarkDetector.scan(entry.result.text, { contextAware: cleanOptions.contextAware });
+                } catch (err) {
+                    entry.error = err.message;
+                }
+            }
+            batch.push(entry);
+            renderBatch();
+        }
+
+        const flagged = batch.filter(entry => entry.result && entry.result.edits > 0).length;
+        batchStatus.textContent = `${batch.length} file${batch.length !== 1 ? 's' : ''} · ${flagged} with changes`;
+        btnDownloadZip.disabled = !batch.some(entry => entry.result);
+    }
+
+    // Sort values per column
+    const BATCH_SORT_VALUES = {
+        path: entry => entry.path.toLowerCase(),
+        invisible: entry => (entry.summary ? entry.summary.invisible : -1),
+        homoglyphs: entry => (entry.summary ? entry.summary.homoglyphs : -1),
+        whitespace: entry => (entry.summary ? entry.summary.whitespace : -1),
+        payloads: entry => (entry.summary ? entry.summary.payloads.length : -1),
+        edits: entry => (entry.result ? entry.result.edits : -1),
+    };
+
+    function renderBatch() {
+        const value = BATCH_SORT_VALUES[batchSort.key];
+        const sorted = batch.slice().sort((a, b) => {
+            const order = value(a) < value(b) ? -1 : (value(a) > value(b) ? 1 : 0);
+            return batchSort.descending ? -order : order;
+        });
+
+        batchTable.querySelectorAll('th[data-sort]').forEach((th) => {
+            th.classList.toggle('is-sorted', th.dataset.sort === batchSort.key);
+            th.classList.toggle('is-descending', th.dataset.sort === batchSort.key && batchSort.descending);
+        });
+
+        batchRows.innerHTML = '';
+        sorted.forEach((entry) => {
+            const row = document.createElement('tr');
+            row.className = 'batch-row';
+
+            if (entry.error) {
+                row.classList.add('is-error');
+                row.innerHTML = `
+                    <td class="batch-name">${escapeHTML(entry.path)}</td>
+                    <td colspan="6" class="batch-error">${escapeHTML(entry.error)}</td>
+                `;
+                batchRows.appendChild(row);
+                return;
+            }
+
+            const { summary, result } = entry;
+            const categories = Object.entries(summary.byCategory)
+                .map(([id, count]) => `<span class="batch-chip">${escapeHTML(categoryLabel(id))} ${count}</span>`)
+                .join('');
+            const expanded = expandedPaths.has(entry.path);
+            row.classList.toggle('has-findings', result.edits > 0);
+            row.classList.toggle('is-expanded', expanded);
+            row.innerHTML = `
+                <td class="batch-name"><span class="batch-toggle">${expanded ? '▾' : '▸'}</span>${escapeHTML(entry.path)}</td>
+                <td>${summary.invisible}${categories ? `<div class="batch-chips">${categories}</div>` : ''}</td>
+                <td>${summary.homoglyphs}</td>
+                <td>${summary.whitespace}</td>
+                <td>${summary.payloads.length}</td>
+                <td>${result.edits}</td>
+                <td><button class="btn-copy-inline" type="button"><span>⬇️</span> Download</button></td>
+            `;
+            row.querySelector('button').addEventListener('click', (e) => {
+                e.stopPropagation();
+                downloadBlob(result.blob, result.name);
+            });
+            row.addEventListener('click', () => {
+                if (expandedPaths.has(entry.path)) expandedPaths.delete(entry.path);
+                else expandedPaths.add(entry.path);
+                renderBatch();
+            });
+            batchRows.appendChild(row);
+
+            if (expanded) batchRows.appendChild(renderBatchDetail(entry));
+        });
+    }
+
+    // Expanded row: the annotated view of the file's text, plus decoded payloads
+    function renderBatchDetail(entry) {
+        const row = document.createElement('tr');
+        row.className = 'batch-detail';
+        const payloads = entry.summary.payloads.map(payload => `
+            <div class="payload-item">
+                <div class="payload-item-header">
+                    <span class="payload-item-type">${payload.type === 'tag' ? 'Tag characters' : 'Variation selectors'}</span>
+                    <span class="payload-item-span">chars ${payload.start}–${payload.end} · ${payload.count} carriers</span>
+                </div>
+                <div class="payload-item-message">${escapeHTML(payload.message)}</div>
+            </div>
+        `).join('');
+        row.innerHTML = `
+            <td colspan="7">
+                ${payloads ? `<div class="payload-list">${payloads}</div>` : ''}
+                <div class="revealed-text">${WatermarkDetector.revealHTML(entry.result.text, {
+                    includeFormatting: true,
+                    contextAware: optContextAware.checked,
+                    homoglyphs: true,
+                })}</div>
+            </td>
+        `;
+        return row;
+    }
+
+    batchTable.querySelectorAll('th[data-sort]').forEach((th) => {
+        th.addEventListener('click', () => {
+            const key = th.dataset.sort;
+            batchSort = {
+                key,
+                // Counts sort biggest first on the first click
+                descending: batchSort.key === key ? !batchSort.descending : key !== 'path',
+            };
+            renderBatch();
+        });
+    });
+
+    btnDownloadZip.addEventListener('click', async () => {
+        const entries = [];
+        for (const entry of batch) {
+            if (!entry.result) continue;
+            entries.push({ name: entry.path, data: new Uint8Array(await entry.result.blob.arrayBuffer()) });
+        }
+        downloadBlob(await Zip.write(entries), 'tracescleaner-cleaned.zip');
+    });
+
+    btnChooseFile.addEventListener('click', () => fileInput.click());
+    btnChooseFolder.addEventListener('click', () => folderInput.click());
+    fileInput.addEventListener('change', () => {
+        handleFiles(Array.from(fileInput.files, file => ({ path: file.name, file })));
+        fileInput.value = '';
+    });
+    folderInput.addEventListener('change', () => {
+        handleFiles(Array.from(folderInput.files)
+            .filter(file => FileCleaner.kindOf(file.name))
+            .map(file => ({ path: file.webkitRelativePath || file.name, file })));
+        folderInput.value = '';
+    });
+
+    fileDrop.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        fileDrop.classList.add('is-dragover');
+    });
+    fileDrop.addEventListener('dragleave', () => fileDrop.classList.remove('is-dragover'));
+    fileDrop.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        fileDrop.classList.remove('is-dragover');
+
+        // Folders only show up as entries; plain files are taken as dropped
+        const entries = Array.from(e.dataTransfer.items || [])
+            .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+        if (entries.some(entry => entry && entry.isDirectory)) {
+            const items = [];
+            for (const entry of entries) {
+                if (entry) await collectEntries(entry, '', items);
+            }
+            handleFiles(items);
+        } else {
+            handleFiles(Array.from(e.dataTransfer.files, file => ({ path: file.name, file })));
+        }
+    });
+
     // =========================================================================
     // Reveal Tab
     // =========================================================================
@@ -213,6 +1328,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const revealedText = document.getElementById('revealed-text');
     const charBreakdown = document.getElementById('char-breakdown');
     const revealCount = document.getElementById('reveal-count');
+    const payloadDetails = document.getElementById('payload-details');
+    const payloadList = document.getElementById('payload-list');
 
     btnReveal.addEventListener('click', () => {
         const text = inputReveal.value;
@@ -224,7 +1341,7 @@ document.addEventListener('DOMContentLoaded', () => {
         resultsReveal.classList.remove('hidden');
 
         // Revealed text with annotations
-        revealedText.innerHTML = WatermarkDetector.revealHTML(text, { includeFormatting: true });
+        renderAnnotated(revealedText, text, { includeFormatting: true });
 
         // Count
         revealCount.textContent = `${detection.total} hidden character${detection.total !== 1 ? 's' : ''} found`;
@@ -238,7 +1355,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 el.className = 'char-breakdown-item';
                 el.innerHTML = `
                     <div>
-                        <span class="char-breakdown-name">${entry.info.name}</span>
+                        <span class="char-breakdown-name">${escapeHTML(entry.info.name)}</span>
                         <span class="char-breakdown-code">${entry.info.code}</span>
                     </div>
                     <span class="char-breakdown-count">${entry.count}</span>
@@ -247,6 +1364,43 @@ document.addEventListener('DOMContentLoaded', () => {
             });
         }
 
+        // Hidden messages carried by tag characters / variation selectors,
+        // plus likely zero-width binary fingerprints
+        const payloads = WatermarkDetector.decodePayloads(text);
+        const binaryCandidates = WatermarkDetector.decodeZeroWidthBinary(detection)
+            .filter(candidate => candidate.confidence >= 0.5)
+            .slice(0, 3);
+        payloadList.innerHTML = '';
+        if (payloads.length > 0 || binaryCandidates.length > 0) {
+            payloadDetails.classList.remove('hidden');
+            payloads.forEach((payload) => {
+                const el = document.createElement('div');
+                el.className = 'payload-item';
+                el.innerHTML = `
+                    <div class="payload-item-header">
+                        <span class="payload-item-type">${payload.type === 'tag' ? 'Tag characters' : 'Variation selectors'}</span>
+                        <span class="payload-item-span">chars ${payload.start}–${payload.end} · ${payload.count} carriers</span>
+                    </div>
+                    <div class="payload-item-message">${escapeHTML(payload.message)}</div>
+                `;
+                payloadList.appendChild(el);
+            });
+            binaryCandidates.forEach((candidate) => {
+                const el = document.createElement('div');
+                el.className = 'payload-item';
+                el.innerHTML = `
+                    <div class="payload-item-header">
+                        <span class="payload-item-type">Zero-width binary (${escapeHTML(candidate.scheme.label)})</span>
+                        <span class="payload-item-span">${candidate.bits} bits · ${Math.round(candidate.confidence * 100)}% confidence</span>
+                    </div>
+                    <div class="payload-item-message">${escapeHTML(candidate.message)}</div>
+                `;
+                payloadList.appendChild(el);
+            });
+        } else {
+            payloadDetails.classList.add('hidden');
+        }
+
         resultsReveal.style.animation = 'none';
         resultsReveal.offsetHeight;
         resultsReveal.style.animation = 'fadeIn 0.3s ease';
@@ -266,21 +1420,83 @@ document.addEventListener('DOMContentLoaded', () => {
     const optZwnj = document.getElementById('opt-zwnj');
     const optBom = document.getElementById('opt-bom');
     const optInvisSep = document.getElementById('opt-invis-sep');
+    const optInjectMethod = document.getElementById('opt-inject-method');
+    const injectRandomOptions = document.getElementById('inject-random-options');
+    const injectMessageLabel = document.getElementById('inject-message-label');
+    const optInjectMessage = document.getElementById('opt-inject-message');
+    const optInjectSeed = document.getElementById('opt-inject-seed');
+    const optInjectDensity = document.getElementById('opt-inject-density');
+    const optInjectPlacement = document.getElementById('opt-inject-placement');
+    const injectVerify = document.getElementById('inject-verify');
+
+    // Homoglyph and whitespace bits use every carrier from the start of the
+    // text, so density and placement don't apply to them
+    function updateInjectOptions() {
+        const method = optInjectMethod.value;
+        injectRandomOptions.classList.toggle('hidden', method !== 'random');
+        injectMessageLabel.classList.toggle('hidden', method === 'random');
+        const positional = method !== 'homoglyph' && method !== 'whitespace';
+        optInjectDensity.disabled = !positional;
+        optInjectPlacement.disabled = !positional;
+    }
+
+    optInjectMethod.addEventListener('change', updateInjectOptions);
+    updateInjectOptions();
+
+    function getInjectSettings() {
+        const seed = optInjectSeed.value.trim();
+        const density = parseFloat(optInjectDensity.value);
+        return {
+            // Digits are a numeric seed, as in the library
+            seed: /^\d+$/.test(seed) ? Number(seed) : seed || undefined,
+            density: density > 0 && density <= 1 ? density : undefined,
+            placement: optInjectPlacement.value,
+        };
+    }
 
     btnInject.addEventListener('click', () => {
         const text = inputInject.value;
         if (!text.trim()) return;
 
-        const result = WatermarkDetector.inject(text, {
-            zwsp: optZwsp.checked,
-            zwnj: optZwnj.checked,
-            bom: optBom.checked,
-            invisSep: optInvisSep.checked,
-        });
+        const method = optInjectMethod.value;
+        const settings = getInjectSettings();
+        let result;
+        try {
+            result = method === 'random'
+                ? WatermarkDetector.inject(text, {
+                    zwsp: optZwsp.checked,
+                    zwnj: optZwnj.checked,
+                    bom: optBom.checked,
+                    invisSep: optInvisSep.checked,
+                    ...settings,
+                })
+                : WatermarkDetector.embed(text, optInjectMessage.value, { method, ...settings });
+        } catch (e) {
+            resultsInject.classList.remove('hidden');
+            outputInject.value = '';
+            injectCount.textContent = e.message;
+            injectCount.className = 'badge badge-warning';
+            injectVerify.textContent = '';
+            return;
+        }
 
         resultsInject.classList.remove('hidden');
         outputInject.value = result.text;
-        injectCount.textContent = `${result.count} characters injected`;
+        injectCount.className = 'badge badge-danger';
+        injectCount.textContent = ['homoglyph', 'whitespace'].includes(method)
+            ? `${result.count} characters changed`
+            : `${result.count} characters injected`;
+
+        // Read the message back, so what was written is what a decoder sees
+        let verify = result.seed === undefined ? '' : `Seed ${result.seed} — the same seed gives the same output.`;
+        if (method !== 'random') {
+            const messages = WatermarkDetector.extractEmbedded(result.text, method);
+            const copies = messages.length > 1 ? ` (${messages.length} copies)` : '';
+            verify += messages.length > 0 && messages.every(m => m === optInjectMessage.value)
+                ? ` Decodes back to “${messages[0]}”${copies}.`
+                : ' Does not decode back to the message.';
+        }
+        injectVerify.textContent = verify;
 
         resultsInject.style.animation = 'none';
         resultsInject.offsetHeight;
@@ -311,17 +1527,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // =========================================================================
     // Auto-detect on paste (clean tab) — auto-click Clean if watermarks found
+    // (once the live count of the pasted text is in)
     // =========================================================================
     inputClean.addEventListener('paste', () => {
-        setTimeout(() => {
-            const text = inputClean.value;
-            if (text) {
-                const detection = WatermarkDetector.detect(text, { includeFormatting: true });
-                if (detection.total > 0) {
-                    btnClean.click();
-                }
-            }
-        }, 100);
+        cleanAfterCount = true;
     });
 
     // =========================================================================
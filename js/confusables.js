@@ -0,0 +1,279 @@
+/**
+ * TracesCleaner — Unicode confusables table
+ * GENERATED by scripts/build-confusables.js — do not edit by hand.
+ * Source: confusables.json (UTS #39 skeletons), plus NFKC-folded styled letters
+ * (Unicode 16.0) and Latin small capitals.
+ * Maps 1563 look-alike characters to the ASCII they imitate.
+ */
+
+const CONFUSABLES = {
+    '\u00A0': ' ', '\u0131': 'i', '\u0132': 'IJ', '\u0133': 'ij', '\u017F': 's', '\u0184': 'b',
+    '\u018D': 'g', '\u0196': 'I', '\u01A6': 'R', '\u01A7': '2', '\u01B7': '3', '\u01BC': '5',
+    '\u01BD': 's', '\u01C0': 'l', '\u01C7': 'LJ', '\u01C8': 'Lj', '\u01C9': 'lj', '\u01CA': 'NJ',
+    '\u01CB': 'Nj', '\u01CC': 'nj', '\u01F1': 'DZ', '\u01F2': 'Dz', '\u01F3': 'dz', '\u021C': '3',
+    '\u0222': '8', '\u0223': '8', '\u0251': 'a', '\u0261': 'g', '\u0262': 'g', '\u0263': 'y',
+    '\u0269': 'i', '\u026A': 'i', '\u026F': 'w', '\u0274': 'n', '\u0280': 'r', '\u028B': 'u',
+    '\u028F': 'y', '\u0299': 'b', '\u029C': 'h', '\u029F': 'l', '\u037A': 'i', '\u037F': 'J',
+    '\u0391': 'A', '\u0392': 'B', '\u0395': 'E', '\u0396': 'Z', '\u0397': 'H', '\u0399': 'I',
+    '\u039A': 'K', '\u039C': 'M', '\u039D': 'N', '\u039F': 'O', '\u03A1': 'P', '\u03A4': 'T',
+    '\u03A5': 'Y', '\u03A7': 'X', '\u03B1': 'a', '\u03B3': 'y', '\u03B9': 'i', '\u03BD': 'v',
+    '\u03BF': 'o', '\u03C1': 'p', '\u03C3': 'o', '\u03C4': 't', '\u03C5': 'u', '\u03D2': 'Y',
+    '\u03DC': 'F', '\u03E8': '2', '\u03F1': 'p', '\u03F2': 'c', '\u03F3': 'j', '\u03F9': 'C',
+    '\u03FA': 'M', '\u0405': 'S', '\u0406': 'I', '\u0408': 'J', '\u0410': 'A', '\u0412': 'B',
+    '\u0415': 'E', '\u0417': '3', '\u041A': 'K', '\u041C': 'M', '\u041D': 'H', '\u041E': 'O',
+    '\u0420': 'P', '\u0421': 'C', '\u0422': 'T', '\u0423': 'Y', '\u0425': 'X', '\u042C': 'b',
+    '\u0430': 'a', '\u0431': '6', '\u0432': 'b', '\u0433': 'r', '\u0435': 'e', '\u043D': 'h',
+    '\u043E': 'o', '\u0440': 'p', '\u0441': 'c', '\u0442': 't', '\u0443': 'y', '\u0445': 'x',
+    '\u0455': 's', '\u0456': 'i', '\u0458': 'j', '\u0461': 'w', '\u0474': 'V', '\u0475': 'v',
+    '\u04AE': 'Y', '\u04AF': 'y', '\u04BB': 'h', '\u04BD': 'e', '\u04C0': 'I', '\u04CF': 'i',
+    '\u04E0': '3', '\u0501': 'd', '\u050C': 'G', '\u050D': 'g', '\u051B': 'q', '\u051C': 'W',
+    '\u051D': 'w', '\u054D': 'U', '\u054F': 'S', '\u0555': 'O', '\u0561': 'w', '\u0563': 'q',
+    '\u0566': 'q', '\u0570': 'h', '\u0578': 'n', '\u057C': 'n', '\u057D': 'u', '\u0581': 'g',
+    '\u0584': 'f', '\u0585': 'o', '\u05D5': 'l', '\u05D8': 'v', '\u05DF': 'l', '\u05E1': 'o',
+    '\u0627': 'l', '\u0647': 'o', '\u06BE': 'o', '\u06C1': 'o', '\u06D5': 'o', '\u07CA': 'l',
+    '\u0B20': 'O', '\u0D20': 'o', '\u101D': 'o', '\u10E7': 'y', '\u10FF': 'o', '\u1200': 'U',
+    '\u12D0': 'O', '\u13A0': 'D', '\u13A1': 'R', '\u13A2': 'T', '\u13A5': 'i', '\u13A9': 'Y',
+    '\u13AA': 'A', '\u13AB': 'J', '\u13AC': 'E', '\u13B3': 'W', '\u13B7': 'M', '\u13BB': 'H',
+    '\u13BD': 'Y', '\u13C0': 'G', '\u13C2': 'h', '\u13C3': 'Z', '\u13CE': '4', '\u13CF': 'b',
+    '\u13D2': 'R', '\u13D4': 'W', '\u13D5': 'S', '\u13D9': 'V', '\u13DA': 'S', '\u13DE': 'L',
+    '\u13DF': 'C', '\u13E2': 'P', '\u13E6': 'K', '\u13E7': 'd', '\u13EE': '6', '\u13F3': 'G',
+    '\u13F4': 'B', '\u13FB': 'g', '\u13FC': 'b', '\u142F': 'V', '\u144C': 'U', '\u146D': 'P',
+    '\u146F': 'd', '\u148D': 'J', '\u14AA': 'L', '\u14BF': '2', '\u1541': 'x', '\u157C': 'H',
+    '\u157D': 'x', '\u1587': 'R', '\u15AF': 'b', '\u15B4': 'F', '\u15C5': 'A', '\u15DE': 'D',
+    '\u15EA': 'D', '\u15F0': 'M', '\u15F7': 'B', '\u1680': ' ', '\u16B7': 'X', '\u16C1': 'I',
+    '\u16D5': 'K', '\u16D6': 'M', '\u1D00': 'a', '\u1D04': 'c', '\u1D05': 'd', '\u1D07': 'e',
+    '\u1D0A': 'j', '\u1D0B': 'k', '\u1D0D': 'm', '\u1D0F': 'o', '\u1D11': 'o', '\u1D18': 'p',
+    '\u1D1B': 't', '\u1D1C': 'u', '\u1D20': 'v', '\u1D21': 'w', '\u1D22': 'z', '\u1D26': 'r',
+    '\u1D29': 'p', '\u1D83': 'g', '\u1D8C': 'y', '\u1E9D': 'f', '\u1EFF': 'y', '\u1FBE': 'i',
+    '\u2000': ' ', '\u2001': ' ', '\u2002': ' ', '\u2003': ' ', '\u2004': ' ', '\u2005': ' ',
+    '\u2006': ' ', '\u2007': ' ', '\u2008': ' ', '\u2009': ' ', '\u200A': ' ', '\u202F': ' ',
+    '\u205F': ' ', '\u20A8': 'Rs', '\u2102': 'C', '\u210A': 'g', '\u210B': 'H', '\u210C': 'H',
+    '\u210D': 'H', '\u210E': 'h', '\u2110': 'I', '\u2111': 'I', '\u2112': 'L', '\u2113': 'l',
+    '\u2115': 'N', '\u2116': 'No', '\u2119': 'P', '\u211A': 'Q', '\u211B': 'R', '\u211C': 'R',
+    '\u211D': 'R', '\u2121': 'TEL', '\u2124': 'Z', '\u2128': 'Z', '\u212A': 'K', '\u212C': 'B',
+    '\u212D': 'C', '\u212F': 'e', '\u2130': 'E', '\u2131': 'F', '\u2133': 'M', '\u2134': 'o',
+    '\u2139': 'i', '\u213B': 'FAX', '\u213D': 'y', '\u2145': 'D', '\u2146': 'd', '\u2147': 'e',
+    '\u2148': 'i', '\u2149': 'j', '\u249C': '(a)', '\u249D': '(b)', '\u249E': '(c)', '\u249F': '(d)',
+    '\u24A0': '(e)', '\u24A1': '(f)', '\u24A2': '(g)', '\u24A3': '(h)', '\u24A4': '(i)', '\u24A5': '(j)',
+    '\u24A6': '(k)', '\u24A7': '(l)', '\u24A8': '(m)', '\u24A9': '(n)', '\u24AA': '(o)', '\u24AB': '(p)',
+    '\u24AC': '(q)', '\u24AD': '(r)', '\u24AE': '(s)', '\u24AF': '(t)', '\u24B0': '(u)', '\u24B1': '(v)',
+    '\u24B2': '(w)', '\u24B3': '(x)', '\u24B4': '(y)', '\u24B5': '(z)', '\u24B6': 'A', '\u24B7': 'B',
+    '\u24B8': 'C', '\u24B9': 'D', '\u24BA': 'E', '\u24BB': 'F', '\u24BC': 'G', '\u24BD': 'H',
+    '\u24BE': 'I', '\u24BF': 'J', '\u24C0': 'K', '\u24C1': 'L', '\u24C2': 'M', '\u24C3': 'N',
+    '\u24C4': 'O', '\u24C5': 'P', '\u24C6': 'Q', '\u24C7': 'R', '\u24C8': 'S', '\u24C9': 'T',
+    '\u24CA': 'U', '\u24CB': 'V', '\u24CC': 'W', '\u24CD': 'X', '\u24CE': 'Y', '\u24CF': 'Z',
+    '\u24D0': 'a', '\u24D1': 'b', '\u24D2': 'c', '\u24D3': 'd', '\u24D4': 'e', '\u24D5': 'f',
+    '\u24D6': 'g', '\u24D7': 'h', '\u24D8': 'i', '\u24D9': 'j', '\u24DA': 'k', '\u24DB': 'l',
+    '\u24DC': 'm', '\u24DD': 'n', '\u24DE': 'o', '\u24DF': 'p', '\u24E0': 'q', '\u24E1': 'r',
+    '\u24E2': 's', '\u24E3': 't', '\u24E4': 'u', '\u24E5': 'v', '\u24E6': 'w', '\u24E7': 'x',
+    '\u24E8': 'y', '\u24E9': 'z', '\u2C85': 'r', '\u2C8E': 'H', '\u2C92': 'I', '\u2C94': 'K',
+    '\u2C98': 'M', '\u2C9A': 'N', '\u2C9E': 'O', '\u2C9F': 'o', '\u2CA2': 'P', '\u2CA3': 'p',
+    '\u2CA4': 'C', '\u2CA5': 'c', '\u2CA6': 'T', '\u2CA8': 'Y', '\u2CAC': 'X', '\u2CCA': '9',
+    '\u2CCC': '3', '\u2CD0': 'L', '\u2CD1': 'l', '\u2CD2': '6', '\u2D38': 'V', '\u2D39': 'E',
+    '\u2D4F': 'l', '\u2D54': 'O', '\u2D55': 'Q', '\u2D5D': 'X', '\uA4D0': 'B', '\uA4D1': 'P',
+    '\uA4D2': 'd', '\uA4D3': 'D', '\uA4D4': 'T', '\uA4D6': 'G', '\uA4D7': 'K', '\uA4D9': 'J',
+    '\uA4DA': 'C', '\uA4DC': 'Z', '\uA4DD': 'F', '\uA4DF': 'M', '\uA4E0': 'N', '\uA4E1': 'L',
+    '\uA4E2': 'S', '\uA4E3': 'R', '\uA4E6': 'V', '\uA4E7': 'H', '\uA4EA': 'W', '\uA4EB': 'X',
+    '\uA4EC': 'Y', '\uA4EE': 'A', '\uA4F0': 'E', '\uA4F2': 'I', '\uA4F3': 'O', '\uA4F4': 'U',
+    '\uA644': '2', '\uA647': 'i', '\uA6DF': 'V', '\uA730': 'f', '\uA731': 's', '\uA75A': '2',
+    '\uA76A': '3', '\uA76E': '9', '\uA798': 'F', '\uA799': 'f', '\uA79F': 'u', '\uA7AB': '3',
+    '\uA7AF': 'q', '\uA7B2': 'J', '\uA7B3': 'X', '\uA7B4': 'B', '\uAB32': 'e', '\uAB35': 'f',
+    '\uAB3D': 'o', '\uAB47': 'r', '\uAB48': 'r', '\uAB4E': 'u', '\uAB52': 'u', '\uAB5A': 'y',
+    '\uAB70': 'd', '\uAB71': 'r', '\uAB72': 't', '\uAB75': 'i', '\uAB7A': 'a', '\uAB7B': 'j',
+    '\uAB7C': 'e', '\uAB81': 'r', '\uAB83': 'w', '\uAB8B': 'h', '\uAB90': 'g', '\uAB93': 'z',
+    '\uABA2': 'r', '\uABA9': 'v', '\uABAA': 's', '\uABAE': 'l', '\uABAF': 'c', '\uABB2': 'p',
+    '\uFB00': 'ff', '\uFB01': 'fi', '\uFB02': 'fl', '\uFB03': 'ffi', '\uFB04': 'ffl', '\uFB06': 'st',
+    '\uFBA6': 'o', '\uFBA7': 'o', '\uFBA8': 'o', '\uFBA9': 'o', '\uFBAA': 'o', '\uFBAB': 'o',
+    '\uFBAC': 'o', '\uFBAD': 'o', '\uFE8D': 'l', '\uFE8E': 'l', '\uFEE9': 'o', '\uFEEA': 'o',
+    '\uFEEB': 'o', '\uFEEC': 'o', '\uFF01': '!', '\uFF02': '"', '\uFF07': '\'', '\uFF0D': '-',
+    '\uFF10': '0', '\uFF11': '1', '\uFF12': '2', '\uFF13': '3', '\uFF14': '4', '\uFF15': '5',
+    '\uFF16': '6', '\uFF17': '7', '\uFF18': '8', '\uFF19': '9', '\uFF1A': ':', '\uFF21': 'A',
+    '\uFF22': 'B', '\uFF23': 'C', '\uFF24': 'D', '\uFF25': 'E', '\uFF26': 'F', '\uFF27': 'G',
+    '\uFF28': 'H', '\uFF29': 'I', '\uFF2A': 'J', '\uFF2B': 'K', '\uFF2C': 'L', '\uFF2D': 'M',
+    '\uFF2E': 'N', '\uFF2F': 'O', '\uFF30': 'P', '\uFF31': 'Q', '\uFF32': 'R', '\uFF33': 'S',
+    '\uFF34': 'T', '\uFF35': 'U', '\uFF36': 'V', '\uFF37': 'W', '\uFF38': 'X', '\uFF39': 'Y',
+    '\uFF3A': 'Z', '\uFF3B': '[', '\uFF3C': '\\', '\uFF3D': ']', '\uFF3E': '^', '\uFF40': '`',
+    '\uFF41': 'a', '\uFF42': 'b', '\uFF43': 'c', '\uFF44': 'd', '\uFF45': 'e', '\uFF46': 'f',
+    '\uFF47': 'g', '\uFF48': 'h', '\uFF49': 'i', '\uFF4A': 'j', '\uFF4B': 'k', '\uFF4C': 'l',
+    '\uFF4D': 'm', '\uFF4E': 'n', '\uFF4F': 'o', '\uFF50': 'p', '\uFF51': 'q', '\uFF52': 'r',
+    '\uFF53': 's', '\uFF54': 't', '\uFF55': 'u', '\uFF56': 'v', '\uFF57': 'w', '\uFF58': 'x',
+    '\uFF59': 'y', '\uFF5A': 'z', '\uFF5C': '|', '\uFF5E': '~', '\u{10282}': 'B', '\u{10286}': 'E',
+    '\u{10287}': 'F', '\u{1028A}': 'l', '\u{10290}': 'X', '\u{10292}': 'O', '\u{10295}': 'P', '\u{10296}': 'S',
+    '\u{10297}': 'T', '\u{102A0}': 'A', '\u{102A1}': 'B', '\u{102A2}': 'C', '\u{102A5}': 'F', '\u{102AB}': 'O',
+    '\u{102B0}': 'M', '\u{102B1}': 'T', '\u{102B2}': 'Y', '\u{102B4}': 'X', '\u{102CF}': 'H', '\u{10301}': 'B',
+    '\u{10302}': 'C', '\u{10309}': 'I', '\u{10311}': 'M', '\u{10315}': 'T', '\u{10317}': 'X', '\u{1031A}': '8',
+    '\u{10404}': 'O', '\u{10415}': 'C', '\u{1041B}': 'L', '\u{10420}': 'S', '\u{1042C}': 'o', '\u{1043D}': 'c',
+    '\u{10443}': 'l', '\u{10448}': 's', '\u{104B4}': 'R', '\u{104C2}': 'O', '\u{104CE}': 'U', '\u{104D2}': '7',
+    '\u{104EA}': 'o', '\u{104F6}': 'u', '\u{10513}': 'N', '\u{10516}': 'O', '\u{10518}': 'K', '\u{1051C}': 'C',
+    '\u{1051D}': 'V', '\u{10525}': 'F', '\u{10526}': 'L', '\u{10527}': 'X', '\u{11706}': 'v', '\u{1170A}': 'w',
+    '\u{1170E}': 'w', '\u{1170F}': 'w', '\u{118A0}': 'V', '\u{118A2}': 'F', '\u{118A3}': 'L', '\u{118A4}': 'Y',
+    '\u{118A6}': 'E', '\u{118A9}': 'Z', '\u{118AC}': '9', '\u{118AE}': 'E', '\u{118AF}': '4', '\u{118B2}': 'L',
+    '\u{118B5}': 'O', '\u{118B8}': 'U', '\u{118BB}': '5', '\u{118BC}': 'T', '\u{118C0}': 'v', '\u{118C1}': 's',
+    '\u{118C2}': 'F', '\u{118C3}': 'i', '\u{118C4}': 'z', '\u{118C6}': '7', '\u{118C8}': 'o', '\u{118CA}': '3',
+    '\u{118CC}': '9', '\u{118D5}': '6', '\u{118D6}': '9', '\u{118D7}': 'o', '\u{118D8}': 'u', '\u{118DC}': 'y',
+    '\u{16F08}': 'V', '\u{16F0A}': 'T', '\u{16F16}': 'L', '\u{16F28}': 'l', '\u{16F35}': 'R', '\u{16F3A}': 'S',
+    '\u{16F3B}': '3', '\u{16F40}': 'A', '\u{16F42}': 'U', '\u{16F43}': 'Y', '\u{1CCD6}': 'A', '\u{1CCD7}': 'B',
+    '\u{1CCD8}': 'C', '\u{1CCD9}': 'D', '\u{1CCDA}': 'E', '\u{1CCDB}': 'F', '\u{1CCDC}': 'G', '\u{1CCDD}': 'H',
+    '\u{1CCDE}': 'I', '\u{1CCDF}': 'J', '\u{1CCE0}': 'K', '\u{1CCE1}': 'L', '\u{1CCE2}': 'M', '\u{1CCE3}': 'N',
+    '\u{1CCE4}': 'O', '\u{1CCE5}': 'P', '\u{1CCE6}': 'Q', '\u{1CCE7}': 'R', '\u{1CCE8}': 'S', '\u{1CCE9}': 'T',
+    '\u{1CCEA}': 'U', '\u{1CCEB}': 'V', '\u{1CCEC}': 'W', '\u{1CCED}': 'X', '\u{1CCEE}': 'Y', '\u{1CCEF}': 'Z',
+    '\u{1CCF0}': '0', '\u{1CCF1}': '1', '\u{1CCF2}': '2', '\u{1CCF3}': '3', '\u{1CCF4}': '4', '\u{1CCF5}': '5',
+    '\u{1CCF6}': '6', '\u{1CCF7}': '7', '\u{1CCF8}': '8', '\u{1CCF9}': '9', '\u{1D400}': 'A', '\u{1D401}': 'B',
+    '\u{1D402}': 'C', '\u{1D403}': 'D', '\u{1D404}': 'E', '\u{1D405}': 'F', '\u{1D406}': 'G', '\u{1D407}': 'H',
+    '\u{1D408}': 'I', '\u{1D409}': 'J', '\u{1D40A}': 'K', '\u{1D40B}': 'L', '\u{1D40C}': 'M', '\u{1D40D}': 'N',
+    '\u{1D40E}': 'O', '\u{1D40F}': 'P', '\u{1D410}': 'Q', '\u{1D411}': 'R', '\u{1D412}': 'S', '\u{1D413}': 'T',
+    '\u{1D414}': 'U', '\u{1D415}': 'V', '\u{1D416}': 'W', '\u{1D417}': 'X', '\u{1D418}': 'Y', '\u{1D419}': 'Z',
+    '\u{1D41A}': 'a', '\u{1D41B}': 'b', '\u{1D41C}': 'c', '\u{1D41D}': 'd', '\u{1D41E}': 'e', '\u{1D41F}': 'f',
+    '\u{1D420}': 'g', '\u{1D421}': 'h', '\u{1D422}': 'i', '\u{1D423}': 'j', '\u{1D424}': 'k', '\u{1D425}': 'l',
+    '\u{1D426}': 'm', '\u{1D427}': 'n', '\u{1D428}': 'o', '\u{1D429}': 'p', '\u{1D42A}': 'q', '\u{1D42B}': 'r',
+    '\u{1D42C}': 's', '\u{1D42D}': 't', '\u{1D42E}': 'u', '\u{1D42F}': 'v', '\u{1D430}': 'w', '\u{1D431}': 'x',
+    '\u{1D432}': 'y', '\u{1D433}': 'z', '\u{1D434}': 'A', '\u{1D435}': 'B', '\u{1D436}': 'C', '\u{1D437}': 'D',
+    '\u{1D438}': 'E', '\u{1D439}': 'F', '\u{1D43A}': 'G', '\u{1D43B}': 'H', '\u{1D43C}': 'I', '\u{1D43D}': 'J',
+    '\u{1D43E}': 'K', '\u{1D43F}': 'L', '\u{1D440}': 'M', '\u{1D441}': 'N', '\u{1D442}': 'O', '\u{1D443}': 'P',
+    '\u{1D444}': 'Q', '\u{1D445}': 'R', '\u{1D446}': 'S', '\u{1D447}': 'T', '\u{1D448}': 'U', '\u{1D449}': 'V',
+    '\u{1D44A}': 'W', '\u{1D44B}': 'X', '\u{1D44C}': 'Y', '\u{1D44D}': 'Z', '\u{1D44E}': 'a', '\u{1D44F}': 'b',
+    '\u{1D450}': 'c', '\u{1D451}': 'd', '\u{1D452}': 'e', '\u{1D453}': 'f', '\u{1D454}': 'g', '\u{1D456}': 'i',
+    '\u{1D457}': 'j', '\u{1D458}': 'k', '\u{1D459}': 'l', '\u{1D45A}': 'm', '\u{1D45B}': 'n', '\u{1D45C}': 'o',
+    '\u{1D45D}': 'p', '\u{1D45E}': 'q', '\u{1D45F}': 'r', '\u{1D460}': 's', '\u{1D461}': 't', '\u{1D462}': 'u',
+    '\u{1D463}': 'v', '\u{1D464}': 'w', '\u{1D465}': 'x', '\u{1D466}': 'y', '\u{1D467}': 'z', '\u{1D468}': 'A',
+    '\u{1D469}': 'B', '\u{1D46A}': 'C', '\u{1D46B}': 'D', '\u{1D46C}': 'E', '\u{1D46D}': 'F', '\u{1D46E}': 'G',
+    '\u{1D46F}': 'H', '\u{1D470}': 'I', '\u{1D471}': 'J', '\u{1D472}': 'K', '\u{1D473}': 'L', '\u{1D474}': 'M',
+    '\u{1D475}': 'N', '\u{1D476}': 'O', '\u{1D477}': 'P', '\u{1D478}': 'Q', '\u{1D479}': 'R', '\u{1D47A}': 'S',
+    '\u{1D47B}': 'T', '\u{1D47C}': 'U', '\u{1D47D}': 'V', '\u{1D47E}': 'W', '\u{1D47F}': 'X', '\u{1D480}': 'Y',
+    '\u{1D481}': 'Z', '\u{1D482}': 'a', '\u{1D483}': 'b', '\u{1D484}': 'c', '\u{1D485}': 'd', '\u{1D486}': 'e',
+    '\u{1D487}': 'f', '\u{1D488}': 'g', '\u{1D489}': 'h', '\u{1D48A}': 'i', '\u{1D48B}': 'j', '\u{1D48C}': 'k',
+    '\u{1D48D}': 'l', '\u{1D48E}': 'm', '\u{1D48F}': 'n', '\u{1D490}': 'o', '\u{1D491}': 'p', '\u{1D492}': 'q',
+    '\u{1D493}': 'r', '\u{1D494}': 's', '\u{1D495}': 't', '\u{1D496}': 'u', '\u{1D497}': 'v', '\u{1D498}': 'w',
+    '\u{1D499}': 'x', '\u{1D49A}': 'y', '\u{1D49B}': 'z', '\u{1D49C}': 'A', '\u{1D49E}': 'C', '\u{1D49F}': 'D',
+    '\u{1D4A2}': 'G', '\u{1D4A5}': 'J', '\u{1D4A6}': 'K', '\u{1D4A9}': 'N', '\u{1D4AA}': 'O', '\u{1D4AB}': 'P',
+    '\u{1D4AC}': 'Q', '\u{1D4AE}': 'S', '\u{1D4AF}': 'T', '\u{1D4B0}': 'U', '\u{1D4B1}': 'V', '\u{1D4B2}': 'W',
+    '\u{1D4B3}': 'X', '\u{1D4B4}': 'Y', '\u{1D4B5}': 'Z', '\u{1D4B6}': 'a', '\u{1D4B7}': 'b', '\u{1D4B8}': 'c',
+    '\u{1D4B9}': 'd', '\u{1D4BB}': 'f', '\u{1D4BD}': 'h', '\u{1D4BE}': 'i', '\u{1D4BF}': 'j', '\u{1D4C0}': 'k',
+    '\u{1D4C1}': 'l', '\u{1D4C2}': 'm', '\u{1D4C3}': 'n', '\u{1D4C5}': 'p', '\u{1D4C6}': 'q', '\u{1D4C7}': 'r',
+    '\u{1D4C8}': 's', '\u{1D4C9}': 't', '\u{1D4CA}': 'u', '\u{1D4CB}': 'v', '\u{1D4CC}': 'w', '\u{1D4CD}': 'x',
+    '\u{1D4CE}': 'y', '\u{1D4CF}': 'z', '\u{1D4D0}': 'A', '\u{1D4D1}': 'B', '\u{1D4D2}': 'C', '\u{1D4D3}': 'D',
+    '\u{1D4D4}': 'E', '\u{1D4D5}': 'F', '\u{1D4D6}': 'G', '\u{1D4D7}': 'H', '\u{1D4D8}': 'I', '\u{1D4D9}': 'J',
+    '\u{1D4DA}': 'K', '\u{1D4DB}': 'L', '\u{1D4DC}': 'M', '\u{1D4DD}': 'N', '\u{1D4DE}': 'O', '\u{1D4DF}': 'P',
+    '\u{1D4E0}': 'Q', '\u{1D4E1}': 'R', '\u{1D4E2}': 'S', '\u{1D4E3}': 'T', '\u{1D4E4}': 'U', '\u{1D4E5}': 'V',
+    '\u{1D4E6}': 'W', '\u{1D4E7}': 'X', '\u{1D4E8}': 'Y', '\u{1D4E9}': 'Z', '\u{1D4EA}': 'a', '\u{1D4EB}': 'b',
+    '\u{1D4EC}': 'c', '\u{1D4ED}': 'd', '\u{1D4EE}': 'e', '\u{1D4EF}': 'f', '\u{1D4F0}': 'g', '\u{1D4F1}': 'h',
+    '\u{1D4F2}': 'i', '\u{1D4F3}': 'j', '\u{1D4F4}': 'k', '\u{1D4F5}': 'l', '\u{1D4F6}': 'm', '\u{1D4F7}': 'n',
+    '\u{1D4F8}': 'o', '\u{1D4F9}': 'p', '\u{1D4FA}': 'q', '\u{1D4FB}': 'r', '\u{1D4FC}': 's', '\u{1D4FD}': 't',
+    '\u{1D4FE}': 'u', '\u{1D4FF}': 'v', '\u{1D500}': 'w', '\u{1D501}': 'x', '\u{1D502}': 'y', '\u{1D503}': 'z',
+    '\u{1D504}': 'A', '\u{1D505}': 'B', '\u{1D507}': 'D', '\u{1D508}': 'E', '\u{1D509}': 'F', '\u{1D50A}': 'G',
+    '\u{1D50D}': 'J', '\u{1D50E}': 'K', '\u{1D50F}': 'L', '\u{1D510}': 'M', '\u{1D511}': 'N', '\u{1D512}': 'O',
+    '\u{1D513}': 'P', '\u{1D514}': 'Q', '\u{1D516}': 'S', '\u{1D517}': 'T', '\u{1D518}': 'U', '\u{1D519}': 'V',
+    '\u{1D51A}': 'W', '\u{1D51B}': 'X', '\u{1D51C}': 'Y', '\u{1D51E}': 'a', '\u{1D51F}': 'b', '\u{1D520}': 'c',
+    '\u{1D521}': 'd', '\u{1D522}': 'e', '\u{1D523}': 'f', '\u{1D524}': 'g', '\u{1D525}': 'h', '\u{1D526}': 'i',
+    '\u{1D527}': 'j', '\u{1D528}': 'k', '\u{1D529}': 'l', '\u{1D52A}': 'm', '\u{1D52B}': 'n', '\u{1D52C}': 'o',
+    '\u{1D52D}': 'p', '\u{1D52E}': 'q', '\u{1D52F}': 'r', '\u{1D530}': 's', '\u{1D531}': 't', '\u{1D532}': 'u',
+    '\u{1D533}': 'v', '\u{1D534}': 'w', '\u{1D535}': 'x', '\u{1D536}': 'y', '\u{1D537}': 'z', '\u{1D538}': 'A',
+    '\u{1D539}': 'B', '\u{1D53B}': 'D', '\u{1D53C}': 'E', '\u{1D53D}': 'F', '\u{1D53E}': 'G', '\u{1D540}': 'I',
+    '\u{1D541}': 'J', '\u{1D542}': 'K', '\u{1D543}': 'L', '\u{1D544}': 'M', '\u{1D546}': 'O', '\u{1D54A}': 'S',
+    '\u{1D54B}': 'T', '\u{1D54C}': 'U', '\u{1D54D}': 'V', '\u{1D54E}': 'W', '\u{1D54F}': 'X', '\u{1D550}': 'Y',
+    '\u{1D552}': 'a', '\u{1D553}': 'b', '\u{1D554}': 'c', '\u{1D555}': 'd', '\u{1D556}': 'e', '\u{1D557}': 'f',
+    '\u{1D558}': 'g', '\u{1D559}': 'h', '\u{1D55A}': 'i', '\u{1D55B}': 'j', '\u{1D55C}': 'k', '\u{1D55D}': 'l',
+    '\u{1D55E}': 'm', '\u{1D55F}': 'n', '\u{1D560}': 'o', '\u{1D561}': 'p', '\u{1D562}': 'q', '\u{1D563}': 'r',
+    '\u{1D564}': 's', '\u{1D565}': 't', '\u{1D566}': 'u', '\u{1D567}': 'v', '\u{1D568}': 'w', '\u{1D569}': 'x',
+    '\u{1D56A}': 'y', '\u{1D56B}': 'z', '\u{1D56C}': 'A', '\u{1D56D}': 'B', '\u{1D56E}': 'C', '\u{1D56F}': 'D',
+    '\u{1D570}': 'E', '\u{1D571}': 'F', '\u{1D572}': 'G', '\u{1D573}': 'H', '\u{1D574}': 'I', '\u{1D575}': 'J',
+    '\u{1D576}': 'K', '\u{1D577}': 'L', '\u{1D578}': 'M', '\u{1D579}': 'N', '\u{1D57A}': 'O', '\u{1D57B}': 'P',
+    '\u{1D57C}': 'Q', '\u{1D57D}': 'R', '\u{1D57E}': 'S', '\u{1D57F}': 'T', '\u{1D580}': 'U', '\u{1D581}': 'V',
+    '\u{1D582}': 'W', '\u{1D583}': 'X', '\u{1D584}': 'Y', '\u{1D585}': 'Z', '\u{1D586}': 'a', '\u{1D587}': 'b',
+    '\u{1D588}': 'c', '\u{1D589}': 'd', '\u{1D58A}': 'e', '\u{1D58B}': 'f', '\u{1D58C}': 'g', '\u{1D58D}': 'h',
+    '\u{1D58E}': 'i', '\u{1D58F}': 'j', '\u{1D590}': 'k', '\u{1D591}': 'l', '\u{1D592}': 'm', '\u{1D593}': 'n',
+    '\u{1D594}': 'o', '\u{1D595}': 'p', '\u{1D596}': 'q', '\u{1D597}': 'r', '\u{1D598}': 's', '\u{1D599}': 't',
+    '\u{1D59A}': 'u', '\u{1D59B}': 'v', '\u{1D59C}': 'w', '\u{1D59D}': 'x', '\u{1D59E}': 'y', '\u{1D59F}': 'z',
+    '\u{1D5A0}': 'A', '\u{1D5A1}': 'B', '\u{1D5A2}': 'C', '\u{1D5A3}': 'D', '\u{1D5A4}': 'E', '\u{1D5A5}': 'F',
+    '\u{1D5A6}': 'G', '\u{1D5A7}': 'H', '\u{1D5A8}': 'I', '\u{1D5A9}': 'J', '\u{1D5AA}': 'K', '\u{1D5AB}': 'L',
+    '\u{1D5AC}': 'M', '\u{1D5AD}': 'N', '\u{1D5AE}': 'O', '\u{1D5AF}': 'P', '\u{1D5B0}': 'Q', '\u{1D5B1}': 'R',
+    '\u{1D5B2}': 'S', '\u{1D5B3}': 'T', '\u{1D5B4}': 'U', '\u{1D5B5}': 'V', '\u{1D5B6}': 'W', '\u{1D5B7}': 'X',
+    '\u{1D5B8}': 'Y', '\u{1D5B9}': 'Z', '\u{1D5BA}': 'a', '\u{1D5BB}': 'b', '\u{1D5BC}': 'c', '\u{1D5BD}': 'd',
+    '\u{1D5BE}': 'e', '\u{1D5BF}': 'f', '\u{1D5C0}': 'g', '\u{1D5C1}': 'h', '\u{1D5C2}': 'i', '\u{1D5C3}': 'j',
+    '\u{1D5C4}': 'k', '\u{1D5C5}': 'l', '\u{1D5C6}': 'm', '\u{1D5C7}': 'n', '\u{1D5C8}': 'o', '\u{1D5C9}': 'p',
+    '\u{1D5CA}': 'q', '\u{1D5CB}': 'r', '\u{1D5CC}': 's', '\u{1D5CD}': 't', '\u{1D5CE}': 'u', '\u{1D5CF}': 'v',
+    '\u{1D5D0}': 'w', '\u{1D5D1}': 'x', '\u{1D5D2}': 'y', '\u{1D5D3}': 'z', '\u{1D5D4}': 'A', '\u{1D5D5}': 'B',
+    '\u{1D5D6}': 'C', '\u{1D5D7}': 'D', '\u{1D5D8}': 'E', '\u{1D5D9}': 'F', '\u{1D5DA}': 'G', '\u{1D5DB}': 'H',
+    '\u{1D5DC}': 'I', '\u{1D5DD}': 'J', '\u{1D5DE}': 'K', '\u{1D5DF}': 'L', '\u{1D5E0}': 'M', '\u{1D5E1}': 'N',
+    '\u{1D5E2}': 'O', '\u{1D5E3}': 'P', '\u{1D5E4}': 'Q', '\u{1D5E5}': 'R', '\u{1D5E6}': 'S', '\u{1D5E7}': 'T',
+    '\u{1D5E8}': 'U', '\u{1D5E9}': 'V', '\u{1D5EA}': 'W', '\u{1D5EB}': 'X', '\u{1D5EC}': 'Y', '\u{1D5ED}': 'Z',
+    '\u{1D5EE}': 'a', '\u{1D5EF}': 'b', '\u{1D5F0}': 'c', '\u{1D5F1}': 'd', '\u{1D5F2}': 'e', '\u{1D5F3}': 'f',
+    '\u{1D5F4}': 'g', '\u{1D5F5}': 'h', '\u{1D5F6}': 'i', '\u{1D5F7}': 'j', '\u{1D5F8}': 'k', '\u{1D5F9}': 'l',
+    '\u{1D5FA}': 'm', '\u{1D5FB}': 'n', '\u{1D5FC}': 'o', '\u{1D5FD}': 'p', '\u{1D5FE}': 'q', '\u{1D5FF}': 'r',
+    '\u{1D600}': 's', '\u{1D601}': 't', '\u{1D602}': 'u', '\u{1D603}': 'v', '\u{1D604}': 'w', '\u{1D605}': 'x',
+    '\u{1D606}': 'y', '\u{1D607}': 'z', '\u{1D608}': 'A', '\u{1D609}': 'B', '\u{1D60A}': 'C', '\u{1D60B}': 'D',
+    '\u{1D60C}': 'E', '\u{1D60D}': 'F', '\u{1D60E}': 'G', '\u{1D60F}': 'H', '\u{1D610}': 'I', '\u{1D611}': 'J',
+    '\u{1D612}': 'K', '\u{1D613}': 'L', '\u{1D614}': 'M', '\u{1D615}': 'N', '\u{1D616}': 'O', '\u{1D617}': 'P',
+    '\u{1D618}': 'Q', '\u{1D619}': 'R', '\u{1D61A}': 'S', '\u{1D61B}': 'T', '\u{1D61C}': 'U', '\u{1D61D}': 'V',
+    '\u{1D61E}': 'W', '\u{1D61F}': 'X', '\u{1D620}': 'Y', '\u{1D621}': 'Z', '\u{1D622}': 'a', '\u{1D623}': 'b',
+    '\u{1D624}': 'c', '\u{1D625}': 'd', '\u{1D626}': 'e', '\u{1D627}': 'f', '\u{1D628}': 'g', '\u{1D629}': 'h',
+    '\u{1D62A}': 'i', '\u{1D62B}': 'j', '\u{1D62C}': 'k', '\u{1D62D}': 'l', '\u{1D62E}': 'm', '\u{1D62F}': 'n',
+    '\u{1D630}': 'o', '\u{1D631}': 'p', '\u{1D632}': 'q', '\u{1D633}': 'r', '\u{1D634}': 's', '\u{1D635}': 't',
+    '\u{1D636}': 'u', '\u{1D637}': 'v', '\u{1D638}': 'w', '\u{1D639}': 'x', '\u{1D63A}': 'y', '\u{1D63B}': 'z',
+    '\u{1D63C}': 'A', '\u{1D63D}': 'B', '\u{1D63E}': 'C', '\u{1D63F}': 'D', '\u{1D640}': 'E', '\u{1D641}': 'F',
+    '\u{1D642}': 'G', '\u{1D643}': 'H', '\u{1D644}': 'I', '\u{1D645}': 'J', '\u{1D646}': 'K', '\u{1D647}': 'L',
+    '\u{1D648}': 'M', '\u{1D649}': 'N', '\u{1D64A}': 'O', '\u{1D64B}': 'P', '\u{1D64C}': 'Q', '\u{1D64D}': 'R',
+    '\u{1D64E}': 'S', '\u{1D64F}': 'T', '\u{1D650}': 'U', '\u{1D651}': 'V', '\u{1D652}': 'W', '\u{1D653}': 'X',
+    '\u{1D654}': 'Y', '\u{1D655}': 'Z', '\u{1D656}': 'a', '\u{1D657}': 'b', '\u{1D658}': 'c', '\u{1D659}': 'd',
+    '\u{1D65A}': 'e', '\u{1D65B}': 'f', '\u{1D65C}': 'g', '\u{1D65D}': 'h', '\u{1D65E}': 'i', '\u{1D65F}': 'j',
+    '\u{1D660}': 'k', '\u{1D661}': 'l', '\u{1D662}': 'm', '\u{1D663}': 'n', '\u{1D664}': 'o', '\u{1D665}': 'p',
+    '\u{1D666}': 'q', '\u{1D667}': 'r', '\u{1D668}': 's', '\u{1D669}': 't', '\u{1D66A}': 'u', '\u{1D66B}': 'v',
+    '\u{1D66C}': 'w', '\u{1D66D}': 'x', '\u{1D66E}': 'y', '\u{1D66F}': 'z', '\u{1D670}': 'A', '\u{1D671}': 'B',
+    '\u{1D672}': 'C', '\u{1D673}': 'D', '\u{1D674}': 'E', '\u{1D675}': 'F', '\u{1D676}': 'G', '\u{1D677}': 'H',
+    '\u{1D678}': 'I', '\u{1D679}': 'J', '\u{1D67A}': 'K', '\u{1D67B}': 'L', '\u{1D67C}': 'M', '\u{1D67D}': 'N',
+    '\u{1D67E}': 'O', '\u{1D67F}': 'P', '\u{1D680}': 'Q', '\u{1D681}': 'R', '\u{1D682}': 'S', '\u{1D683}': 'T',
+    '\u{1D684}': 'U', '\u{1D685}': 'V', '\u{1D686}': 'W', '\u{1D687}': 'X', '\u{1D688}': 'Y', '\u{1D689}': 'Z',
+    '\u{1D68A}': 'a', '\u{1D68B}': 'b', '\u{1D68C}': 'c', '\u{1D68D}': 'd', '\u{1D68E}': 'e', '\u{1D68F}': 'f',
+    '\u{1D690}': 'g', '\u{1D691}': 'h', '\u{1D692}': 'i', '\u{1D693}': 'j', '\u{1D694}': 'k', '\u{1D695}': 'l',
+    '\u{1D696}': 'm', '\u{1D697}': 'n', '\u{1D698}': 'o', '\u{1D699}': 'p', '\u{1D69A}': 'q', '\u{1D69B}': 'r',
+    '\u{1D69C}': 's', '\u{1D69D}': 't', '\u{1D69E}': 'u', '\u{1D69F}': 'v', '\u{1D6A0}': 'w', '\u{1D6A1}': 'x',
+    '\u{1D6A2}': 'y', '\u{1D6A3}': 'z', '\u{1D6A4}': 'i', '\u{1D6A8}': 'A', '\u{1D6A9}': 'B', '\u{1D6AC}': 'E',
+    '\u{1D6AD}': 'Z', '\u{1D6AE}': 'H', '\u{1D6B0}': 'I', '\u{1D6B1}': 'K', '\u{1D6B3}': 'M', '\u{1D6B4}': 'N',
+    '\u{1D6B6}': 'O', '\u{1D6B8}': 'P', '\u{1D6BB}': 'T', '\u{1D6BC}': 'Y', '\u{1D6BE}': 'X', '\u{1D6C2}': 'a',
+    '\u{1D6C4}': 'y', '\u{1D6CA}': 'i', '\u{1D6CE}': 'v', '\u{1D6D0}': 'o', '\u{1D6D2}': 'p', '\u{1D6D4}': 'o',
+    '\u{1D6D5}': 't', '\u{1D6D6}': 'u', '\u{1D6E0}': 'p', '\u{1D6E2}': 'A', '\u{1D6E3}': 'B', '\u{1D6E6}': 'E',
+    '\u{1D6E7}': 'Z', '\u{1D6E8}': 'H', '\u{1D6EA}': 'I', '\u{1D6EB}': 'K', '\u{1D6ED}': 'M', '\u{1D6EE}': 'N',
+    '\u{1D6F0}': 'O', '\u{1D6F2}': 'P', '\u{1D6F5}': 'T', '\u{1D6F6}': 'Y', '\u{1D6F8}': 'X', '\u{1D6FC}': 'a',
+    '\u{1D6FE}': 'y', '\u{1D704}': 'i', '\u{1D708}': 'v', '\u{1D70A}': 'o', '\u{1D70C}': 'p', '\u{1D70E}': 'o',
+    '\u{1D70F}': 't', '\u{1D710}': 'u', '\u{1D71A}': 'p', '\u{1D71C}': 'A', '\u{1D71D}': 'B', '\u{1D720}': 'E',
+    '\u{1D721}': 'Z', '\u{1D722}': 'H', '\u{1D724}': 'I', '\u{1D725}': 'K', '\u{1D727}': 'M', '\u{1D728}': 'N',
+    '\u{1D72A}': 'O', '\u{1D72C}': 'P', '\u{1D72F}': 'T', '\u{1D730}': 'Y', '\u{1D732}': 'X', '\u{1D736}': 'a',
+    '\u{1D738}': 'y', '\u{1D73E}': 'i', '\u{1D742}': 'v', '\u{1D744}': 'o', '\u{1D746}': 'p', '\u{1D748}': 'o',
+    '\u{1D749}': 't', '\u{1D74A}': 'u', '\u{1D754}': 'p', '\u{1D756}': 'A', '\u{1D757}': 'B', '\u{1D75A}': 'E',
+    '\u{1D75B}': 'Z', '\u{1D75C}': 'H', '\u{1D75E}': 'I', '\u{1D75F}': 'K', '\u{1D761}': 'M', '\u{1D762}': 'N',
+    '\u{1D764}': 'O', '\u{1D766}': 'P', '\u{1D769}': 'T', '\u{1D76A}': 'Y', '\u{1D76C}': 'X', '\u{1D770}': 'a',
+    '\u{1D772}': 'y', '\u{1D778}': 'i', '\u{1D77C}': 'v', '\u{1D77E}': 'o', '\u{1D780}': 'p', '\u{1D782}': 'o',
+    '\u{1D783}': 't', '\u{1D784}': 'u', '\u{1D78E}': 'p', '\u{1D790}': 'A', '\u{1D791}': 'B', '\u{1D794}': 'E',
+    '\u{1D795}': 'Z', '\u{1D796}': 'H', '\u{1D798}': 'I', '\u{1D799}': 'K', '\u{1D79B}': 'M', '\u{1D79C}': 'N',
+    '\u{1D79E}': 'O', '\u{1D7A0}': 'P', '\u{1D7A3}': 'T', '\u{1D7A4}': 'Y', '\u{1D7A6}': 'X', '\u{1D7AA}': 'a',
+    '\u{1D7AC}': 'y', '\u{1D7B2}': 'i', '\u{1D7B6}': 'v', '\u{1D7B8}': 'o', '\u{1D7BA}': 'p', '\u{1D7BC}': 'o',
+    '\u{1D7BD}': 't', '\u{1D7BE}': 'u', '\u{1D7C8}': 'p', '\u{1D7CA}': 'F', '\u{1D7CE}': '0', '\u{1D7CF}': '1',
+    '\u{1D7D0}': '2', '\u{1D7D1}': '3', '\u{1D7D2}': '4', '\u{1D7D3}': '5', '\u{1D7D4}': '6', '\u{1D7D5}': '7',
+    '\u{1D7D6}': '8', '\u{1D7D7}': '9', '\u{1D7D8}': '0', '\u{1D7D9}': '1', '\u{1D7DA}': '2', '\u{1D7DB}': '3',
+    '\u{1D7DC}': '4', '\u{1D7DD}': '5', '\u{1D7DE}': '6', '\u{1D7DF}': '7', '\u{1D7E0}': '8', '\u{1D7E1}': '9',
+    '\u{1D7E2}': '0', '\u{1D7E3}': '1', '\u{1D7E4}': '2', '\u{1D7E5}': '3', '\u{1D7E6}': '4', '\u{1D7E7}': '5',
+    '\u{1D7E8}': '6', '\u{1D7E9}': '7', '\u{1D7EA}': '8', '\u{1D7EB}': '9', '\u{1D7EC}': '0', '\u{1D7ED}': '1',
+    '\u{1D7EE}': '2', '\u{1D7EF}': '3', '\u{1D7F0}': '4', '\u{1D7F1}': '5', '\u{1D7F2}': '6', '\u{1D7F3}': '7',
+    '\u{1D7F4}': '8', '\u{1D7F5}': '9', '\u{1D7F6}': '0', '\u{1D7F7}': '1', '\u{1D7F8}': '2', '\u{1D7F9}': '3',
+    '\u{1D7FA}': '4', '\u{1D7FB}': '5', '\u{1D7FC}': '6', '\u{1D7FD}': '7', '\u{1D7FE}': '8', '\u{1D7FF}': '9',
+    '\u{1EE00}': 'l', '\u{1EE24}': 'o', '\u{1EE64}': 'o', '\u{1EE80}': 'l', '\u{1EE84}': 'o', '\u{1F110}': '(A)',
+    '\u{1F111}': '(B)', '\u{1F112}': '(C)', '\u{1F113}': '(D)', '\u{1F114}': '(E)', '\u{1F115}': '(F)', '\u{1F116}': '(G)',
+    '\u{1F117}': '(H)', '\u{1F118}': '(I)', '\u{1F119}': '(J)', '\u{1F11A}': '(K)', '\u{1F11B}': '(L)', '\u{1F11C}': '(M)',
+    '\u{1F11D}': '(N)', '\u{1F11E}': '(O)', '\u{1F11F}': '(P)', '\u{1F120}': '(Q)', '\u{1F121}': '(R)', '\u{1F122}': '(S)',
+    '\u{1F123}': '(T)', '\u{1F124}': '(U)', '\u{1F125}': '(V)', '\u{1F126}': '(W)', '\u{1F127}': '(X)', '\u{1F128}': '(Y)',
+    '\u{1F129}': '(Z)', '\u{1F12B}': 'C', '\u{1F12C}': 'R', '\u{1F130}': 'A', '\u{1F131}': 'B', '\u{1F132}': 'C',
+    '\u{1F133}': 'D', '\u{1F134}': 'E', '\u{1F135}': 'F', '\u{1F136}': 'G', '\u{1F137}': 'H', '\u{1F138}': 'I',
+    '\u{1F139}': 'J', '\u{1F13A}': 'K', '\u{1F13B}': 'L', '\u{1F13C}': 'M', '\u{1F13D}': 'N', '\u{1F13E}': 'O',
+    '\u{1F13F}': 'P', '\u{1F140}': 'Q', '\u{1F141}': 'R', '\u{1F142}': 'S', '\u{1F143}': 'T', '\u{1F144}': 'U',
+    '\u{1F145}': 'V', '\u{1F146}': 'W', '\u{1F147}': 'X', '\u{1F148}': 'Y', '\u{1F149}': 'Z', '\u{1FBF0}': '0',
+    '\u{1FBF1}': '1', '\u{1FBF2}': '2', '\u{1FBF3}': '3', '\u{1FBF4}': '4', '\u{1FBF5}': '5', '\u{1FBF6}': '6',
+    '\u{1FBF7}': '7', '\u{1FBF8}': '8', '\u{1FBF9}': '9',
+};
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.CONFUSABLES = CONFUSABLES;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CONFUSABLES;
+}
@@ -0,0 +1,141 @@
+/**
+ * TracesCleaner — Detector Worker
+ * Runs the detection engine off the main thread, so pasting a multi-megabyte
+ * log doesn't freeze the page. Text is fed to WatermarkDetector.createDetector()
+ * in chunks, with a progress message after each one.
+ *
+ * Messages in:  { id, type: 'count' | 'analyze' | 'statistical', text, options }
+ * Messages out: { id, type: 'progress', phase, done, total }, then
+ *               { id, type: 'result', result } or { id, type: 'error', message }
+ *
+ * Loaded with a <script> tag instead, it only defines DetectorTasks, which
+ * app.js runs directly where a worker can't be started (e.g. from file://).
+ */
+
+if (typeof importScripts === 'function' && typeof WatermarkDetector === 'undefined') {
+    importScripts('confusables.js', 'watermark-detector.js', 'statistical-detector.js');
+}
+
+const DetectorTasks = (() => {
+
+    // Code units fed to the streaming detector between progress reports
+    const CHUNK_SIZE = 1 << 16;
+
+    /**
+     * detect() with progress reports.
+     * @param {function({ phase: string, done: number, total: number }): void} [onProgress]
+     */
+    function detectInChunks(text, options, onProgress) {
+        const detector = WatermarkDetector.createDetector(options);
+        for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+            detector.write(text.slice(i, i + CHUNK_SIZE));
+            if (onProgress) onProgress({ phase: 'Scanning', done: Math.min(i + CHUNK_SIZE, text.length), total: text.length });
+        }
+        return detector.end();
+    }
+
+    // The watermark-only view of a detection that included newlines and tabs,
+    // so one pass serves both the live count and the badges
+    function withoutFormatting(detection) {
+        const chars = new Map();
+        let total = 0;
+        detection.chars.forEach((entry, ch) => {
+            if (entry.info.category === 'formatting') return;
+            chars.set(ch, entry);
+            total += entry.count;
+        });
+        return { total, chars, legitimate: detection.legitimate };
+    }
+
+    /**
+     * Hidden-character count for the live counter.
+     * @param {string} text
+     * @param {{ contextAware?: boolean }} options
+     * @returns {{ total: number }}
+     */
+    function count(text, options, onProgress) {
+        const detection = detectInChunks(text, { includeFormatting: true, contextAware: options.contextAware }, onProgress);
+        return { total: detection.total };
+    }
+
+    /**
+     * Everything the Clean tab shows for a text.
+     * @param {string} text
+     * @param {{ contextAware?: boolean, clean: object, diff?: boolean, statistical?: object }} options
+     *   clean: clean() options; diff: also build the side-by-side diff;
+     *   statistical: StatisticalDetector.analyze() options, to also run the green-list test
+     * @returns {{ detection: object, invisible: object, homoglyphs: object, whitespace: object, compatibility: object,
+     *   typography: object, report: { text: string, edits: object[] }, diff: { html: string, changes: number } | null,
+     *   statistical: object | null }}
+     *   `detection` includes newlines and tabs, `invisible` leaves them out
+     */
+    function analyze(text, options, onProgress) {
+        const progress = (phase) => {
+            if (onProgress) onProgress({ phase, done: text.length, total: text.length });
+        };
+        const detection = detectInChunks(text, { includeFormatting: true, contextAware: options.contextAware }, onProgress);
+        progress('Checking homoglyphs');
+        const homoglyphs = WatermarkDetector.detectHomoglyphs(text);
+        const whitespace = WatermarkDetector.detectWhitespaceAnomalies(text);
+        const compatibility = WatermarkDetector.detectCompatibility(text);
+        const typography = WatermarkDetector.detectTypography(text);
+        progress('Cleaning');
+        const report = WatermarkDetector.cleanWithReport(text, options.clean);
+        const diff = options.diff ? WatermarkDetector.diffHTML(text, options.clean) : null;
+        const statistical = options.statistical ? statisticalTest(text, options.statistical, onProgress) : null;
+        return {
+            detection,
+            invisible: withoutFormatting(detection),
+            homoglyphs,
+            whitespace,
+            compatibility,
+            typography,
+            report,
+            diff,
+            statistical,
+        };
+    }
+
+    /**
+     * Green-list watermark test, re-run on its own when its settings change.
+     * @param {string} text
+     * @param {{ key?: string, gamma?: number, tokenizer?: 'word' | 'byte' }} options
+     * @returns {object} StatisticalDetector.analyze() result
+     */
+    function statisticalTest(text, options, onProgress) {
+        if (onProgress) onProgress({ phase: 'Scoring tokens', done: text.length, total: text.length });
+        return StatisticalDetector.analyze(text, options);
+    }
+
+    // Public API
+    return {
+        count,
+        analyze,
+        statistical: statisticalTest,
+    };
+
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.DetectorTasks = DetectorTasks;
+} else if (typeof importScripts === 'function') {
+    // The page's custom rules as last applied, to skip unchanged ones
+    let appliedRules = JSON.stringify(WatermarkDetector.getRules());
+
+    self.addEventListener('message', (event) => {
+        const { id, type, text, options, rules } = event.data;
+        try {
+            if (rules && JSON.stringify(rules) !== appliedRules) {
+                WatermarkDetector.setRules(rules);
+                appliedRules = JSON.stringify(rules);
+            }
+            const result = DetectorTasks[type](text, options || {}, (progress) => {
+                self.postMessage({ id, type: 'progress', ...progress });
+            });
+            self.postMessage({ id, type: 'result', result });
+        } catch (e) {
+            self.postMessage({ id, type: 'error', message: e.message });
+        }
+    });
+}
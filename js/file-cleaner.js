@@ -0,0 +1,258 @@
+/**
+ * TracesCleaner — File Cleaner
+ * Cleans whole documents in the browser: plain text, Markdown, CSV, JSON,
+ * HTML and Word (.docx). Only the text content is passed through
+ * WatermarkDetector.clean(); markup and file structure are kept as they are.
+ */
+
+const FileCleaner = (() => {
+
+    // File extension → how its content is cleaned
+    const FILE_KINDS = {
+        txt: 'text',
+        md: 'markdown',
+        markdown: 'markdown',
+        csv: 'data',
+        json: 'data',
+        html: 'html',
+        htm: 'html',
+        docx: 'docx',
+    };
+
+    const MIME_TYPES = {
+        txt: 'text/plain',
+        md: 'text/markdown',
+        markdown: 'text/markdown',
+        csv: 'text/csv',
+        json: 'application/json',
+        html: 'text/html',
+        htm: 'text/html',
+        docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    };
+
+    // For <input type="file" accept="...">
+    const ACCEPT = Object.keys(FILE_KINDS).map(ext => `.${ext}`).join(',');
+
+    // HTML markup that is copied through untouched: comments, script and
+    // style blocks (with their content) and tags
+    const HTML_MARKUP_REGEX = /<!--[\s\S]*?-->|<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>|<[^>]*>/gi;
+
+    // Text runs (<w:t>) and paragraph ends of a WordprocessingML part, and the
+    // parts that hold document text
+    const WORD_TEXT_REGEX = /(<w:t(?:\s[^>]*)?>)([^<]*)(<\/w:t>)|<\/w:p>/g;
+    const WORD_PART_REGEX = /^word\/(document|header\d*|footer\d*|footnotes|endnotes|comments)\.xml$/;
+
+    // Character references in markup text: numeric ones and the five XML names
+    // are decoded before cleaning; other names (&nbsp; in HTML) are kept as they are
+    const CHAR_REF_REGEX = /&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|(amp|lt|gt|quot|apos));/g;
+    const OTHER_NAMED_REF_REGEX = /&(?!(?:amp|lt|gt|quot|apos);)[A-Za-z][A-Za-z0-9]*;/g;
+    const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+    // Characters with a meaning in CSV or JSON, which cleaning must never write
+    // into data (a homoglyph fix turns ″ into ", NFKC turns ＂ into ")
+    const DATA_SYNTAX_REGEX = /["'\\,;\t\r\n]/;
+
+    function extensionOf(name) {
+        const match = /\.([^.]+)$/.exec(name);
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    /**
+     * How a file would be cleaned, or null if its type is not supported.
+     * @param {string} name
+     * @returns {'text' | 'markdown' | 'data' | 'html' | 'docx' | null}
+     */
+    function kindOf(name) {
+        return FILE_KINDS[extensionOf(name)] || null;
+    }
+
+    function decodeReferences(str) {
+        return str.replace(CHAR_REF_REGEX, (m, decimal, hex, name) => {
+            if (name !== undefined) return XML_ENTITIES[name];
+            const code = decimal !== undefined ? parseInt(decimal, 10) : parseInt(hex, 16);
+            if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) return '\uFFFD';
+            return String.fromCodePoint(code);
+        });
+    }
+
+    function escapeMarkup(str) {
+        return str
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Clean a run of XML or HTML text content. Character references are decoded
+     * first, so the hidden characters they encode are cleaned too, and the
+     * result is escaped again, so no replacement can turn into markup. Text
+     * the cleaner leaves alone is copied through byte for byte.
+     * @returns {{ output: string, text: string, edits: number }}
+     */
+    function cleanMarkupText(source, options) {
+        let output = '';
+        let text = '';
+        let edits = 0;
+        let last = 0;
+        const cleanRun = (run) => {
+            if (!run) return;
+            const decoded = decodeReferences(run);
+            const report = WatermarkDetector.cleanWithReport(decoded, options);
+            output += report.text === decoded ? run : escapeMarkup(report.text);
+            text += decoded;
+            edits += report.edits.length;
+        };
+
+        for (const m of source.matchAll(OTHER_NAMED_REF_REGEX)) {
+            cleanRun(source.slice(last, m.index));
+            output += m[0];
+            text += m[0];
+            last = m.index + m[0].length;
+        }
+        cleanRun(source.slice(last));
+        return { output, text, edits };
+    }
+
+    /**
+     * Clean the pieces of `source` between matches of `skipRegex`, one piece at
+     * a time, so markup never reaches the cleaner.
+     * @returns {{ output: string, text: string, edits: number }}
+     */
+    function cleanBetween(source, skipRegex, options) {
+        let output = '';
+        let text = '';
+        let edits = 0;
+        let last = 0;
+        const cleanPiece = (piece) => {
+            if (!piece) return;
+            const result = cleanMarkupText(piece, options);
+            output += result.output;
+            text += result.text;
+            edits += result.edits;
+        };
+
+        for (const m of source.matchAll(skipRegex)) {
+            cleanPiece(source.slice(last, m.index));
+            output += m[0];
+            last = m.index + m[0].length;
+        }
+        cleanPiece(source.slice(last));
+        return { output, text, edits };
+    }
+
+    /**
+     * Clean the text runs (<w:t>) of one WordprocessingML part.
+     * @returns {{ output: string, text: string, edits: number }}
+     */
+    function cleanWordXML(xml, options) {
+        let text = '';
+        let edits = 0;
+        const output = xml.replace(WORD_TEXT_REGEX, (m, open, content, close) => {
+            // Paragraph ends keep the extracted text's line breaks
+            if (open === undefined) {
+                text += '\n';
+                return m;
+            }
+            const result = cleanMarkupText(content, options);
+            text += result.text;
+            edits += result.edits;
+            return open + result.output + close;
+        });
+        return { output, text, edits };
+    }
+
+    /**
+     * Clean CSV or JSON: every byte of whitespace is kept, the typography
+     * options are off, and any other edit that would write a quote, comma,
+     * backslash or line break is undone, so the file still parses.
+     * @returns {{ output: string, text: string, edits: number }}
+     */
+    function cleanData(source, options) {
+        const report = WatermarkDetector.cleanWithReport(source, {
+            ...options,
+            stripHTML: false,
+            straightQuotes: false,
+            emDash: false,
+            expandEllipsis: false,
+            plainBullets: false,
+            textType: 'code',
+        });
+        let output = report.text;
+        let edits = report.edits.length;
+        report.edits
+            .filter(edit => DATA_SYNTAX_REGEX.test(edit.replacement))
+            .sort((a, b) => b.outputOffset - a.outputOffset)
+            .forEach((edit) => {
+                const end = edit.outputOffset + edit.replacement.length;
+                if (output.slice(edit.outputOffset, end) !== edit.replacement) return;
+                output = output.slice(0, edit.outputOffset) + edit.original + output.slice(end);
+                edits--;
+            });
+        return { output, text: source, edits };
+    }
+
+    /**
+     * Read and clean a file.
+     * @param {File} file
+     * @param {object} options - clean() options; HTML stripping and whitespace
+     *   clean-up only apply where they cannot break the file's structure
+     * @returns {Promise<{ name: string, kind: string, text: string, edits: number, blob: Blob }>}
+     *   `text` is the original text content (what detect() should look at),
+     *   `blob` the cleaned file
+     */
+    async function cleanFile(file, options = {}) {
+        const kind = kindOf(file.name);
+        if (!kind) throw new Error(`Unsupported file type: ${file.name}`);
+        const type = MIME_TYPES[extensionOf(file.name)];
+
+        // Options for fragments of a structured file: markup stays, and text
+        // pieces don't end at line ends, so whitespace clean-up is off
+        const fragmentOptions = { ...options, stripHTML: false, trimTrailing: false, collapseSpaces: false };
+
+        if (kind === 'docx') {
+            const entries = await Zip.read(await file.arrayBuffer());
+            const decoder = new TextDecoder();
+            const encoder = new TextEncoder();
+            let text = '';
+            let edits = 0;
+            const cleaned = entries.map((entry) => {
+                if (!WORD_PART_REGEX.test(entry.name)) return entry;
+                const result = cleanWordXML(decoder.decode(entry.data), fragmentOptions);
+                text += result.text;
+                edits += result.edits;
+                return { ...entry, data: encoder.encode(result.output) };
+            });
+            const blob = new Blob([await Zip.write(cleaned)], { type });
+            return { name: file.name, kind, text, edits, blob };
+        }
+
+        const source = await file.text();
+        let result;
+        if (kind === 'html') {
+            result = cleanBetween(source, HTML_MARKUP_REGEX, fragmentOptions);
+        } else if (kind === 'data') {
+            result = cleanData(source, options);
+        } else {
+            const report = WatermarkDetector.cleanWithReport(source, options);
+            result = { output: report.text, text: source, edits: report.edits.length };
+        }
+        const blob = new Blob([result.output], { type });
+        return { name: file.name, kind, text: result.text, edits: result.edits, blob };
+    }
+
+    // Public API
+    return {
+        ACCEPT,
+        kindOf,
+        cleanFile,
+    };
+
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.FileCleaner = FileCleaner;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileCleaner;
+}
@@ -0,0 +1,244 @@
+/**
+ * TracesCleaner — HTML Clipboard Sanitizer
+ * Turns the text/html clipboard flavor (copied from ChatGPT, Gemini and other
+ * web interfaces) into plain text or sanitized HTML, and reports content that
+ * a reader never sees: hidden elements, data-* attributes and comments.
+ */
+
+const HTMLSanitizer = (() => {
+
+    // Elements whose content is never rendered as text
+    const SKIPPED_TAGS = new Set([
+        'HEAD', 'TITLE', 'META', 'LINK', 'SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'IFRAME', 'OBJECT', 'SVG',
+    ]);
+
+    // Block elements start and end on their own line; paragraph-like ones
+    // are separated by a blank line, as innerText does
+    const BLOCK_TAGS = new Set([
+        'ADDRESS', 'ARTICLE', 'ASIDE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION', 'FIGURE',
+        'FOOTER', 'FORM', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'SECTION', 'SUMMARY', 'TABLE', 'TR', 'UL',
+    ]);
+    const PARAGRAPH_TAGS = new Set(['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE']);
+
+    /**
+     * Why an element is hidden from the reader, or null if it is visible.
+     * Only inline styles and the hidden attribute are checked — pasted HTML
+     * carries no stylesheet to compute styles from.
+     * @param {Element} el
+     * @returns {string | null}
+     */
+    function hiddenReason(el) {
+        if (el.hasAttribute('hidden')) return 'hidden attribute';
+        if (el.tagName === 'INPUT' && (el.getAttribute('type') || '').toLowerCase() === 'hidden') return 'hidden input';
+
+        const style = el.style;
+        if (!style) return null;
+        if (style.display === 'none') return 'display: none';
+        if (style.visibility === 'hidden' || style.visibility === 'collapse') return `visibility: ${style.visibility}`;
+        if (style.fontSize && parseFloat(style.fontSize) === 0) return 'zero font size';
+        if (style.opacity !== '' && parseFloat(style.opacity) === 0) return 'opacity: 0';
+        if (((style.width && parseFloat(style.width) === 0) || (style.height && parseFloat(style.height) === 0)) &&
+            style.overflow === 'hidden') {
+            return 'zero size, overflow hidden';
+        }
+        if (style.color === 'transparent') return 'transparent text';
+        return null;
+    }
+
+    /**
+     * Parse an HTML fragment into plain text.
+     * Hidden elements are left out of the text and reported in `findings`,
+     * together with data-* attributes and comments. Entities are decoded by
+     * the parser itself, so the text holds real characters.
+     * @param {string} html
+     * @returns {{ text: string, findings: Array<{ type: 'hidden-element' | 'data-attribute' | 'comment',
+     *   description: string, tag: string | null, content: string }> }}
+     */
+    function parse(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const findings = [];
+        const out = [];
+        let pendingBreaks = 0;
+        let preDepth = 0;
+
+        // A space collapsed from source formatting is dropped at the end of a line
+        const trimCollapsedSpace = () => {
+            if (preDepth === 0 && out.length > 0) out[out.length - 1] = out[out.length - 1].replace(/ $/, '');
+        };
+        // Line breaks are only emitted once text follows them, so leading and
+        // trailing block boundaries don't produce blank lines
+        const requestBreaks = (count) => {
+            trimCollapsedSpace();
+            if (out.length > 0) pendingBreaks = Math.max(pendingBreaks, count);
+        };
+        const append = (str) => {
+            if (!str) return;
+            if (pendingBreaks > 0) {
+                out.push('\n'.repeat(pendingBreaks));
+                pendingBreaks = 0;
+            }
+            out.push(str);
+        };
+
+        const walk = (node) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                if (preDepth > 0) {
+                    append(node.nodeValue);
+                } else {
+                    // Collapse ASCII whitespace only — invisible Unicode characters
+                    // must survive so the detector can find them
+                    let str = node.nodeValue.replace(/[ \t\n\r\f]+/g, ' ');
+                    const last = out.length > 0 ? out[out.length - 1] : '';
+                    if (pendingBreaks > 0 || out.length === 0 || /[ \n]$/.test(last)) str = str.replace(/^ /, '');
+                    append(str);
+                }
+                return;
+            }
+
+            if (node.nodeType === Node.COMMENT_NODE) {
+                // <!--StartFragment--> / <!--EndFragment--> are clipboard markers
+                // added by the browser, not part of the copied content
+                const content = node.nodeValue.trim();
+                if (content && !/^(Start|End)Fragment$/.test(content)) {
+                    findings.push({ type: 'comment', description: 'HTML comment', tag: null, content });
+                }
+                return;
+            }
+
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+            const el = node;
+            if (SKIPPED_TAGS.has(el.tagName.toUpperCase())) return;
+
+            Array.from(el.attributes)
+                .filter(attr => attr.name.startsWith('data-'))
+                .forEach((attr) => {
+                    findings.push({
+                        type: 'data-attribute',
+                        description: `Attribute ${attr.name}`,
+                        tag: el.tagName.toLowerCase(),
+                        content: attr.value,
+                    });
+                });
+
+            const reason = hiddenReason(el);
+            if (reason) {
+                findings.push({
+                    type: 'hidden-element',
+                    description: `Hidden <${el.tagName.toLowerCase()}> (${reason})`,
+                    tag: el.tagName.toLowerCase(),
+                    content: (el.textContent || el.getAttribute('value') || '').trim(),
+                });
+                return;
+            }
+
+            const tag = el.tagName.toUpperCase();
+            if (tag === 'BR') {
+                trimCollapsedSpace();
+                append('\n');
+                return;
+            }
+
+            const breaks = PARAGRAPH_TAGS.has(tag) ? 2 : (BLOCK_TAGS.has(tag) ? 1 : 0);
+            if (breaks) requestBreaks(breaks);
+            if (tag === 'PRE') preDepth++;
+            if (tag === 'TD' || tag === 'TH') {
+                if (el.previousElementSibling) append('\t');
+            }
+
+            el.childNodes.forEach(walk);
+
+            if (tag === 'PRE') preDepth--;
+            if (breaks) requestBreaks(breaks);
+        };
+
+        walk(doc.body);
+        trimCollapsedSpace();
+        return { text: out.join(''), findings };
+    }
+
+    // Elements kept by sanitize(); anything else is unwrapped (its content stays)
+    const ALLOWED_TAGS = new Set([
+        'A', 'B', 'BLOCKQUOTE', 'BR', 'CODE', 'DEL', 'DIV', 'EM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'I',
+        'IMG', 'LI', 'OL', 'P', 'PRE', 'S', 'STRONG', 'SUB', 'SUP', 'TABLE', 'TBODY', 'TD', 'TH', 'THEAD', 'TR',
+        'U', 'UL',
+    ]);
+
+    // Attributes kept by sanitize(), per tag ('*' applies to every tag)
+    const ALLOWED_ATTRIBUTES = {
+        '*': ['dir', 'lang'],
+        A: ['href', 'title'],
+        IMG: ['src', 'alt', 'title'],
+        OL: ['start'],
+        TD: ['colspan', 'rowspan'],
+        TH: ['colspan', 'rowspan'],
+    };
+
+    const SAFE_URL_REGEX = /^(?:https?:|mailto:|#|\/|\.)/i;
+    const SAFE_IMAGE_REGEX = /^(?:https?:|data:image\/(?:png|gif|jpe?g|webp);)/i;
+
+    /**
+     * Sanitize an HTML fragment while keeping its formatting: hidden elements,
+     * comments, scripts and styles are dropped, unknown elements are unwrapped,
+     * only harmless attributes survive, and every text node is passed through
+     * `cleanText` (e.g. WatermarkDetector.clean).
+     * @param {string} html
+     * @param {(text: string) => string} cleanText
+     * @returns {string} sanitized HTML
+     */
+    function sanitize(html, cleanText) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+
+        const sanitizeNode = (node) => {
+            Array.from(node.childNodes).forEach((child) => {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    child.nodeValue = cleanText(child.nodeValue);
+                    return;
+                }
+                if (child.nodeType !== Node.ELEMENT_NODE) {
+                    child.remove();
+                    return;
+                }
+
+                const tag = child.tagName.toUpperCase();
+                if (SKIPPED_TAGS.has(tag) || hiddenReason(child)) {
+                    child.remove();
+                    return;
+                }
+
+                sanitizeNode(child);
+
+                if (!ALLOWED_TAGS.has(tag)) {
+                    child.replaceWith(...child.childNodes);
+                    return;
+                }
+
+                const allowed = ALLOWED_ATTRIBUTES['*'].concat(ALLOWED_ATTRIBUTES[tag] || []);
+                Array.from(child.attributes).forEach((attr) => {
+                    const name = attr.name.toLowerCase();
+                    const value = attr.value.trim();
+                    if (!allowed.includes(name) ||
+                        (name === 'href' && !SAFE_URL_REGEX.test(value)) ||
+                        (name === 'src' && !SAFE_IMAGE_REGEX.test(value))) {
+                        child.removeAttribute(attr.name);
+                    }
+                });
+            });
+        };
+
+        sanitizeNode(doc.body);
+        return doc.body.innerHTML.trim();
+    }
+
+    // Public API
+    return {
+        parse,
+        sanitize,
+    };
+
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.HTMLSanitizer = HTMLSanitizer;
+}
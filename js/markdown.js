@@ -0,0 +1,304 @@
+/**
+ * TracesCleaner — Markdown conversion
+ * Small Markdown ⇄ HTML converter for the formatted output modes: renders the
+ * common subset AI answers use (headings, lists, emphasis, links, code,
+ * quotes, rules, tables) and turns sanitized HTML back into Markdown.
+ */
+
+const Markdown = (() => {
+
+    // =========================================================================
+    // Markdown → HTML
+    // =========================================================================
+
+    function escapeHTML(str) {
+        return str
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    const SAFE_URL_REGEX = /^(?:https?:|mailto:|#|\/|\.)/i;
+
+    /**
+     * Render inline Markdown: code spans, backslash escapes, images, links,
+     * bold, italic, strikethrough and hard line breaks.
+     */
+    function renderInline(text) {
+        // Code spans, escaped characters, images and link tags are set aside
+        // first, so emphasis never rewrites their content or URLs
+        const tokens = [];
+        const protect = (html) => {
+            tokens.push(html);
+            return `\u0000${tokens.length - 1}\u0000`;
+        };
+        const html = escapeHTML(text)
+            .replace(/`([^`]+)`/g, (m, code) => protect(`<code>${code}</code>`))
+            .replace(/\\([\\`*_[\]#>~|-])/g, (m, ch) => protect(ch))
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (m, alt, src) =>
+                (/^https?:/i.test(src) ? protect(`<img src="${src}" alt="${alt}">`) : m))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, href) =>
+                (SAFE_URL_REGEX.test(href) ? `${protect(`<a href="${href}">`)}${label}${protect('</a>')}` : m))
+            // As in CommonMark, _ only emphasizes between non-word characters (not in snake_case)
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(?<![\p{L}\p{N}_])__(?=\S)([\s\S]*?\S)__(?![\p{L}\p{N}_])/gu, '<strong>$1</strong>')
+            .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(?<![\p{L}\p{N}_])_(?=\S)([\s\S]*?\S)_(?![\p{L}\p{N}_])/gu, '<em>$1</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+        return html.replace(/\u0000(\d+)\u0000/g, (m, i) => tokens[Number(i)]);
+    }
+
+    /**
+     * Render list items ({ indent, tag, text }) from `start` as one list; items
+     * indented deeper than the first nest inside the item before them.
+     * @returns {{ html: string, next: number }} next: the first item not rendered
+     */
+    function renderList(items, start) {
+        const { indent, tag } = items[start];
+        let html = `<${tag}>`;
+        let i = start;
+        while (i < items.length && items[i].indent === indent && items[i].tag === tag) {
+            let item = renderInline(items[i].text);
+            i++;
+            while (i < items.length && items[i].indent > indent) {
+                const nested = renderList(items, i);
+                item += nested.html;
+                i = nested.next;
+            }
+            html += `<li>${item}</li>`;
+        }
+        return { html: `${html}</${tag}>`, next: i };
+    }
+
+    /**
+     * Render Markdown to HTML.
+     * @param {string} markdown
+     * @returns {string}
+     */
+    function toHTML(markdown) {
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+        const out = [];
+        let paragraph = [];
+        let list = null; // Array<{ indent: number, tag: 'ul' | 'ol', text: string }>
+        let quote = [];
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) out.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+            paragraph = [];
+        };
+        const flushList = () => {
+            for (let i = 0; list && i < list.length;) {
+                const rendered = renderList(list, i);
+                out.push(rendered.html);
+                i = rendered.next;
+            }
+            list = null;
+        };
+        const flushQuote = () => {
+            if (quote.length > 0) out.push(`<blockquote>${toHTML(quote.join('\n'))}</blockquote>`);
+            quote = [];
+        };
+        const flushAll = () => {
+            flushParagraph();
+            flushList();
+            flushQuote();
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            let m;
+
+            // Fenced code block
+            if ((m = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/.exec(line))) {
+                flushAll();
+                const fence = m[1];
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trimStart().startsWith(fence)) code.push(lines[i++]);
+                const lang = m[2] ? ` class="language-${escapeHTML(m[2])}"` : '';
+                out.push(`<pre><code${lang}>${escapeHTML(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            if ((m = /^ {0,3}>\s?(.*)$/.exec(line))) {
+                flushParagraph();
+                flushList();
+                quote.push(m[1]);
+                continue;
+            }
+            flushQuote();
+
+            if (!line.trim()) {
+                flushAll();
+                continue;
+            }
+
+            if ((m = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line))) {
+                flushAll();
+                out.push(`<h${m[1].length}>${renderInline(m[2])}</h${m[1].length}>`);
+                continue;
+            }
+
+            if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flushAll();
+                out.push('<hr>');
+                continue;
+            }
+
+            // Pipe table: header row, separator row, body rows
+            if (/^\s*\|/.test(line) && i + 1 < lines.length && /^\s*\|?\s*:?-{3,}/.test(lines[i + 1])) {
+                flushAll();
+                const cells = row => row.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => renderInline(cell.trim()));
+                const header = cells(line);
+                const body = [];
+                i += 2;
+                while (i < lines.length && /^\s*\|/.test(lines[i])) body.push(cells(lines[i++]));
+                i--;
+                out.push('<table><thead><tr>' + header.map(cell => `<th>${cell}</th>`).join('') + '</tr></thead><tbody>' +
+                    body.map(row => '<tr>' + row.map(cell => `<td>${cell}</td>`).join('') + '</tr>').join('') +
+                    '</tbody></table>');
+                continue;
+            }
+
+            // List item; indented items make nested lists (a tab counts as 4 spaces)
+            if ((m = /^(\s*)(?:([-*+])|(\d+)[.)])\s+(.*)$/.exec(line))) {
+                flushParagraph();
+                if (!list) list = [];
+                list.push({ indent: m[1].replace(/\t/g, '    ').length, tag: m[2] ? 'ul' : 'ol', text: m[4] });
+                continue;
+            }
+
+            // Continuation line of a list item or paragraph
+            if (list && /^\s+\S/.test(line)) {
+                list[list.length - 1].text += '\n' + line.trim();
+                continue;
+            }
+            flushList();
+            paragraph.push(line);
+        }
+
+        flushAll();
+        return out.join('\n');
+    }
+
+    // =========================================================================
+    // HTML → Markdown
+    // =========================================================================
+
+    // Elements converted to Markdown blocks; everything else is inline
+    const BLOCK_TAGS = new Set([
+        'BLOCKQUOTE', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'OL', 'P', 'PRE', 'TABLE', 'UL',
+    ]);
+
+    function escapeMarkdown(text) {
+        return text.replace(/([\\`*_[\]])/g, '\\$1');
+    }
+
+    /**
+     * Convert an HTML fragment (ideally already sanitized) to Markdown.
+     * @param {string} html
+     * @returns {string}
+     */
+    function fromHTML(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+
+        const inline = (node) => Array.from(node.childNodes).map(inlineNode).join('');
+
+        const inlineNode = (node) => {
+            if (node.nodeType === Node.TEXT_NODE) return escapeMarkdown(node.nodeValue.replace(/[ \t\n\r\f]+/g, ' '));
+            if (node.nodeType !== Node.ELEMENT_NODE) return '';
+            const tag = node.tagName.toUpperCase();
+            const content = inline(node);
+            switch (tag) {
+                case 'BR': return '\\\n';
+                case 'STRONG': case 'B': return content.trim() ? `**${content}**` : content;
+                case 'EM': case 'I': return content.trim() ? `*${content}*` : content;
+                case 'DEL': case 'S': return content.trim() ? `~~${content}~~` : content;
+                case 'CODE': return `\`${node.textContent}\``;
+                case 'A': return node.getAttribute('href') ? `[${content}](${node.getAttribute('href')})` : content;
+                case 'IMG': return `![${escapeMarkdown(node.getAttribute('alt') || '')}](${node.getAttribute('src') || ''})`;
+                default: return BLOCK_TAGS.has(tag) ? block(node).trim() : content;
+            }
+        };
+
+        const listItems = (node, depth) => {
+            const ordered = node.tagName.toUpperCase() === 'OL';
+            let number = Number(node.getAttribute('start')) || 1;
+            return Array.from(node.children)
+                .filter(li => li.tagName.toUpperCase() === 'LI')
+                .map((li) => {
+                    const marker = ordered ? `${number++}. ` : '- ';
+                    const indent = '    '.repeat(depth);
+                    const nested = [];
+                    const text = Array.from(li.childNodes)
+                        .filter((child) => {
+                            const isList = child.nodeType === Node.ELEMENT_NODE && /^(UL|OL)$/i.test(child.tagName);
+                            if (isList) nested.push(child);
+                            return !isList;
+                        })
+                        .map(inlineNode).join('').trim();
+                    return [indent + marker + text]
+                        .concat(nested.map(list => listItems(list, depth + 1)))
+                        .join('\n');
+                })
+                .join('\n');
+        };
+
+        const table = (node) => {
+            const rows = Array.from(node.querySelectorAll('tr')).map(tr =>
+                Array.from(tr.children).map(cell => inline(cell).trim().replace(/\|/g, '\\|')));
+            if (rows.length === 0) return '';
+            const width = Math.max(...rows.map(row => row.length));
+            const line = row => `| ${Array.from({ length: width }, (_, i) => row[i] || '').join(' | ')} |`;
+            return [line(rows[0]), line(Array(width).fill('---'))].concat(rows.slice(1).map(line)).join('\n');
+        };
+
+        const block = (node) => {
+            const parts = [];
+            let run = '';
+            const flushRun = () => {
+                if (run.trim()) parts.push(run.trim());
+                run = '';
+            };
+
+            Array.from(node.childNodes).forEach((child) => {
+                if (child.nodeType !== Node.ELEMENT_NODE || !BLOCK_TAGS.has(child.tagName.toUpperCase())) {
+                    run += inlineNode(child);
+                    return;
+                }
+                flushRun();
+                const tag = child.tagName.toUpperCase();
+                let m;
+                if ((m = /^H([1-6])$/.exec(tag))) parts.push(`${'#'.repeat(Number(m[1]))} ${inline(child).trim()}`);
+                else if (tag === 'P') parts.push(inline(child).trim());
+                else if (tag === 'UL' || tag === 'OL') parts.push(listItems(child, 0));
+                else if (tag === 'PRE') parts.push('```\n' + child.textContent.replace(/\n$/, '') + '\n```');
+                else if (tag === 'BLOCKQUOTE') parts.push(block(child).split('\n').map(l => `> ${l}`.trimEnd()).join('\n'));
+                else if (tag === 'HR') parts.push('---');
+                else if (tag === 'TABLE') parts.push(table(child));
+                else parts.push(block(child));
+            });
+            flushRun();
+            return parts.filter(Boolean).join('\n\n');
+        };
+
+        return block(doc.body);
+    }
+
+    // Public API
+    return {
+        toHTML,
+        fromHTML,
+    };
+
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.Markdown = Markdown;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Markdown;
+}
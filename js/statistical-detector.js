@@ -0,0 +1,242 @@
+/**
+ * TracesCleaner — Statistical Watermark Estimator
+ * Green-list watermark test after Kirchenbauer et al., "A Watermark for Large
+ * Language Models" (2023): a secret key and the previous token seed a
+ * pseudo-random split of the vocabulary into a green list (a fraction γ of it)
+ * and a red list. A generator nudged towards green tokens leaves text with
+ * more of them than chance allows, which shows up as a high z-score.
+ *
+ * Tokens are words or UTF-8 bytes rather than a model's tokenizer, and green
+ * membership hashes (key, previous token, token) — the same as a seeded
+ * permutation of an open vocabulary. A high score means the text matches this
+ * key and tokenizer; it says nothing about a provider's watermark without them.
+ */
+
+const StatisticalDetector = (() => {
+
+    // Defaults of the paper's reference implementation
+    const DEFAULT_KEY = 15485863;
+    const DEFAULT_GAMMA = 0.25;
+
+    // Below this many scored tokens a z-score is too noisy to go by
+    const MIN_TOKENS = 25;
+
+    // z-score from which text counts as watermarked (the paper's threshold)
+    const Z_THRESHOLD = 4;
+
+    // Words (with inner apostrophes) and single punctuation marks
+    const WORD_REGEX = /[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}\p{N}]+)*|[^\s\p{L}\p{M}\p{N}]/gu;
+
+    // Paragraphs are separated by blank lines
+    const PARAGRAPH_BREAK_REGEX = /\r?\n[ \t]*(?:\r?\n[ \t]*)+/g;
+
+    // =========================================================================
+    // Hashing
+    // =========================================================================
+
+    // FNV-1a over UTF-16 code units
+    function hashString(str) {
+        let h = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    // Combine two 32-bit values (murmur3 finalizer)
+    function mix(a, b) {
+        let h = (a ^ Math.imul(b, 0x9E3779B1)) >>> 0;
+        h ^= h >>> 16;
+        h = Math.imul(h, 0x85EBCA6B);
+        h ^= h >>> 13;
+        h = Math.imul(h, 0xC2B2AE35);
+        h ^= h >>> 16;
+        return h >>> 0;
+    }
+
+    function keyHash(key) {
+        return hashString(String(key === undefined ? DEFAULT_KEY : key));
+    }
+
+    // The green list of `previous` holds `token` with probability γ
+    function greenAfter(seed, previousId, tokenId, gamma) {
+        return mix(mix(seed, previousId), tokenId) / 0x100000000 < gamma;
+    }
+
+    // =========================================================================
+    // Tokenizers
+    // =========================================================================
+
+    /**
+     * Split text into tokens.
+     * @param {string} text
+     * @param {'word' | 'byte'} [tokenizer='word']
+     * @returns {Array<{ id: number, start: number, end: number }>}
+     *   `id` is the byte value or the word's hash; offsets are UTF-16 indexes
+     *   (every byte of a character has that character's range)
+     */
+    function tokenize(text, tokenizer = 'word') {
+        const tokens = [];
+        if (tokenizer === 'byte') {
+            const encoder = new TextEncoder();
+            let i = 0;
+            for (const ch of text) {
+                encoder.encode(ch).forEach(byte => tokens.push({ id: byte, start: i, end: i + ch.length }));
+                i += ch.length;
+            }
+            return tokens;
+        }
+        if (tokenizer !== 'word') throw new Error(`Unknown tokenizer: ${tokenizer}`);
+        for (const m of text.matchAll(WORD_REGEX)) {
+            tokens.push({ id: hashString(m[0]), start: m.index, end: m.index + m[0].length });
+        }
+        return tokens;
+    }
+
+    function tokenId(token, tokenizer) {
+        return tokenizer === 'byte' ? token : hashString(token);
+    }
+
+    // =========================================================================
+    // Statistics
+    // =========================================================================
+
+    /**
+     * z-score of `green` hits among `tokens` against the γ expected by chance
+     */
+    function zScore(green, tokens, gamma) {
+        if (tokens === 0) return 0;
+        return (green - gamma * tokens) / Math.sqrt(tokens * gamma * (1 - gamma));
+    }
+
+    // Complementary error function (Numerical Recipes erfcc; fractional error
+    // below 1.2e-7, so tail p-values stay meaningful)
+    function erfc(x) {
+        const z = Math.abs(x);
+        const t = 1 / (1 + 0.5 * z);
+        const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+            t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+            t * (-0.82215223 + t * 0.17087277)))))))));
+        return x >= 0 ? r : 2 - r;
+    }
+
+    /**
+     * One-sided p-value: the chance of a z-score at least this high in
+     * unwatermarked text
+     */
+    function pValue(z) {
+        return 0.5 * erfc(z / Math.SQRT2);
+    }
+
+    function score(tokens, green, gamma) {
+        const z = zScore(green, tokens, gamma);
+        return {
+            tokens,
+            green,
+            z,
+            p: pValue(z),
+            reliable: tokens >= MIN_TOKENS,
+            watermarked: tokens >= MIN_TOKENS && z >= Z_THRESHOLD,
+        };
+    }
+
+    // =========================================================================
+    // Public API
+    // =========================================================================
+
+    /**
+     * Whether `token` is on the green list that follows `previous`.
+     * @param {string | number} previous - a word, or a byte value for the byte tokenizer
+     * @param {string | number} token
+     * @param {{ key?: string | number, gamma?: number, tokenizer?: 'word' | 'byte' }} [options]
+     * @returns {boolean}
+     */
+    function isGreen(previous, token, options = {}) {
+        const tokenizer = options.tokenizer || 'word';
+        return greenAfter(keyHash(options.key), tokenId(previous, tokenizer), tokenId(token, tokenizer),
+            options.gamma || DEFAULT_GAMMA);
+    }
+
+    /**
+     * Score text for a green-list watermark, per paragraph and overall.
+     * @param {string} text
+     * @param {{ key?: string | number, gamma?: number, tokenizer?: 'word' | 'byte', ignoreRepeated?: boolean }} [options]
+     *   key: watermark key (default: 15485863); gamma: green-list fraction, 0-1 (default: 0.25);
+     *   ignoreRepeated: score each (previous token, token) pair once, so
+     *   repeated phrases don't inflate the score (default: true)
+     * @returns {{ key: string, gamma: number, tokenizer: string,
+     *   overall: { tokens: number, green: number, z: number, p: number, reliable: boolean, watermarked: boolean },
+     *   paragraphs: Array<{ start: number, end: number, tokens: number, green: number, z: number, p: number,
+     *     reliable: boolean, watermarked: boolean }> }}
+     *   `tokens` counts scored tokens (the first token has no predecessor)
+     */
+    function analyze(text, options = {}) {
+        const tokenizer = options.tokenizer || 'word';
+        const gamma = options.gamma || DEFAULT_GAMMA;
+        if (!(gamma > 0 && gamma < 1)) throw new Error('gamma must be between 0 and 1');
+        const seed = keyHash(options.key);
+        const ignoreRepeated = options.ignoreRepeated !== false;
+
+        // Paragraph ranges, each with its running counts
+        const paragraphs = [];
+        let start = 0;
+        for (const m of text.matchAll(PARAGRAPH_BREAK_REGEX)) {
+            paragraphs.push({ start, end: m.index, tokens: 0, green: 0 });
+            start = m.index + m[0].length;
+        }
+        paragraphs.push({ start, end: text.length, tokens: 0, green: 0 });
+
+        const tokens = tokenize(text, tokenizer);
+        const seen = new Set();
+        let paragraph = 0;
+        let totalTokens = 0;
+        let totalGreen = 0;
+        for (let i = 1; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (ignoreRepeated) {
+                const pair = `${tokens[i - 1].id}:${token.id}`;
+                if (seen.has(pair)) continue;
+                seen.add(pair);
+            }
+            while (token.start >= paragraphs[paragraph].end && paragraph < paragraphs.length - 1) paragraph++;
+            const green = greenAfter(seed, tokens[i - 1].id, token.id, gamma);
+            paragraphs[paragraph].tokens++;
+            totalTokens++;
+            if (green) {
+                paragraphs[paragraph].green++;
+                totalGreen++;
+            }
+        }
+
+        return {
+            key: String(options.key === undefined ? DEFAULT_KEY : options.key),
+            gamma,
+            tokenizer,
+            overall: score(totalTokens, totalGreen, gamma),
+            paragraphs: paragraphs
+                .filter(p => text.slice(p.start, p.end).trim())
+                .map(p => ({ start: p.start, end: p.end, ...score(p.tokens, p.green, gamma) })),
+        };
+    }
+
+    return {
+        DEFAULT_KEY,
+        DEFAULT_GAMMA,
+        MIN_TOKENS,
+        Z_THRESHOLD,
+        analyze,
+        isGreen,
+        tokenize,
+        pValue,
+    };
+
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.StatisticalDetector = StatisticalDetector;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatisticalDetector;
+}
@@ -69,9 +69,6 @@ const WatermarkDetector = (() => {
         '\uFFFA': { name: 'Interlinear Annotation Separator', code: 'U+FFFA', category: 'annotation' },
         '\uFFFB': { name: 'Interlinear Annotation Terminator', code: 'U+FFFB', category: 'annotation' },
 
-        // Tag characters (U+E0001-U+E007F) — used in some advanced watermarking
-        // We handle these via regex range since they're in supplementary plane
-
         // Arabic & other script format characters
         '\u061C': { name: 'Arabic Letter Mark', code: 'U+061C', category: 'direction' },
         '\u2066': { name: 'Left-to-Right Isolate', code: 'U+2066', category: 'direction' },
@@ -114,27 +111,60 @@ const WatermarkDetector = (() => {
         '\u3000': { name: 'Ideographic Space', code: 'U+3000', category: 'space' },
     };
 
+    // Tag characters (U+E0001-U+E007F) — used in some advanced watermarking —
+    // and the Variation Selectors Supplement (VS17-VS256, U+E0100-U+E01EF).
+    // These live in the supplementary plane, so they are keyed by their
+    // surrogate pair and generated instead of being listed one by one.
+    for (let cp = 0xE0001; cp <= 0xE007F; cp++) {
+        let name;
+        if (cp === 0xE0001) name = 'Language Tag';
+        else if (cp === 0xE0020) name = 'Tag Space';
+        else if (cp === 0xE007F) name = 'Cancel Tag';
+        else if (cp < 0xE0020) name = 'Unassigned Tag Character';
+        else name = `Tag '${String.fromCharCode(cp - 0xE0000)}'`;
+        INVISIBLE_CHARS[String.fromCodePoint(cp)] = { name, code: formatCodePoint(cp), category: 'tag' };
+    }
+    for (let cp = 0xE0100; cp <= 0xE01EF; cp++) {
+        INVISIBLE_CHARS[String.fromCodePoint(cp)] = {
+            name: `Variation Selector-${cp - 0xE0100 + 17}`,
+            code: formatCodePoint(cp),
+            category: 'variation',
+        };
+    }
+
+    // Characters the user allowed (see allowChar()): never reported,
+    // stripped or replaced, whatever the registries say
+    const ALLOWED_CHARS = new Set();
+
     // Build a regex that matches any invisible character in our map
-    // plus broad Unicode category Cf characters — EXCLUDING formatting (tab, LF, CR)
-    const STRIPPABLE_CHARS = Object.entries(INVISIBLE_CHARS)
-        .filter(([, v]) => v.category !== 'formatting')
-        .map(([k]) => k);
-
-    const INVISIBLE_REGEX = new RegExp(
-        '[' +
-        STRIPPABLE_CHARS.join('') +
-        '\\u0000-\\u0008' +    // C0 controls (except tab, newline, CR)
-        '\\u000B' +             // vertical tab
-        '\\u000E-\\u001F' +     // more C0 controls
-        '\\u007F' +             // DEL
-        '\\u0080-\\u009F' +     // C1 controls
-        ']',
-        'g'
-    );
-
-    // Supplementary plane: Tag characters (U+E0001-U+E007F) — advanced watermarking
-    // and Variation Selectors Supplement (U+E0100-U+E01EF)
-    const SUPPLEMENTARY_REGEX = /[\uDB40][\uDC01-\uDC7F]|[\uDB40][\uDD00-\uDDEF]/g;
+    // plus broad Unicode category Cf characters — EXCLUDING formatting (tab, LF, CR).
+    // Rebuilt by rebuildRules() whenever the registry changes.
+    function buildInvisibleRegex() {
+        const strippable = Object.entries(INVISIBLE_CHARS)
+            .filter(([k, v]) => v.category !== 'formatting' && !ALLOWED_CHARS.has(k))
+            .map(([k]) => classEscape(k));
+
+        // The 'u' flag makes the class match whole code points, which covers the
+        // supplementary-plane tag characters and variation selectors as well
+        return new RegExp(
+            '[' +
+            strippable.join('') +
+            '\\u0000-\\u0008' +    // C0 controls (except tab, newline, CR)
+            '\\u000B' +             // vertical tab
+            '\\u000E-\\u001F' +     // more C0 controls
+            '\\u007F' +             // DEL
+            '\\u0080-\\u009F' +     // C1 controls
+            ']',
+            'gu'
+        );
+    }
+
+    // Characters with a meaning inside [...]; registered characters can be anything
+    function classEscape(ch) {
+        return /[\\\]^-]/.test(ch) ? '\\' + ch : ch;
+    }
+
+    let INVISIBLE_REGEX = buildInvisibleRegex();
 
     // =========================================================================
     // Common homoglyph map: visually similar Unicode → ASCII
@@ -212,14 +242,240 @@ const WatermarkDetector = (() => {
         '\u200A': ' ', '\u205F': ' ', '\u3000': ' ', // Various space chars
     };
 
-    const HOMOGLYPH_REGEX = new RegExp('[' + Object.keys(HOMOGLYPHS).join('') + ']', 'g');
+    // Merge in the generated Unicode confusables table (js/confusables.js, built
+    // by scripts/build-confusables.js) — mathematical alphanumerics, Cherokee,
+    // Armenian, small capitals, enclosed letters, ... The hand-written entries
+    // above take precedence. In Node the table is loaded with require().
+    const GENERATED_CONFUSABLES = typeof CONFUSABLES !== 'undefined' ? CONFUSABLES
+        : (typeof require === 'function' ? require('./confusables.js') : {});
+    for (const [ch, ascii] of Object.entries(GENERATED_CONFUSABLES)) {
+        if (!(ch in HOMOGLYPHS)) HOMOGLYPHS[ch] = ascii;
+    }
+
+    // 'u' flag: many confusables are outside the BMP
+    function buildHomoglyphRegex() {
+        const chars = Object.keys(HOMOGLYPHS).filter(ch => !ALLOWED_CHARS.has(ch)).map(classEscape);
+        return new RegExp('[' + chars.join('') + ']', 'gu');
+    }
+
+    let HOMOGLYPH_REGEX = buildHomoglyphRegex();
+
+    // Zero-width characters that binary watermarking schemes map to bits
+    // or use as separators between encoded groups
+    const ZERO_WIDTH_BIT_CHARS = {
+        '\u200B': 'ZWSP',
+        '\u200C': 'ZWNJ',
+        '\u200D': 'ZWJ',
+        '\u2060': 'WJ',
+        '\uFEFF': 'BOM',
+    };
+
+    // Look-alikes embed() swaps in for a 1 bit with the 'homoglyph' method.
+    // Each maps back to its letter in HOMOGLYPHS, so clean() undoes them.
+    const EMBED_HOMOGLYPHS = {
+        a: '\u0430', c: '\u0441', e: '\u0435', i: '\u0456', j: '\u0458', o: '\u043E', p: '\u0440',
+        s: '\u0455', x: '\u0445', y: '\u0443', A: '\u0410', B: '\u0412', C: '\u0421', E: '\u0415',
+        H: '\u041D', J: '\u0408', K: '\u041A', M: '\u041C', O: '\u041E', P: '\u0420', S: '\u0405',
+        T: '\u0422', X: '\u0425', Y: '\u04AE',
+    };
+
+    // Look-alike → the letter it stands in for
+    const EMBED_HOMOGLYPH_LETTERS = new Map(Object.entries(EMBED_HOMOGLYPHS).map(([letter, lookalike]) => [lookalike, letter]));
+
+    // Gaps between words that carry a bit with the 'whitespace' method
+    const EMBED_GAP_REGEX = /(?<=\S) +(?=\S)/g;
+
+    const EMBED_METHODS = ['zero-width', 'tag', 'variation', 'homoglyph', 'whitespace'];
+
+    // Scripts where ZWNJ/ZWJ between letters control shaping and carry meaning
+    // (Persian and other Arabic-script languages, Indic scripts, Syriac, ...)
+    const JOINING_SCRIPT_REGEX = new RegExp('[' + [
+        'Arabic', 'Syriac', 'Nko', 'Mongolian', 'Devanagari', 'Bengali', 'Gurmukhi', 'Gujarati',
+        'Oriya', 'Tamil', 'Telugu', 'Kannada', 'Malayalam', 'Sinhala', 'Khmer', 'Myanmar',
+    ].map(script => `\\p{scx=${script}}`).join('') + ']', 'u');
+
+    // Characters that can sit in front of a ZWJ inside an emoji ZWJ sequence
+    // (the pictograph itself, a skin-tone modifier or a VS16 presentation selector)
+    const EMOJI_ZWJ_LEFT_REGEX = /[\p{Extended_Pictographic}\p{Emoji_Modifier}\uFE0F]/u;
+    const EMOJI_PICTOGRAPHIC_REGEX = /\p{Extended_Pictographic}/u;
+    const EMOJI_REGEX = /\p{Emoji}/u;
+
+    // Named entities decoded by clean({ stripHTML: true }). Numeric references
+    // (&#8203; / &#x200B;) are decoded separately, so this only needs the names
+    // that show up in copied web text.
+    const HTML_ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+        nbsp: '\u00A0', ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009',
+        zwsp: '\u200B', zwnj: '\u200C', zwj: '\u200D', lrm: '\u200E', rlm: '\u200F', shy: '\u00AD',
+        ndash: '\u2013', mdash: '\u2014', hyphen: '\u2010', minus: '\u2212',
+        lsquo: '\u2018', rsquo: '\u2019', sbquo: '\u201A', ldquo: '\u201C', rdquo: '\u201D', bdquo: '\u201E',
+        laquo: '\u00AB', raquo: '\u00BB', lsaquo: '\u2039', rsaquo: '\u203A',
+        hellip: '\u2026', bull: '\u2022', middot: '\u00B7', prime: '\u2032', Prime: '\u2033',
+        copy: '\u00A9', reg: '\u00AE', trade: '\u2122', sect: '\u00A7', para: '\u00B6', deg: '\u00B0',
+        times: '\u00D7', divide: '\u00F7', plusmn: '\u00B1', frac12: '\u00BD', frac14: '\u00BC', frac34: '\u00BE',
+        euro: '\u20AC', pound: '\u00A3', yen: '\u00A5', cent: '\u00A2',
+        larr: '\u2190', rarr: '\u2192', uarr: '\u2191', darr: '\u2193', harr: '\u2194',
+        le: '\u2264', ge: '\u2265', ne: '\u2260', asymp: '\u2248', infin: '\u221E',
+        iexcl: '\u00A1', iquest: '\u00BF', dagger: '\u2020', Dagger: '\u2021', permil: '\u2030',
+    };
+
+    // Accented Latin-1 letters, U+00C0–U+00FF in order (&eacute; → é)
+    ('Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ' +
+     'ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig ' +
+     'agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml ' +
+     'eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml')
+        .split(' ')
+        .forEach((name, i) => { HTML_ENTITIES[name] = String.fromCharCode(0xC0 + i); });
+
+    // Character reference: named (&amp;), decimal (&#8203;) or hex (&#x200B;)
+    const HTML_ENTITY_REGEX = /&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([A-Za-z][A-Za-z0-9]*));/g;
+
+    // Block-level closing tags and <br>, which become line breaks when tags are stripped
+    const HTML_BREAK_TAG_REGEX = /^<(?:br\b|\/(?:p|div|li|h[1-6]|tr|blockquote|pre|ul|ol|table|section|article)\s*>)/i;
+
+    // Typography marks, for detectTypography() and clean()'s typography options.
+    // Curly quotes map to their straight ASCII counterparts.
+    const SMART_QUOTES = {
+        '\u2018': "'", '\u2019': "'", '\u201A': "'", '\u201B': "'",
+        '\u201C': '"', '\u201D': '"', '\u201E': '"', '\u201F': '"',
+    };
+    const SMART_QUOTE_REGEX = /[\u2018-\u201F]/g;
+    const EM_DASH_REGEX = /\u2014/g;
+    // An em dash with the single spaces around it, replaced as a unit
+    const SPACED_EM_DASH_REGEX = / ?\u2014 ?/g;
+    const ELLIPSIS_REGEX = /\u2026/g;
+    // Bullets (•, ◦, ‣, ⁃) that start a line, after any indentation
+    const BULLET_REGEX = /(?<=^[ \t]*)[\u2022\u25E6\u2023\u2043]/gm;
+
+    // clean()'s emDash option: what an em dash (with the spaces around it) becomes
+    const EM_DASH_STYLES = {
+        'spaced': () => ' - ',
+        'double': match => match.replace('\u2014', '--'),
+    };
+
+    // Segments that Unicode normalization can change as a unit: a Hangul jamo
+    // syllable, a precomposed Hangul LV syllable plus trailing jamo, or any
+    // character with its combining marks
+    const NORMALIZATION_SEGMENT_REGEX =
+        /[\u1100-\u1112][\u1161-\u1175][\u11A8-\u11C2]?|[\uAC00-\uD7A3][\u11A8-\u11C2]|\P{M}\p{M}*|\p{M}+/gu;
+
+    // Scripts told apart by the per-word script analysis of homoglyph detection.
+    // Letters outside these count as 'Other'.
+    const SCRIPT_TESTS = [
+        'Latin', 'Greek', 'Cyrillic', 'Armenian', 'Cherokee', 'Georgian', 'Hebrew', 'Arabic',
+        'Syriac', 'Thaana', 'Devanagari', 'Bengali', 'Gurmukhi', 'Gujarati', 'Oriya', 'Tamil',
+        'Telugu', 'Kannada', 'Malayalam', 'Sinhala', 'Thai', 'Lao', 'Tibetan', 'Myanmar',
+        'Ethiopic', 'Khmer', 'Mongolian', 'Han', 'Hiragana', 'Katakana', 'Hangul', 'Bopomofo',
+    ].map(name => [name, new RegExp(`\\p{sc=${name}}`, 'u')]);
+
+    // Scripts that are normally written together in one word
+    const SCRIPT_GROUPS = { Han: 'CJK', Hiragana: 'CJK', Katakana: 'CJK', Hangul: 'CJK', Bopomofo: 'CJK' };
+
+    // Scripts that never make a word "mixed" on their own
+    const NEUTRAL_SCRIPTS = new Set(['Common', 'Inherited', 'Compatibility']);
 
     // Categories that are "formatting" — detected/shown but NOT stripped by clean()
     const FORMATTING_CATEGORIES = new Set(['formatting']);
 
-    // Categories that are unusual spaces — detected and optionally stripped
+    // Categories that are unusual spaces — replaced by a plain space when stripped
     const SPACE_CATEGORIES = new Set(['space']);
 
+    // Human-readable labels for every strippable category, in display order
+    const CATEGORY_LABELS = {
+        'zero-width': 'Zero-width characters',
+        'direction': 'Direction marks & overrides',
+        'joiner': 'Word joiner',
+        'math-invisible': 'Invisible math operators',
+        'bom': 'Byte order mark',
+        'variation': 'Variation selectors',
+        'tag': 'Tag characters',
+        'format': 'Format characters (soft hyphen, …)',
+        'separator': 'Line / paragraph separators',
+        'annotation': 'Interlinear annotations',
+        'filler': 'Hangul fillers',
+        'space': 'Unusual spaces (→ normal space)',
+        'control': 'Control characters',
+        'custom': 'Custom characters',
+    };
+
+    // Everything clean() strips by default: every registry category except
+    // formatting, plus the C0/C1 controls matched outside the registry
+    // ('custom' only once a registered character uses it)
+    function strippableCategories() {
+        return [...new Set([
+            ...Object.keys(CATEGORY_LABELS).filter(category => category !== 'custom'),
+            ...Object.values(INVISIBLE_CHARS).map(v => v.category),
+        ])].filter(category => !FORMATTING_CATEGORIES.has(category));
+    }
+
+    let STRIPPABLE_CATEGORIES = strippableCategories();
+
+    // Unicode normalization forms clean() can apply
+    const NORMALIZATION_FORMS = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+
+    // Kinds of compatibility character (the ones NFKC folds and NFC keeps), for
+    // detectCompatibility() and clean()'s fold option. The first match wins.
+    const COMPATIBILITY_KINDS = [
+        { id: 'space', label: 'Spaces', regex: /\p{Zs}/u },
+        { id: 'ligature', label: 'Ligatures', regex: /[\u0132\u0133\u013F\u0140\u01C4-\u01CC\u01F1-\u01F3\uFB00-\uFB06\uFB13-\uFB17]/u },
+        {
+            id: 'superscript',
+            label: 'Superscripts and modifier letters',
+            regex: /[\u00AA\u00B2\u00B3\u00B9\u00BA\u02B0-\u02B8\u02E0-\u02E4\u1D2C-\u1D61\u1D78\u1D9B-\u1DBF\u2070-\u207F\u2C7D\uA69C\uA69D\uA770\uA7F2-\uA7F4\uA7F8\uA7F9\uAB5C-\uAB5F]/u,
+        },
+        { id: 'subscript', label: 'Subscripts', regex: /[\u1D62-\u1D6A\u2080-\u209C\u2C7C]/u },
+        { id: 'fraction', label: 'Fractions', regex: /[\u00BC-\u00BE\u2150-\u215F\u2189]/u },
+        { id: 'enclosed', label: 'Circled, parenthesized and squared', regex: /[\u2460-\u24FF\u3200-\u33FF\u{1F100}-\u{1F1FF}]/u },
+        { id: 'width', label: 'Fullwidth and halfwidth forms', regex: /[\uFF00-\uFFEF]/u },
+        { id: 'styled', label: 'Styled letters and digits', regex: /[\u2100-\u214F\u{1D400}-\u{1D7FF}\u{1FBF0}-\u{1FBF9}]/u },
+        { id: 'other', label: 'Other compatibility characters', regex: /[^]/u },
+    ];
+
+    // =========================================================================
+    // Cleaning profiles — named sets of clean() options, used with
+    // clean(text, { profile: 'code' }); options given alongside win
+    // =========================================================================
+    const CLEAN_PROFILES = {
+        'email': {
+            label: 'Email',
+            description: 'Mail copied from a web client: HTML stripped, emoji kept, fenced code left alone, curly quotes straightened',
+            options: {
+                stripHTML: true, contextAware: true, fixHomoglyphs: true, trimTrailing: true,
+                straightQuotes: true, expandEllipsis: true, textType: 'mixed',
+            },
+        },
+        'code': {
+            label: 'Code',
+            description: 'Source code: every invisible character (bidi controls included) removed, nothing else touched',
+            options: { normalize: false, contextAware: true, textType: 'code' },
+        },
+        'academic': {
+            label: 'Academic',
+            description: 'Typeset papers: no-break and thin spaces kept, Greek and Cyrillic words untouched',
+            options: {
+                // Every strippable category but spaces, custom ones included
+                get categories() { return STRIPPABLE_CATEGORIES.filter(category => category !== 'space'); },
+                contextAware: true, fixHomoglyphs: true, trimTrailing: true, textType: 'mixed',
+            },
+        },
+        'social': {
+            label: 'Social',
+            description: 'Posts and comments: HTML stripped, emoji kept, whitespace tidied',
+            options: {
+                stripHTML: true, contextAware: true, fixHomoglyphs: true, trimTrailing: true, collapseSpaces: true,
+                textType: 'prose',
+            },
+        },
+        'strict': {
+            label: 'Strict',
+            description: 'Everything: no joiners kept, compatibility characters folded (NFKC), typography made ASCII, whitespace tidied',
+            options: {
+                normalize: 'NFKC', stripHTML: true, fixHomoglyphs: true, trimTrailing: true, collapseSpaces: true,
+                straightQuotes: true, emDash: 'spaced', expandEllipsis: true, plainBullets: true, textType: 'prose',
+            },
+        },
+    };
+
     // =========================================================================
     // AI-Specific Watermark Patterns
     // Maps known AI providers to the watermark techniques they use
@@ -288,90 +544,344 @@ const WatermarkDetector = (() => {
     /**
      * Detect invisible/hidden characters in text.
      * @param {string} text - Input text
-     * @param {{ includeFormatting?: boolean }} options
+     * @param {{ includeFormatting?: boolean, contextAware?: boolean }} options
      *   includeFormatting: if true, also count newlines/tabs/CR (like CleanPaste does)
-     * @returns {{ total: number, chars: Map<string, { info: object, count: number, positions: number[] }> }}
+     *   contextAware: if true, ZWJ/ZWNJ/VS16 that belong to an emoji sequence or a
+     *   script that needs them are listed under `legitimate` instead of being flagged
+     * @returns {{ total: number, chars: Map<string, { info: object, count: number, positions: number[] }>,
+     *   legitimate: Map<string, { info: object, count: number, positions: number[] }> }}
      */
     function detect(text, options = {}) {
-        const includeFormatting = options.includeFormatting || false;
-        const chars = new Map();
-        let total = 0;
+        const result = { total: 0, chars: new Map(), legitimate: new Map() };
+        let i = 0;
+
+        // Walk code points, not code units, so supplementary-plane characters
+        // (tag characters, VS17-VS256) are looked up as a single character
+        for (const ch of text) {
+            recordChar(result, ch, i, text, i, options);
+            i += ch.length;
+        }
 
-        for (let i = 0; i < text.length; i++) {
-            const ch = text[i];
-            const info = INVISIBLE_CHARS[ch];
+        return result;
+    }
 
-            if (info) {
-                // Skip formatting chars unless includeFormatting is set
-                if (!includeFormatting && FORMATTING_CATEGORIES.has(info.category)) {
-                    continue;
-                }
-                total++;
-                if (!chars.has(ch)) {
-                    chars.set(ch, { info, count: 0, positions: [] });
+    /**
+     * Add one character to a detect() result if it is a hidden character.
+     * `offset` is its position in the whole input, `index` its position in
+     * `text`, which only needs to hold enough context around it for
+     * isLegitimateChar().
+     */
+    function recordChar(result, ch, offset, text, index, options) {
+        const info = lookupChar(ch);
+        if (!info) return;
+
+        // Skip formatting chars unless includeFormatting is set
+        if (!options.includeFormatting && FORMATTING_CATEGORIES.has(info.category)) {
+            return;
+        }
+
+        const bucket = options.contextAware && isLegitimateChar(text, index, ch) ? result.legitimate : result.chars;
+        if (bucket === result.chars) result.total++;
+        if (!bucket.has(ch)) {
+            bucket.set(ch, { info, count: 0, positions: [] });
+        }
+        const entry = bucket.get(ch);
+        entry.count++;
+        entry.positions.push(offset);
+    }
+
+    // Code units of text kept on either side of a chunk boundary by
+    // createDetector(): enough for isLegitimateChar() to see a whole emoji tag
+    // sequence (black flag, MAX_EMOJI_TAGS tags, cancel tag)
+    const STREAM_CONTEXT = 80;
+
+    /**
+     * Incremental detect() for text that arrives in chunks — a file being
+     * read, or a large input split up so progress can be reported. A chunk
+     * may end in the middle of a surrogate pair, an emoji sequence or a CRLF:
+     * the last few code units of each chunk are held back until the next one
+     * arrives. Positions are offsets into the whole input, and end() returns
+     * what detect() returns for the concatenated text, plus its line endings
+     * (a CRLF split across two chunks is still one line ending).
+     * @param {{ includeFormatting?: boolean, contextAware?: boolean }} options - as for detect()
+     * @returns {{ write: (chunk: string) => void, end: () => { total: number, chars: Map, legitimate: Map,
+     *   lineEndings: { crlf: number, lf: number, cr: number } }, readonly offset: number }}
+     *   `offset` is how much of the input has been examined so far
+     */
+    function createDetector(options = {}) {
+        const result = { total: 0, chars: new Map(), legitimate: new Map() };
+        const lineEndings = { crlf: 0, lf: 0, cr: 0 };
+        let context = ''; // examined text just before `pending`
+        let pending = ''; // text not examined yet
+        let base = 0;     // offset of `pending` in the whole input
+        let ended = false;
+
+        // Examine the first `limit` code units of `pending` (a surrogate pair
+        // straddling the limit is taken whole)
+        const examine = (limit) => {
+            const text = context + pending;
+            const start = context.length;
+            let i = start;
+            while (i < start + limit) {
+                const ch = String.fromCodePoint(text.codePointAt(i));
+                if (ch === '\r') {
+                    if (text[i + 1] === '\n') lineEndings.crlf++;
+                    else lineEndings.cr++;
+                } else if (ch === '\n' && text[i - 1] !== '\r') {
+                    lineEndings.lf++;
                 }
-                const entry = chars.get(ch);
-                entry.count++;
-                entry.positions.push(i);
-            } else {
-                // Check for C0/C1 controls not in our map
-                const code = ch.charCodeAt(0);
-                if (
-                    (code >= 0 && code <= 8) ||
-                    code === 0x0B ||
-                    (code >= 0x0E && code <= 0x1F) ||
-                    code === 0x7F ||
-                    (code >= 0x80 && code <= 0x9F)
-                ) {
-                    total++;
-                    const hex = 'U+' + code.toString(16).toUpperCase().padStart(4, '0');
-                    const controlInfo = { name: `Control Character`, code: hex, category: 'control' };
-                    if (!chars.has(ch)) {
-                        chars.set(ch, { info: controlInfo, count: 0, positions: [] });
-                    }
-                    const entry = chars.get(ch);
-                    entry.count++;
-                    entry.positions.push(i);
+                recordChar(result, ch, base + i - start, text, i, options);
+                i += ch.length;
+            }
+            context = text.slice(Math.max(0, i - STREAM_CONTEXT), i);
+            pending = text.slice(i);
+            base += i - start;
+        };
+
+        return {
+            write(chunk) {
+                if (ended) throw new Error('write() after end()');
+                pending += chunk;
+                if (pending.length > 2 * STREAM_CONTEXT) examine(pending.length - STREAM_CONTEXT);
+            },
+            end() {
+                if (!ended) {
+                    examine(pending.length);
+                    ended = true;
                 }
+                return { ...result, lineEndings };
+            },
+            get offset() {
+                return base;
+            },
+        };
+    }
+
+    /**
+     * Check whether an invisible character at `index` is doing a legitimate job:
+     * - ZWJ inside an emoji ZWJ sequence (👨‍👩‍👧) or between letters of a joining script
+     * - ZWNJ between letters of a joining script (Persian, Hindi, ...)
+     * - VS16 requesting emoji presentation of an emoji-capable character (❤️, 1️⃣)
+     * - tag characters forming an emoji tag sequence (🏴 subdivision flags)
+     */
+    function isLegitimateChar(text, index, ch) {
+        const prev = charBefore(text, index);
+        const next = charAt(text, index + ch.length);
+
+        switch (ch) {
+            case '\u200D':
+                // A VS16 in front only counts if it stays, so that a second
+                // clean does not find the ZWJ stranded after a plain letter
+                if (prev === '\uFE0F' && !isLegitimateChar(text, index - 1, prev)) return false;
+                return (EMOJI_ZWJ_LEFT_REGEX.test(prev) && EMOJI_PICTOGRAPHIC_REGEX.test(next)) ||
+                    (isJoiningScriptChar(prev) && isJoiningScriptChar(next));
+            case '\u200C':
+                return isJoiningScriptChar(prev) && isJoiningScriptChar(next);
+            case '\uFE0F':
+                return EMOJI_REGEX.test(prev);
+            default: {
+                const cp = ch.codePointAt(0);
+                return cp >= 0xE0020 && cp <= 0xE007F && isEmojiTagSequence(text, index);
             }
         }
+    }
 
-        return { total, chars };
+    function isJoiningScriptChar(ch) {
+        return /[\p{L}\p{M}]/u.test(ch) && JOINING_SCRIPT_REGEX.test(ch);
+    }
+
+    // Subdivision flags use a handful of tags; a longer run is a payload,
+    // not a flag
+    const MAX_EMOJI_TAGS = 32;
+
+    /**
+     * Check whether the tag character at `index` is part of an emoji tag sequence:
+     * U+1F3F4 (black flag), lowercase letters/digits as tags, then U+E007F (cancel tag)
+     */
+    function isEmojiTagSequence(text, index) {
+        let start = index;
+        while (start > 0 && index - start < 2 * MAX_EMOJI_TAGS) {
+            const cp = charBefore(text, start).codePointAt(0);
+            if (cp < 0xE0020 || cp > 0xE007E) break;
+            start -= 2;
+        }
+        if (charBefore(text, start) !== '\u{1F3F4}') return false;
+
+        for (let i = start; i < text.length && i <= start + 2 * MAX_EMOJI_TAGS; i += 2) {
+            const cp = text.codePointAt(i);
+            if (cp === 0xE007F) return i > start;
+            const isTagAlnum = (cp >= 0xE0030 && cp <= 0xE0039) || (cp >= 0xE0061 && cp <= 0xE007A);
+            if (!isTagAlnum) return false;
+        }
+        return false;
     }
 
     /**
-     * Detect homoglyph substitutions
+     * The whole code point starting at `index` ('' past the end)
+     */
+    function charAt(text, index) {
+        if (index >= text.length) return '';
+        return String.fromCodePoint(text.codePointAt(index));
+    }
+
+    /**
+     * The whole code point ending just before `index` ('' at the start)
+     */
+    function charBefore(text, index) {
+        if (index <= 0) return '';
+        const low = text.charCodeAt(index - 1);
+        if (low >= 0xDC00 && low <= 0xDFFF && index >= 2) {
+            const high = text.charCodeAt(index - 2);
+            if (high >= 0xD800 && high <= 0xDBFF) return text.slice(index - 2, index);
+        }
+        return text[index - 1];
+    }
+
+    /**
+     * Detect homoglyph substitutions. Letters are judged per word (see
+     * analyzeScripts()): a confusable is only flagged inside a word that is
+     * otherwise Latin, so genuine Russian or Greek text is left alone. Words
+     * that genuinely mix scripts are reported separately in `mixedScript`.
      * @param {string} text
-     * @returns {{ total: number, chars: Map<string, { original: string, replacement: string, count: number }> }}
+     * @returns {{ total: number, chars: Map<string, { original: string, code: string, replacement: string, count: number,
+     *   positions: number[], occurrences: Array<{ offset: number, length: number, line: number, column: number, context: string }> }>,
+     *   mixedScript: Array<{ word: string, scripts: string[], offset: number, length: number, line: number, column: number, context: string }> }}
      */
     function detectHomoglyphs(text) {
         const chars = new Map();
+        const locate = createLocator(text);
+        const analysis = analyzeScripts(text);
         let total = 0;
 
-        for (let i = 0; i < text.length; i++) {
-            const ch = text[i];
-            const replacement = HOMOGLYPHS[ch];
-            if (replacement && !isExpectedChar(text, i, ch)) {
+        let i = 0;
+
+        for (const ch of text) {
+            const index = i;
+            i += ch.length;
+
+            const replacement = homoglyphOf(ch);
+            if (replacement && !isExpectedChar(text, index, ch, analysis)) {
                 total++;
                 if (!chars.has(ch)) {
-                    const code = 'U+' + ch.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0');
-                    chars.set(ch, { original: ch, code, replacement, count: 0 });
+                    const code = formatCodePoint(ch.codePointAt(0));
+                    chars.set(ch, { original: ch, code, replacement, count: 0, positions: [], occurrences: [] });
                 }
-                chars.get(ch).count++;
+                const entry = chars.get(ch);
+                entry.count++;
+                entry.positions.push(index);
+                entry.occurrences.push(locate(index, ch.length));
             }
         }
 
-        return { total, chars };
+        const mixedScript = analysis.mixedWords.map(w => ({
+            word: w.word,
+            scripts: w.scripts,
+            ...locate(w.offset, w.word.length),
+        }));
+
+        return { total, chars, mixedScript };
+    }
+
+    /**
+     * Per-word script analysis.
+     * For each word, the scripts of its non-confusable letters decide what the
+     * word is written in; a word made only of confusables takes the script of
+     * its neighbouring words, or the dominant script of the whole text. A confusable letter is a substitution when the
+     * word is Latin and the letter is not (Cyrillic "о" in "gооgle", fullwidth
+     * letters in English text). A word is mixed-script when its remaining
+     * letters span more than one script group.
+     * @param {string} text
+     * @returns {{ flagged: Set<number>, mixedWords: Array<{ word: string, offset: number, scripts: string[] }> }}
+     */
+    function analyzeScripts(text) {
+        const flagged = new Set();
+        const mixedWords = [];
+        const words = [...text.matchAll(/[\p{L}\p{M}\p{N}]+/gu)].map(m => {
+            const letters = [];
+            let offset = m.index;
+            for (const ch of m[0]) {
+                if (/[\p{L}\p{N}]/u.test(ch)) letters.push({ ch, offset, script: scriptOf(ch) });
+                offset += ch.length;
+            }
+            const baseScripts = new Set(letters.filter(l => !homoglyphOf(l.ch)).map(l => l.script));
+            return { word: m[0], offset: m.index, letters, baseScripts };
+        });
+
+        // Dominant script of the text, from letters that are not confusables
+        const counts = {};
+        words.forEach(w => w.letters.forEach(l => {
+            if (!homoglyphOf(l.ch)) counts[l.script] = (counts[l.script] || 0) + 1;
+        }));
+        const ranked = Object.keys(counts).filter(sc => !NEUTRAL_SCRIPTS.has(sc)).sort((a, b) => counts[b] - counts[a]);
+        const dominant = ranked[0] || 'Latin';
+
+        // A word made only of confusables takes its script from the nearest
+        // words on either side that have one, else from the whole text
+        const contextScripts = (index) => {
+            const scripts = new Set();
+            for (const step of [-1, 1]) {
+                for (let k = index + step; k >= 0 && k < words.length; k += step) {
+                    if (words[k].baseScripts.size > 0) {
+                        words[k].baseScripts.forEach(sc => scripts.add(sc));
+                        break;
+                    }
+                }
+            }
+            return scripts.size > 0 ? scripts : new Set([dominant]);
+        };
+
+        words.forEach((w, index) => {
+            const wordScripts = w.baseScripts.size > 0 ? w.baseScripts : contextScripts(index);
+
+            const remaining = new Set();
+            for (const letter of w.letters) {
+                if (homoglyphOf(letter.ch) && wordScripts.has('Latin') && letter.script !== 'Latin') {
+                    flagged.add(letter.offset);
+                } else if (!NEUTRAL_SCRIPTS.has(letter.script)) {
+                    remaining.add(SCRIPT_GROUPS[letter.script] || letter.script);
+                }
+            }
+
+            if (remaining.size > 1) {
+                const scripts = [...new Set(w.letters
+                    .filter(l => !flagged.has(l.offset) && !NEUTRAL_SCRIPTS.has(l.script))
+                    .map(l => l.script))];
+                mixedWords.push({ word: w.word, offset: w.offset, scripts });
+            }
+        });
+
+        return { flagged, mixedWords };
+    }
+
+    // IPA Extensions and Phonetic Extensions (ʜ, ᴇ, ɑ, ...)
+    const PHONETIC_REGEX = /[\u0250-\u02AF\u1D00-\u1DBF]/u;
+
+    /**
+     * Script of a single letter or digit. Compatibility variants (fullwidth, styled and
+     * other letters that NFKC folds away) and phonetic letters such as small
+     * capitals, which never appear in ordinary words, get the pseudo-script
+     * 'Compatibility'.
+     */
+    function scriptOf(ch) {
+        if (ch.normalize('NFKC') !== ch || PHONETIC_REGEX.test(ch)) return 'Compatibility';
+        for (const [name, regex] of SCRIPT_TESTS) {
+            if (regex.test(ch)) return name;
+        }
+        if (/\p{sc=Common}/u.test(ch)) return 'Common';
+        if (/\p{sc=Inherited}/u.test(ch)) return 'Inherited';
+        return 'Other';
     }
 
     /**
-     * Check if a character might be expected in context (very simple heuristic):
-     * Non-breaking spaces and special dashes/quotes are common in copy-pasted text
-     * so only flag them if there's a pattern suggesting watermarking
+     * Check if a homoglyph candidate is expected in context:
+     * letters and digits are only substitutions where analyzeScripts() flagged them;
+     * non-breaking spaces and typographic dashes/quotes are common in copy-pasted
+     * text, so they are never flagged
      */
-    function isExpectedChar(text, index, ch) {
-        // Non-breaking space and typographic quotes are common in normal text,
-        // don't flag them as homoglyphs
+    function isExpectedChar(text, index, ch, analysis) {
+        if (/[\p{L}\p{N}]/u.test(ch)) {
+            return !analysis.flagged.has(index);
+        }
         const code = ch.charCodeAt(0);
         if (code === 0x00A0 || code === 0x2018 || code === 0x2019 ||
             code === 0x201C || code === 0x201D || code === 0x2013 || code === 0x2014) {
@@ -383,121 +893,700 @@ const WatermarkDetector = (() => {
     /**
      * Remove all invisible characters from text
      * @param {string} text
-     * @param {{ normalize?: boolean, fixHomoglyphs?: boolean, stripSpaces?: boolean, stripHTML?: boolean }} options
+     * @param {{ profile?: string, categories?: Iterable<string>, normalize?: boolean | 'NFC' | 'NFD' | 'NFKC' | 'NFKD',
+     *   fold?: Iterable<string>, fixHomoglyphs?: boolean, stripHTML?: boolean, contextAware?: boolean,
+     *   straightQuotes?: boolean, emDash?: 'spaced' | 'double' | false, expandEllipsis?: boolean, plainBullets?: boolean,
+     *   trimTrailing?: boolean, collapseSpaces?: boolean, textType?: 'prose' | 'code' | 'mixed' }} options
+     *   profile: start from a named profile's options (see getProfiles()); the other options override it
+     *   normalize: the Unicode normalization form, true for NFC (default), false for none
+     *   fold: compatibility characters to fold (as NFKC would) whatever the form — characters, "U+XXXX"
+     *   codes or kind ids from getCompatibilityKinds(), e.g. ['ligature', 'width']
+     *   categories: invisible-character categories to strip (default: all of getCategories()); characters
+     *   in the 'space' category are replaced with a normal space instead of being removed
+     *   contextAware: keep ZWJ/ZWNJ/VS16 and tag characters where isLegitimateChar() says they belong
+     *   straightQuotes / emDash / expandEllipsis / plainBullets: opt-in typography clean-up — curly quotes
+     *   to ' and ", em dashes to " - " ('spaced') or "--" ('double'), "…" to "...", and list bullets
+     *   (•, ◦, ‣, ⁃ starting a line) to "-"; applied everywhere, code included
+     *   trimTrailing / collapseSpaces: opt-in whitespace clean-up (trailing whitespace, runs of spaces between words)
+     *   textType: 'prose' (default) applies the whitespace clean-up everywhere, 'code' never applies it,
+     *   'mixed' applies it everywhere except inside fenced code blocks
      * @returns {string}
      */
     function clean(text, options = {}) {
-        let result = text;
+        return runCleanPasses(text, options, false).text;
+    }
 
-        // Strip HTML tags (from copy-paste from web AI interfaces)
+    /**
+     * Same as clean(), but also returns an audit trail of every change made.
+     * Offsets are UTF-16 indexes: originalOffset into the input text,
+     * outputOffset into the cleaned text.
+     * @param {string} text
+     * @param {object} options - same options as clean()
+     * @returns {{ text: string, edits: Array<{ type: 'html-tag' | 'html-entity' | 'invisible' | 'space' | 'normalize' |
+     *   'homoglyph' | 'typography' | 'trailing-whitespace' | 'space-collapse', originalOffset: number, outputOffset: number,
+     *   original: string, replacement: string }> }}
+     */
+    function cleanWithReport(text, options = {}) {
+        const state = runCleanPasses(text, options, true);
+        return { text: state.text, edits: state.edits };
+    }
+
+    /**
+     * The clean() pipeline. Each step is a regex pass over the current text;
+     * with `track` set, every replacement is recorded with its offsets.
+     */
+    function runCleanPasses(text, options, track) {
+        options = resolveCleanOptions(options);
+        const form = normalizationForm(options.normalize);
+        const shouldFold = foldTest(options.fold);
+        const emDash = emDashStyle(options.emDash);
+        const foldForm = form === 'NFD' || form === 'NFKD' ? 'NFKD' : 'NFKC';
+        const state = createCleanState(text, track);
+
+        // Strip HTML tags (from copy-paste from web AI interfaces): comments, script
+        // and style blocks go with their content, block boundaries become line breaks
         if (options.stripHTML) {
-            result = result.replace(/<[^>]*>/g, '');
-            // Decode common HTML entities
-            result = result.replace(/&nbsp;/gi, ' ');
-            result = result.replace(/&amp;/gi, '&');
-            result = result.replace(/&lt;/gi, '<');
-            result = result.replace(/&gt;/gi, '>');
-            result = result.replace(/&quot;/gi, '"');
-            result = result.replace(/&#39;/gi, "'");
+            applyPass(state, /<!--[\s\S]*?-->|<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>|<[^>]*>/gi, 'html-tag',
+                (tag) => (HTML_BREAK_TAG_REGEX.test(tag) ? '\n' : ''));
+            // Decode HTML entities (in one pass, so "&amp;lt;" stays "&lt;")
+            applyPass(state, HTML_ENTITY_REGEX, 'html-entity', decodeEntity);
         }
 
-        // Remove invisible characters (not formatting like newlines)
-        result = result.replace(INVISIBLE_REGEX, '');
+        // Remove invisible characters (not formatting like newlines),
+        // including supplementary-plane tags and extra variation selectors.
+        // Special spaces become a normal space, and a registry character that
+        // still shows a glyph (the non-breaking hyphen) its ASCII look-alike.
+        // Allowed control characters match the fixed ranges but have no entry.
+        const categories = new Set(options.categories || STRIPPABLE_CATEGORIES);
+        applyPass(state, INVISIBLE_REGEX, (ch) => (SPACE_CATEGORIES.has(lookupChar(ch).category) ? 'space' : 'invisible'),
+            (ch, offset, str) => {
+                const info = lookupChar(ch);
+                if (!info || !categories.has(info.category)) return ch;
+                if (options.contextAware && isLegitimateChar(str, offset, ch)) return ch;
+                return SPACE_CATEGORIES.has(info.category) ? ' ' : (homoglyphOf(ch) || '');
+            });
 
-        // Remove supplementary plane invisible characters (tags, extra variation selectors)
-        result = result.replace(SUPPLEMENTARY_REGEX, '');
+        // Normalize Unicode — per grapheme-like segment, so each change is reported
+        // on its own. Segments chosen by the fold option get the compatibility
+        // form; segments with an allowed character are left as they are.
+        const normalize = () => {
+            if (!shouldFold && (!form || state.text.normalize(form) === state.text)) return;
+            applyPass(state, NORMALIZATION_SEGMENT_REGEX, 'normalize', (segment) => {
+                if (hasAllowedChar(segment)) return segment;
+                if (shouldFold && shouldFold(segment)) return segment.normalize(foldForm);
+                return form ? segment.normalize(form) : segment;
+            });
+        };
+        normalize();
 
-        // Normalize Unicode
-        if (options.normalize !== false) {
-            result = result.normalize('NFC');
+        // Fix homoglyphs, then normalize again: a replacement letter can
+        // compose with a following combining mark (Cyrillic ѕ + ◌́ → ś)
+        if (options.fixHomoglyphs) {
+            const analysis = analyzeScripts(state.text);
+            applyPass(state, HOMOGLYPH_REGEX, 'homoglyph', (ch, offset, str) => {
+                if (isExpectedChar(str, offset, ch, analysis)) return ch;
+                return homoglyphOf(ch) || ch;
+            });
+            normalize();
         }
 
-        // Fix homoglyphs
-        if (options.fixHomoglyphs) {
-            result = result.replace(HOMOGLYPH_REGEX, (ch) => {
-                if (isExpectedChar(result, 0, ch)) return ch;
-                return HOMOGLYPHS[ch] || ch;
+        // Typography (opt-in): curly quotes, em dashes, ellipses and list bullets
+        // become ASCII, except where the custom rules allow the character
+        if (options.straightQuotes) {
+            applyPass(state, SMART_QUOTE_REGEX, 'typography', (ch) => (ALLOWED_CHARS.has(ch) ? ch : SMART_QUOTES[ch] || ch));
+        }
+        if (emDash && !ALLOWED_CHARS.has('\u2014')) {
+            applyPass(state, SPACED_EM_DASH_REGEX, 'typography', emDash);
+        }
+        if (options.expandEllipsis && !ALLOWED_CHARS.has('\u2026')) {
+            applyPass(state, ELLIPSIS_REGEX, 'typography', () => '...');
+        }
+        if (options.plainBullets) {
+            applyPass(state, BULLET_REGEX, 'typography', (ch) => (ALLOWED_CHARS.has(ch) ? ch : '-'));
+        }
+
+        // Clean up whitespace anomalies (opt-in; never inside code)
+        const textType = options.textType || 'prose';
+        if (textType !== 'code') {
+            // - Remove trailing spaces on each line
+            if (options.trimTrailing) {
+                applyOutsideCode(state, /[ \t]+(?=\r?$)/gm, 'trailing-whitespace', '', textType === 'mixed');
+            }
+            // - Collapse runs of spaces between words (leading indentation is kept)
+            if (options.collapseSpaces) {
+                applyOutsideCode(state, /(?<=\S) {2,}(?=\S)/g, 'space-collapse', ' ', textType === 'mixed');
+            }
+        }
+
+        if (!track) return { text: state.text };
+        state.edits.sort((a, b) => a.originalOffset - b.originalOffset);
+        return state;
+    }
+
+    /**
+     * clean() options with their profile's options filled in
+     */
+    function resolveCleanOptions(options) {
+        if (options.profile === undefined) return options;
+        if (!Object.prototype.hasOwnProperty.call(CLEAN_PROFILES, options.profile)) {
+            throw new Error(`Unknown profile: ${options.profile} (known: ${Object.keys(CLEAN_PROFILES).join(', ')})`);
+        }
+        const resolved = { ...CLEAN_PROFILES[options.profile].options };
+        Object.keys(options).forEach(key => {
+            if (key !== 'profile' && options[key] !== undefined) resolved[key] = options[key];
+        });
+        return resolved;
+    }
+
+    /**
+     * clean()'s fold option as a test for normalization segments, or null.
+     * Items are characters (or "U+XXXX" codes) or compatibility kind ids.
+     */
+    function foldTest(fold) {
+        if (!fold) return null;
+        const chars = new Set();
+        const kinds = new Set();
+        for (const item of fold) {
+            if (COMPATIBILITY_KINDS.some(kind => kind.id === item)) {
+                kinds.add(item);
+            } else if (/^[a-z]{2,}$/.test(item)) {
+                const known = COMPATIBILITY_KINDS.map(kind => kind.id).join(', ');
+                throw new Error(`Unknown compatibility kind: ${item} (known: ${known})`);
+            } else {
+                chars.add(ruleChar(item));
+            }
+        }
+        if (chars.size === 0 && kinds.size === 0) return null;
+        return segment => [...segment].some(ch => chars.has(ch) ||
+            (kinds.size > 0 && ch.normalize('NFKC') !== ch && kinds.has(compatibilityKind(ch))));
+    }
+
+    // The compatibility kind id of a character or segment that NFKC changes
+    function compatibilityKind(str) {
+        return COMPATIBILITY_KINDS.find(kind => kind.regex.test(str)).id;
+    }
+
+    // The replacer for clean()'s emDash option, or null to keep em dashes
+    function emDashStyle(style) {
+        if (style === undefined || style === false) return null;
+        if (!Object.prototype.hasOwnProperty.call(EM_DASH_STYLES, style)) {
+            throw new Error(`Unknown em dash style: ${style} (known: ${Object.keys(EM_DASH_STYLES).join(', ')})`);
+        }
+        return EM_DASH_STYLES[style];
+    }
+
+    // The form for clean()'s normalize option (default: NFC), or null for none
+    function normalizationForm(normalize) {
+        if (normalize === false) return null;
+        if (normalize === undefined || normalize === true) return 'NFC';
+        if (!NORMALIZATION_FORMS.includes(normalize)) {
+            throw new Error(`Unknown normalization form: ${normalize} (known: ${NORMALIZATION_FORMS.join(', ')})`);
+        }
+        return normalize;
+    }
+
+    /**
+     * Decode one HTML character reference. Unknown names are left as they are;
+     * numeric references that are not valid characters become U+FFFD, as in browsers.
+     */
+    function decodeEntity(entity) {
+        const match = /^&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([A-Za-z][A-Za-z0-9]*));$/.exec(entity);
+        if (match[3] !== undefined) {
+            return Object.prototype.hasOwnProperty.call(HTML_ENTITIES, match[3]) ? HTML_ENTITIES[match[3]] : entity;
+        }
+        const code = match[1] !== undefined ? parseInt(match[1], 10) : parseInt(match[2], 16);
+        if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) return '\uFFFD';
+        return String.fromCodePoint(code);
+    }
+
+    /**
+     * State threaded through the clean passes. With tracking on, `origin[i]`
+     * is the offset in the input text that produced character i of `text`,
+     * and `inserted[i]` is true once that character came out of a replacement.
+     */
+    function createCleanState(text, track) {
+        let origin = null;
+        let inserted = null;
+        if (track) {
+            origin = new Array(text.length + 1);
+            inserted = new Array(text.length + 1).fill(false);
+            for (let i = 0; i <= text.length; i++) origin[i] = i;
+        }
+        return { text, track, origin, inserted, edits: [] };
+    }
+
+    /**
+     * Run one regex pass over the clean state. `replacer(match, offset, text)`
+     * returns the replacement; returning the match unchanged is not an edit.
+     * `type` is the edit type, or a function of the match that returns one.
+     */
+    function applyPass(state, regex, type, replacer) {
+        const { text, track, origin, inserted } = state;
+        let out = '';
+        let last = 0;
+        let changed = false;
+        const newOrigin = track ? [] : null;
+        const newInserted = track ? [] : null;
+        const forward = track ? new Array(text.length + 1) : null;
+        const passEdits = [];
+
+        const copy = (from, to) => {
+            if (track) {
+                for (let i = from; i < to; i++) {
+                    forward[i] = out.length + (i - from);
+                    newOrigin.push(origin[i]);
+                    newInserted.push(inserted[i]);
+                }
+            }
+            out += text.slice(from, to);
+        };
+
+        for (const m of text.matchAll(regex)) {
+            const match = m[0];
+            const replacement = replacer(match, m.index, text);
+            if (replacement === match) continue;
+
+            copy(last, m.index);
+            if (track) {
+                for (let i = m.index; i < m.index + match.length; i++) forward[i] = out.length;
+                for (let i = 0; i < replacement.length; i++) {
+                    newOrigin.push(origin[m.index]);
+                    newInserted.push(true);
+                }
+                passEdits.push({
+                    type: typeof type === 'function' ? type(match) : type,
+                    originalOffset: origin[m.index],
+                    outputOffset: out.length,
+                    original: match,
+                    replacement,
+                });
+            }
+            out += replacement;
+            last = m.index + match.length;
+            changed = true;
+        }
+
+        if (!changed) return;
+        copy(last, text.length);
+
+        if (track) {
+            forward[text.length] = out.length;
+            newOrigin.push(origin[text.length]);
+            newInserted.push(false);
+            // Earlier edits point into this pass's input; move them to its output
+            state.edits.forEach(edit => {
+                edit.outputOffset = forward[edit.outputOffset];
             });
+            state.edits.push(...passEdits);
+            state.origin = newOrigin;
+            state.inserted = newInserted;
         }
+        state.text = out;
+    }
 
-        // Clean up whitespace anomalies
-        // - Remove trailing spaces on each line
-        result = result.replace(/[ \t]+$/gm, '');
-        // - Collapse multiple spaces into one (but not newlines)
-        result = result.replace(/ {2,}/g, ' ');
+    /**
+     * applyPass() with a fixed replacement that leaves fenced code blocks
+     * untouched when `skipCode` is set
+     */
+    function applyOutsideCode(state, regex, type, replacement, skipCode) {
+        const blocks = skipCode ? findCodeBlocks(state.text) : [];
+        applyPass(state, regex, type, (match, offset) => {
+            const inCode = blocks.some(b => offset >= b.start && offset < b.end);
+            return inCode ? match : replacement;
+        });
+    }
 
-        return result;
+    /**
+     * Align the input with its cleaned version. Characters that no pass touched
+     * are 'same' segments; everything between them is one 'change' segment, so
+     * cascaded edits (e.g. a thin space turned into a space, then collapsed)
+     * show up as a single change.
+     * @param {string} text
+     * @param {object} options - same options as clean()
+     * @returns {{ text: string, segments: Array<{ type: 'same' | 'change', original: string, replacement: string,
+     *   originalOffset: number, outputOffset: number }> }}
+     */
+    function diff(text, options = {}) {
+        const state = runCleanPasses(text, options, true);
+        const out = state.text;
+        const segments = [];
+        let origPos = 0;
+        let outPos = 0;
+
+        for (let j = 0; j <= out.length; j++) {
+            if (j < out.length && state.inserted[j]) continue;
+
+            const o = j < out.length ? state.origin[j] : text.length;
+            if (o > origPos || j > outPos) {
+                segments.push({
+                    type: 'change',
+                    original: text.slice(origPos, o),
+                    replacement: out.slice(outPos, j),
+                    originalOffset: origPos,
+                    outputOffset: outPos,
+                });
+            }
+            if (j === out.length) break;
+
+            const last = segments[segments.length - 1];
+            if (last && last.type === 'same') {
+                last.original += out[j];
+                last.replacement += out[j];
+            } else {
+                segments.push({ type: 'same', original: out[j], replacement: out[j], originalOffset: o, outputOffset: j });
+            }
+            origPos = o + 1;
+            outPos = j + 1;
+        }
+
+        return { text: out, segments };
+    }
+
+    /**
+     * Build a side-by-side diff as HTML: one row per line, original on the left
+     * with removed characters shown as [U+XXXX] labels, cleaned text on the right.
+     * Changes carry data-pos/data-end (offsets in the original text).
+     * @param {string} text
+     * @param {object} options - same options as clean()
+     * @returns {{ html: string, changes: number }}
+     */
+    function diffHTML(text, options = {}) {
+        const { segments } = diff(text, options);
+        const rows = [];
+        let left = '';
+        let right = '';
+        let changes = 0;
+
+        const pushRow = () => {
+            rows.push(
+                '<div class="diff-row">' +
+                `<div class="diff-cell diff-original">${left}</div>` +
+                `<div class="diff-cell diff-cleaned">${right}</div>` +
+                '</div>'
+            );
+            left = '';
+            right = '';
+        };
+
+        for (const seg of segments) {
+            if (seg.type === 'same') {
+                const lines = seg.original.split('\n');
+                lines.forEach((line, k) => {
+                    if (k > 0) pushRow();
+                    left += escapeHTML(line);
+                    right += escapeHTML(line);
+                });
+                continue;
+            }
+
+            changes++;
+            const range = `data-pos="${seg.originalOffset}" data-end="${seg.originalOffset + seg.original.length}"`;
+            const title = seg.replacement ? 'Replaced' : 'Removed';
+            left += `<del class="diff-del" ${range} title="${title}">${describeChars(seg.original)}</del>`;
+            right += seg.replacement
+                ? `<ins class="diff-ins" ${range}>${escapeHTML(seg.replacement)}</ins>`
+                : `<ins class="diff-ins diff-gap" ${range}></ins>`;
+        }
+        pushRow();
+
+        return { html: rows.join(''), changes };
+    }
+
+    /**
+     * Escape text for HTML, showing invisible characters as [U+XXXX] labels
+     * and newlines as ↵ (used for removed text in the diff)
+     */
+    function describeChars(str) {
+        let html = '';
+        for (const ch of str) {
+            const info = lookupChar(ch);
+            if (ch === '\n') html += '↵';
+            else if (info && !FORMATTING_CATEGORIES.has(info.category)) html += `[${info.code}]`;
+            else html += escapeHTML(ch);
+        }
+        return html;
+    }
+
+    /**
+     * Find fenced code blocks (``` or ~~~, Markdown style). An unclosed fence
+     * runs to the end of the text.
+     * @param {string} text
+     * @returns {Array<{ start: number, end: number }>} offsets of each block, fences included
+     */
+    function findCodeBlocks(text) {
+        const blocks = [];
+        const openFence = /^ {0,3}(`{3,}|~{3,})/;
+        const closeFence = /^ {0,3}(`{3,}|~{3,})[ \t]*\r?$/;
+        let open = null;
+        let offset = 0;
+
+        for (const line of text.split('\n')) {
+            if (!open) {
+                const m = openFence.exec(line);
+                if (m) open = { start: offset, fence: m[1] };
+            } else {
+                const m = closeFence.exec(line);
+                if (m && m[1][0] === open.fence[0] && m[1].length >= open.fence.length) {
+                    blocks.push({ start: open.start, end: offset + line.length });
+                    open = null;
+                }
+            }
+            offset += line.length + 1;
+        }
+        if (open) blocks.push({ start: open.start, end: text.length });
+
+        return blocks;
+    }
+
+    /**
+     * Detect typographic marks that plain text rarely has and AI-written text
+     * often does: curly quotes, em dashes (a commonly cited tell, so their rate
+     * per 1,000 words is reported), ellipsis characters and bullet characters
+     * @param {string} text
+     * @returns {{ total: number, words: number, emDashesPer1000Words: number,
+     *   issues: Array<{ type: 'smart-quote' | 'em-dash' | 'ellipsis' | 'bullet', count: number, description: string,
+     *   positions: number[], occurrences: Array<{ offset: number, length: number, line: number, column: number,
+     *   context: string }> }> }}
+     */
+    function detectTypography(text) {
+        const issues = [];
+        const locate = createLocator(text);
+        const words = (text.match(/[\p{L}\p{N}]+/gu) || []).length;
+        let total = 0;
+        let emDashesPer1000Words = 0;
+
+        const find = regex => [...text.matchAll(regex)].filter(m => !ALLOWED_CHARS.has(m[0]));
+        const addIssue = (type, description, matches) => {
+            if (matches.length === 0) return;
+            total += matches.length;
+            issues.push({
+                type,
+                count: matches.length,
+                description,
+                positions: matches.map(m => m.index),
+                occurrences: matches.map(m => locate(m.index, m[0].length)),
+            });
+        };
+
+        addIssue('smart-quote', 'Curly quotes', find(SMART_QUOTE_REGEX));
+
+        const emDashes = find(EM_DASH_REGEX);
+        if (words > 0) emDashesPer1000Words = Math.round(emDashes.length / words * 10000) / 10;
+        addIssue('em-dash', `Em dashes (${emDashesPer1000Words} per 1,000 words)`, emDashes);
+
+        addIssue('ellipsis', 'Ellipsis characters', find(ELLIPSIS_REGEX));
+        addIssue('bullet', 'Bullet characters starting a line', find(BULLET_REGEX));
+
+        return { total, words, emDashesPer1000Words, issues };
+    }
+
+    /**
+     * Find the compatibility characters in text: everything NFKC would change
+     * that NFC keeps (ligatures, superscripts, fullwidth and styled letters…),
+     * which survive the default clean-up and can fingerprint a text
+     * @param {string} text
+     * @returns {{ total: number, chars: Map<string, { original: string, code: string, replacement: string, kind: string,
+     *   count: number, positions: number[], occurrences: Array<{ offset: number, length: number, line: number,
+     *   column: number, context: string }> }> }}
+     *   keyed by normalization segment (a character with its combining marks); `replacement` is the NFKC
+     *   form and `kind` an id from getCompatibilityKinds()
+     */
+    function detectCompatibility(text) {
+        const chars = new Map();
+        let total = 0;
+        if (text.normalize('NFKC') === text.normalize('NFC')) return { total, chars };
+
+        const locate = createLocator(text);
+        for (const m of text.matchAll(NORMALIZATION_SEGMENT_REGEX)) {
+            const segment = m[0];
+            const replacement = segment.normalize('NFKC');
+            if (replacement === segment.normalize('NFC') || hasAllowedChar(segment)) continue;
+            total++;
+            if (!chars.has(segment)) {
+                const code = [...segment].map(ch => formatCodePoint(ch.codePointAt(0))).join(' ');
+                chars.set(segment, {
+                    original: segment, code, replacement, kind: compatibilityKind(segment),
+                    count: 0, positions: [], occurrences: [],
+                });
+            }
+            const entry = chars.get(segment);
+            entry.count++;
+            entry.positions.push(m.index);
+            entry.occurrences.push(locate(m.index, segment.length));
+        }
+        return { total, chars };
     }
 
     /**
      * Detect whitespace anomalies that could indicate watermarking
      * @param {string} text
-     * @returns {{ total: number, issues: Array<{ type: string, count: number, description: string }> }}
+     * @returns {{ total: number, issues: Array<{ type: string, count: number, description: string, positions: number[],
+     *   occurrences: Array<{ offset: number, length: number, line: number, column: number, context: string }> }> }}
+     *   For mixed line endings, the occurrences are the line endings of the less common kind.
      */
     function detectWhitespaceAnomalies(text) {
         const issues = [];
+        const locate = createLocator(text);
         let total = 0;
 
-        // Trailing spaces
-        const trailingMatches = text.match(/[ \t]+$/gm);
-        if (trailingMatches) {
-            const count = trailingMatches.length;
+        const addIssue = (type, description, matches, count = matches.length) => {
             total += count;
-            issues.push({ type: 'trailing-space', count, description: 'Trailing spaces on lines' });
+            issues.push({
+                type,
+                count,
+                description,
+                positions: matches.map(m => m.index),
+                occurrences: matches.map(m => locate(m.index, m[0].length)),
+            });
+        };
+
+        // Trailing spaces (before LF or CRLF)
+        const trailingMatches = [...text.matchAll(/[ \t]+(?=\r?$)/gm)];
+        if (trailingMatches.length > 0) {
+            addIssue('trailing-space', 'Trailing spaces on lines', trailingMatches);
         }
 
         // Double spaces (not at line start = not indentation)
-        const doubleSpaceMatches = text.match(/(?<=\S) {2,}(?=\S)/g);
-        if (doubleSpaceMatches) {
-            const count = doubleSpaceMatches.length;
-            total += count;
-            issues.push({ type: 'double-space', count, description: 'Multiple consecutive spaces' });
+        const doubleSpaceMatches = [...text.matchAll(/(?<=\S) {2,}(?=\S)/g)];
+        if (doubleSpaceMatches.length > 0) {
+            addIssue('double-space', 'Multiple consecutive spaces', doubleSpaceMatches);
         }
 
         // Mixed line endings (CRLF and LF)
-        const hasCRLF = text.includes('\r\n');
-        const hasLF = /(?<!\r)\n/.test(text);
-        if (hasCRLF && hasLF) {
-            total += 1;
-            issues.push({ type: 'mixed-endings', count: 1, description: 'Mixed line endings (CRLF + LF)' });
+        const crlfMatches = [...text.matchAll(/\r\n/g)];
+        const lfMatches = [...text.matchAll(/(?<!\r)\n/g)];
+        if (crlfMatches.length > 0 && lfMatches.length > 0) {
+            const minority = crlfMatches.length < lfMatches.length ? crlfMatches : lfMatches;
+            addIssue('mixed-endings', 'Mixed line endings (CRLF + LF)', minority, 1);
         }
 
         // Non-standard spaces
-        const spaceChars = Object.entries(INVISIBLE_CHARS).filter(([, v]) => v.category === 'space');
+        const spaceChars = Object.entries(INVISIBLE_CHARS).filter(([k, v]) => v.category === 'space' && !ALLOWED_CHARS.has(k));
         for (const [ch, info] of spaceChars) {
             const regex = new RegExp(ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
-            const matches = text.match(regex);
-            if (matches) {
-                total += matches.length;
-                issues.push({ type: 'special-space', count: matches.length, description: `${info.name} (${info.code})` });
+            const matches = [...text.matchAll(regex)];
+            if (matches.length > 0) {
+                addIssue('special-space', `${info.name} (${info.code})`, matches);
             }
         }
 
         return { total, issues };
     }
 
+    /**
+     * Summary of every kind of finding in a text, e.g. for one file of a batch
+     * @param {string} text
+     * @param {{ contextAware?: boolean }} options - as for detect()
+     * @returns {{ invisible: number, byCategory: Object<string, number>, homoglyphs: number, mixedScript: number,
+     *   whitespace: number, payloads: Array<{ type: 'tag' | 'variation', start: number, end: number, count: number, message: string }> }}
+     *   byCategory counts invisible characters per registry category
+     */
+    function scan(text, options = {}) {
+        const invisible = detect(text, { contextAware: options.contextAware });
+        const byCategory = {};
+        invisible.chars.forEach((entry) => {
+            byCategory[entry.info.category] = (byCategory[entry.info.category] || 0) + entry.count;
+        });
+        const homoglyphs = detectHomoglyphs(text);
+
+        return {
+            invisible: invisible.total,
+            byCategory,
+            homoglyphs: homoglyphs.total,
+            mixedScript: homoglyphs.mixedScript.length,
+            whitespace: detectWhitespaceAnomalies(text).total,
+            payloads: decodePayloads(text),
+        };
+    }
+
+    /**
+     * Build a function that turns an offset in `text` into a location:
+     * 1-based line and column (in UTF-16 units) plus a one-line context snippet
+     * @param {string} text
+     * @returns {(offset: number, length?: number) => { offset: number, length: number, line: number, column: number, context: string }}
+     */
+    function createLocator(text) {
+        let lineStarts = null;
+
+        return (offset, length = 1) => {
+            // Index line starts lazily — most texts have no findings at all
+            if (!lineStarts) {
+                lineStarts = [0];
+                for (let i = 0; i < text.length; i++) {
+                    if (text[i] === '\n') lineStarts.push(i + 1);
+                }
+            }
+            let lo = 0;
+            let hi = lineStarts.length - 1;
+            while (lo < hi) {
+                const mid = (lo + hi + 1) >> 1;
+                if (lineStarts[mid] <= offset) lo = mid;
+                else hi = mid - 1;
+            }
+            return {
+                offset,
+                length,
+                line: lo + 1,
+                column: offset - lineStarts[lo] + 1,
+                context: contextSnippet(text, offset, length),
+            };
+        };
+    }
+
+    /**
+     * Short single-line excerpt around a finding
+     */
+    function contextSnippet(text, offset, length, radius = 20) {
+        const start = Math.max(0, offset - radius);
+        const end = Math.min(text.length, offset + length + radius);
+        return (start > 0 ? '…' : '') +
+            text.slice(start, end).replace(/\r?\n/g, ' ') +
+            (end < text.length ? '…' : '');
+    }
+
+    /**
+     * Locate a single offset in text (see createLocator)
+     */
+    function locate(text, offset, length = 1) {
+        return createLocator(text)(offset, length);
+    }
+
     /**
      * Build annotated HTML showing hidden characters inline.
      * @param {string} text
-     * @param {{ includeFormatting?: boolean }} options  — if true, also annotate newlines/tabs
+     * @param {{ includeFormatting?: boolean, contextAware?: boolean, homoglyphs?: boolean, offset?: number }} options
+     *   includeFormatting: if true, also annotate newlines/tabs
+     *   contextAware: mark legitimate ZWJ/ZWNJ/VS16 (see detect()) with a separate style
+     *   homoglyphs: also highlight the homoglyphs found by detectHomoglyphs()
+     *   offset: where `text` starts in a larger text, when it is rendered in
+     *   pieces; added to the data-pos attributes
      * @returns {string} HTML string
      */
     function revealHTML(text, options = {}) {
         const includeFormatting = options.includeFormatting !== false; // default true for reveal
+        const offset = options.offset || 0;
         const parts = [];
         let visibleBuffer = '';
+        let i = 0;
 
-        for (let i = 0; i < text.length; i++) {
-            const ch = text[i];
-            const info = INVISIBLE_CHARS[ch];
-            const code = ch.charCodeAt(0);
-            const isControl = (
-                (code >= 0 && code <= 8) ||
-                code === 0x0B ||
-                (code >= 0x0E && code <= 0x1F) ||
-                code === 0x7F ||
-                (code >= 0x80 && code <= 0x9F)
-            );
+        const homoglyphAt = new Map();
+        if (options.homoglyphs) {
+            detectHomoglyphs(text).chars.forEach(entry => {
+                entry.positions.forEach(pos => homoglyphAt.set(pos, entry));
+            });
+        }
+
+        const flushVisible = () => {
+            if (visibleBuffer) {
+                parts.push(`<span class="char-visible">${escapeHTML(visibleBuffer)}</span>`);
+                visibleBuffer = '';
+            }
+        };
+
+        for (const ch of text) {
+            const index = i;
+            i += ch.length;
+            const info = lookupChar(ch);
 
             // Decide if this char should be annotated
             let shouldAnnotate = false;
@@ -507,37 +1596,467 @@ const WatermarkDetector = (() => {
                 } else {
                     shouldAnnotate = true;
                 }
-            } else if (isControl) {
-                shouldAnnotate = true;
             }
 
-            if (shouldAnnotate) {
-                // Flush visible buffer
-                if (visibleBuffer) {
-                    parts.push(`<span class="char-visible">${escapeHTML(visibleBuffer)}</span>`);
-                    visibleBuffer = '';
-                }
-                const label = info ? info.code : ('U+' + code.toString(16).toUpperCase().padStart(4, '0'));
-                const charName = info ? info.name : 'Control Character';
-                const cssClass = (info && FORMATTING_CATEGORIES.has(info.category)) ? 'char-formatting' : 'char-hidden';
-                parts.push(`<span class="${cssClass}" title="${charName} (${label})">[${label}]</span>`);
+            const homoglyph = homoglyphAt.get(index);
+            if (homoglyph) {
+                flushVisible();
+                parts.push(`<span class="char-homoglyph" data-pos="${offset + index}" title="Homoglyph ${homoglyph.code} → &quot;${escapeHTML(homoglyph.replacement)}&quot;">${escapeHTML(ch)}</span>`);
+            } else if (shouldAnnotate) {
+                flushVisible();
+                let cssClass = FORMATTING_CATEGORIES.has(info.category) ? 'char-formatting' : 'char-hidden';
+                if (options.contextAware && isLegitimateChar(text, index, ch)) cssClass = 'char-legitimate';
+                parts.push(`<span class="${cssClass}" data-pos="${offset + index}" title="${escapeHTML(info.name)} (${info.code})">[${info.code}]</span>`);
             } else {
                 visibleBuffer += ch;
             }
         }
 
-        if (visibleBuffer) {
-            parts.push(`<span class="char-visible">${escapeHTML(visibleBuffer)}</span>`);
-        }
+        flushVisible();
 
         return parts.join('');
     }
 
+    /**
+     * Find runs of invisible characters that carry a hidden payload and decode them:
+     * - tag characters: U+E0020-U+E007E mirror printable ASCII (U+E0001 and
+     *   U+E007F only open/close a run and are not part of the message)
+     * - variation selectors used as byte carriers ("emoji smuggling"):
+     *   VS1-VS16 encode bytes 0x00-0x0F, VS17-VS256 encode bytes 0x10-0xFF,
+     *   decoded as UTF-8
+     * A lone variation selector is ordinary emoji presentation, so variation
+     * runs need at least two selectors to count as a payload; emoji tag
+     * sequences (subdivision flags) are skipped as well.
+     * @param {string} text
+     * @returns {Array<{ type: 'tag' | 'variation', start: number, end: number, count: number, message: string }>}
+     *   start/end are UTF-16 offsets of the run (end exclusive); count is the number of carrier characters
+     */
+    function decodePayloads(text) {
+        const payloads = [];
+        let run = null;
+        let i = 0;
+
+        const flush = () => {
+            if (!run) return;
+            // Subdivision flags (🏴 + tags + cancel tag) are emoji, not payloads
+            if (run.type === 'tag' && run.values.length > 0 && !isEmojiTagSequence(text, run.start)) {
+                payloads.push({
+                    type: 'tag',
+                    start: run.start,
+                    end: run.end,
+                    count: run.count,
+                    message: String.fromCharCode(...run.values),
+                });
+            } else if (run.type === 'variation' && run.values.length >= 2) {
+                payloads.push({
+                    type: 'variation',
+                    start: run.start,
+                    end: run.end,
+                    count: run.count,
+                    message: decodeUTF8(run.values),
+                });
+            }
+            run = null;
+        };
+
+        for (const ch of text) {
+            const index = i;
+            i += ch.length;
+
+            const cp = ch.codePointAt(0);
+            let type = null;
+            let value = null;
+            if (cp >= 0xE0020 && cp <= 0xE007E) {
+                type = 'tag';
+                value = cp - 0xE0000;
+            } else if (cp === 0xE0001 || cp === 0xE007F) {
+                type = 'tag';
+            } else if (cp >= 0xFE00 && cp <= 0xFE0F) {
+                type = 'variation';
+                value = cp - 0xFE00;
+            } else if (cp >= 0xE0100 && cp <= 0xE01EF) {
+                type = 'variation';
+                value = cp - 0xE0100 + 16;
+            }
+
+            if (run && run.type !== type) flush();
+            if (!type) continue;
+
+            if (!run) run = { type, start: index, end: index, count: 0, values: [] };
+            run.end = i;
+            run.count++;
+            if (value !== null) run.values.push(value);
+
+            // A cancel tag closes the run it belongs to
+            if (cp === 0xE007F) flush();
+        }
+        flush();
+
+        return payloads;
+    }
+
+    /**
+     * Try to decode a zero-width binary watermark from the zero-width positions
+     * collected by detect(). Every common mapping is tried: each ordered pair of
+     * ZWSP/ZWNJ/ZWJ/WJ/BOM as 0 and 1, with or without a third character as group
+     * separator, MSB- or LSB-first. Confidence (0-1) combines how many of the
+     * zero-width characters the scheme explains, how well the bits fill whole
+     * bytes, how printable the decoded text is and how long it is — a stray
+     * copy-paste artifact scores near zero, a real fingerprint near one.
+     * @param {{ chars: Map<string, { positions: number[] }> }} detection - result of detect()
+     * @param {{ limit?: number }} options - limit: max candidates returned (default 5)
+     * @returns {Array<{ scheme: { zero: string, one: string, separator: string|null, bitOrder: 'msb'|'lsb', label: string },
+     *   bits: number, bytes: number[], groups: string[], message: string, confidence: number }>}
+     */
+    function decodeZeroWidthBinary(detection, options = {}) {
+        const limit = options.limit || 5;
+
+        // Rebuild the zero-width stream in text order
+        const stream = [];
+        detection.chars.forEach((entry, ch) => {
+            if (!ZERO_WIDTH_BIT_CHARS[ch]) return;
+            entry.positions.forEach(pos => stream.push({ ch, pos }));
+        });
+        stream.sort((a, b) => a.pos - b.pos);
+        const sequence = stream.map(s => s.ch);
+        if (sequence.length < 8) return [];
+
+        const present = Object.keys(ZERO_WIDTH_BIT_CHARS).filter(ch => sequence.includes(ch));
+        const candidates = [];
+
+        for (const zero of present) {
+            for (const one of present) {
+                if (one === zero) continue;
+                const separators = [null, ...present.filter(ch => ch !== zero && ch !== one)];
+                for (const separator of separators) {
+                    for (const bitOrder of ['msb', 'lsb']) {
+                        const candidate = decodeBitScheme(sequence, { zero, one, separator, bitOrder });
+                        if (candidate) candidates.push(candidate);
+                    }
+                }
+            }
+        }
+
+        candidates.sort((a, b) => b.confidence - a.confidence);
+        return candidates.slice(0, limit);
+    }
+
+    /**
+     * Decode a zero-width sequence under one bit mapping (see decodeZeroWidthBinary)
+     */
+    function decodeBitScheme(sequence, scheme) {
+        const groups = [[]];
+        let explained = 0;
+        for (const ch of sequence) {
+            if (ch === scheme.separator) {
+                explained++;
+                if (groups[groups.length - 1].length > 0) groups.push([]);
+            } else if (ch === scheme.zero || ch === scheme.one) {
+                explained++;
+                groups[groups.length - 1].push(ch === scheme.one ? 1 : 0);
+            }
+        }
+
+        const bytes = [];
+        const decodedGroups = [];
+        let bits = 0;
+        let alignedBits = 0;
+        for (const group of groups) {
+            if (group.length === 0) continue;
+            bits += group.length;
+            const groupBytes = [];
+            for (let b = 0; b + 8 <= group.length; b += 8) {
+                let byte = 0;
+                for (let k = 0; k < 8; k++) {
+                    const bit = group[scheme.bitOrder === 'msb' ? b + k : b + 7 - k];
+                    byte = (byte << 1) | bit;
+                }
+                groupBytes.push(byte);
+                alignedBits += 8;
+            }
+            if (groupBytes.length > 0) {
+                bytes.push(...groupBytes);
+                decodedGroups.push(decodeUTF8(groupBytes));
+            }
+        }
+        if (bytes.length === 0) return null;
+
+        const message = decodedGroups.join('');
+        const decodedChars = [...message];
+        const printable = decodedChars.filter(c => /[^\p{C}\uFFFD]|[\t\n\r]/u.test(c)).length;
+
+        const coverage = explained / sequence.length;
+        const alignment = alignedBits / bits;
+        const readability = printable / decodedChars.length;
+        const length = Math.min(1, bytes.length / 4);
+        const confidence = Math.round(coverage * alignment * readability * length * 1000) / 1000;
+
+        const label = `${ZERO_WIDTH_BIT_CHARS[scheme.zero]}=0, ${ZERO_WIDTH_BIT_CHARS[scheme.one]}=1` +
+            (scheme.separator ? `, ${ZERO_WIDTH_BIT_CHARS[scheme.separator]} separator` : '') +
+            (scheme.bitOrder === 'lsb' ? ', LSB first' : '');
+
+        return {
+            scheme: { ...scheme, label },
+            bits,
+            bytes,
+            groups: decodedGroups,
+            message,
+            confidence,
+        };
+    }
+
+    /**
+     * Decode a list of byte values as UTF-8 (invalid sequences become U+FFFD)
+     */
+    function decodeUTF8(bytes) {
+        return new TextDecoder('utf-8').decode(new Uint8Array(bytes));
+    }
+
+    // =========================================================================
+    // Seeded injection
+    // =========================================================================
+
+    /**
+     * Seeded PRNG (mulberry32): the same seed always gives the same sequence.
+     * String seeds are hashed first (FNV-1a).
+     */
+    function createRandom(seed) {
+        let state = typeof seed === 'number' ? seed | 0 : hashSeed(String(seed));
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function hashSeed(str) {
+        let h = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h | 0;
+    }
+
+    // A fresh seed for callers that don't pass one, returned so the output
+    // can be reproduced
+    function resolveSeed(seed) {
+        return seed === undefined || seed === null || seed === '' ? Math.floor(Math.random() * 0x100000000) : seed;
+    }
+
+    /**
+     * Offsets where embed() can insert carriers: 'between' — after each word
+     * that is followed by whitespace; 'inside' — between two letters of a word;
+     * 'any' — both
+     */
+    function insertionSlots(text, placement) {
+        if (!['between', 'inside', 'any'].includes(placement)) throw new Error(`Unknown placement: ${placement}`);
+        const slots = [];
+        if (placement !== 'inside') {
+            for (const m of text.matchAll(/\S(?=\s)/gu)) slots.push(m.index + m[0].length);
+        }
+        if (placement !== 'between') {
+            // Never between a letter and its combining marks
+            for (const m of text.matchAll(/[\p{L}\p{M}]+/gu)) {
+                let offset = m.index;
+                for (const ch of m[0]) {
+                    if (offset > m.index && /\p{L}/u.test(ch)) slots.push(offset);
+                    offset += ch.length;
+                }
+            }
+        }
+        return slots.sort((a, b) => a - b);
+    }
+
+    /**
+     * Pick `count` of the slots at random, in text order
+     */
+    function chooseSlots(slots, count, next) {
+        const pool = slots.slice();
+        for (let i = 0; i < count; i++) {
+            const j = i + Math.floor(next() * (pool.length - i));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        return pool.slice(0, count).sort((a, b) => a - b);
+    }
+
+    // Bytes as bits, most significant first
+    function bytesToBits(bytes) {
+        const bits = [];
+        bytes.forEach(byte => {
+            for (let k = 7; k >= 0; k--) bits.push((byte >> k) & 1);
+        });
+        return bits;
+    }
+
+    // Bits back to a message, up to the zero byte that ends it (null if
+    // there is none, or nothing before it)
+    function bitsToMessage(bits) {
+        const bytes = [];
+        for (let b = 0; b + 8 <= bits.length; b += 8) {
+            let byte = 0;
+            for (let k = 0; k < 8; k++) byte = (byte << 1) | bits[b + k];
+            if (byte === 0) return bytes.length > 0 ? decodeUTF8(bytes) : null;
+            bytes.push(byte);
+        }
+        return null;
+    }
+
+    /**
+     * Embed a message (an ID, a fingerprint) in text. The same text, message,
+     * options and seed always give the same output.
+     * Methods, and the decoders that read them back:
+     * - 'zero-width': the UTF-8 bits as ZWSP (0) and ZWNJ (1), most significant
+     *   bit first, spread over the chosen slots — decodeZeroWidthBinary()
+     * - 'tag': printable ASCII as tag characters between U+E0001 and the
+     *   cancel tag, one copy per slot — decodePayloads()
+     * - 'variation': the UTF-8 bytes (at least two) as variation selectors,
+     *   one copy per slot — decodePayloads()
+     * - 'homoglyph': one bit per letter that has a Cyrillic look-alike, swapped
+     *   in for a 1 — extractEmbedded()
+     * - 'whitespace': one bit per gap between words, two spaces for a 1 —
+     *   extractEmbedded()
+     * Homoglyph and whitespace bits run from the start of the text and end with
+     * a zero byte; density and placement don't apply to them.
+     * @param {string} text
+     * @param {string} message
+     * @param {{ method?: 'zero-width' | 'tag' | 'variation' | 'homoglyph' | 'whitespace', seed?: number | string,
+     *   density?: number, placement?: 'between' | 'inside' | 'any' }} options
+     *   method: default 'zero-width'; seed: default random (returned in the result);
+     *   density: fraction of the slots that get carriers, 0-1 (default 0.5, at least one);
+     *   placement: where carriers go (default 'between')
+     * @returns {{ text: string, count: number, method: string, seed: number | string, slots: number[] }}
+     *   count: carrier characters added or changed; slots: their offsets in the original text
+     */
+    function embed(text, message, options = {}) {
+        const method = options.method || 'zero-width';
+        if (!EMBED_METHODS.includes(method)) throw new Error(`Unknown embedding method: ${method}`);
+        if (!message) throw new Error('Nothing to embed: the message is empty');
+        const seed = resolveSeed(options.seed);
+        const bytes = [...new TextEncoder().encode(message)];
+
+        if (method === 'homoglyph') return { ...embedHomoglyphBits(text, bytes), method, seed };
+        if (method === 'whitespace') return { ...embedWhitespaceBits(text, bytes), method, seed };
+
+        // The carrier run: zero-width bits are shared out between the slots,
+        // tag and variation runs are decoded whole, so each slot gets a copy
+        let run;
+        if (method === 'zero-width') {
+            run = bytesToBits(bytes).map(bit => (bit ? '\u200C' : '\u200B')).join('');
+        } else if (method === 'tag') {
+            if (!/^[\x20-\x7E]+$/.test(message)) throw new Error('Tag characters can only carry printable ASCII');
+            run = '\u{E0001}' + String.fromCodePoint(...[...message].map(c => 0xE0000 + c.charCodeAt(0))) + '\u{E007F}';
+        } else {
+            // decodePayloads() takes a single selector for emoji presentation
+            if (bytes.length < 2) throw new Error('Variation selectors need a message of at least two bytes');
+            run = String.fromCodePoint(...bytes.map(b => (b < 16 ? 0xFE00 + b : 0xE0100 + b - 16)));
+        }
+
+        const density = options.density === undefined ? 0.5 : options.density;
+        if (!(density > 0 && density <= 1)) throw new Error('density must be between 0 and 1');
+        const slots = insertionSlots(text, options.placement || 'between');
+        if (slots.length === 0) throw new Error('No room for the message: the text has no slots for this placement');
+
+        let wanted = Math.max(1, Math.round(slots.length * density));
+        if (method === 'zero-width') wanted = Math.min(wanted, run.length);
+        const chosen = chooseSlots(slots, wanted, createRandom(seed));
+
+        let result = '';
+        let last = 0;
+        let count = 0;
+        chosen.forEach((slot, k) => {
+            const piece = method === 'zero-width'
+                ? run.slice(Math.floor(k * run.length / wanted), Math.floor((k + 1) * run.length / wanted))
+                : run;
+            result += text.slice(last, slot) + piece;
+            count += [...piece].length;
+            last = slot;
+        });
+        result += text.slice(last);
+
+        return { text: result, count, method, seed, slots: chosen };
+    }
+
+    function embedHomoglyphBits(text, bytes) {
+        const bits = bytesToBits([...bytes, 0]);
+        const slots = [];
+        let result = '';
+        let count = 0;
+        let i = 0;
+        for (const ch of text) {
+            const letter = EMBED_HOMOGLYPHS[ch] ? ch : EMBED_HOMOGLYPH_LETTERS.get(ch);
+            if (letter && slots.length < bits.length) {
+                const replacement = bits[slots.length] ? EMBED_HOMOGLYPHS[letter] : letter;
+                if (replacement !== ch) count++;
+                slots.push(i);
+                result += replacement;
+            } else {
+                result += ch;
+            }
+            i += ch.length;
+        }
+        if (slots.length < bits.length) {
+            throw new Error(`No room for the message: it needs ${bits.length} letters with look-alikes, the text has ${slots.length}`);
+        }
+        return { text: result, count, slots };
+    }
+
+    function embedWhitespaceBits(text, bytes) {
+        const bits = bytesToBits([...bytes, 0]);
+        const slots = [];
+        let count = 0;
+        const result = text.replace(EMBED_GAP_REGEX, (gap, offset) => {
+            if (slots.length >= bits.length) return gap;
+            const replacement = bits[slots.length] ? '  ' : ' ';
+            if (replacement !== gap) count++;
+            slots.push(offset);
+            return replacement;
+        });
+        if (slots.length < bits.length) {
+            throw new Error(`No room for the message: it needs ${bits.length} gaps between words, the text has ${slots.length}`);
+        }
+        return { text: result, count, slots };
+    }
+
+    /**
+     * Read back messages written by embed()
+     * @param {string} text
+     * @param {'zero-width' | 'tag' | 'variation' | 'homoglyph' | 'whitespace'} method
+     * @returns {string[]} one message per run for 'tag' and 'variation', at most one otherwise
+     */
+    function extractEmbedded(text, method) {
+        if (method === 'zero-width') {
+            const sequence = [...text].filter(ch => ch === '\u200B' || ch === '\u200C');
+            const candidate = decodeBitScheme(sequence, { zero: '\u200B', one: '\u200C', separator: null, bitOrder: 'msb' });
+            return candidate ? [candidate.message] : [];
+        }
+        if (method === 'tag' || method === 'variation') {
+            return decodePayloads(text).filter(payload => payload.type === method).map(payload => payload.message);
+        }
+        let bits;
+        if (method === 'homoglyph') {
+            bits = [...text]
+                .filter(ch => EMBED_HOMOGLYPHS[ch] || EMBED_HOMOGLYPH_LETTERS.has(ch))
+                .map(ch => (EMBED_HOMOGLYPHS[ch] ? 0 : 1));
+        } else if (method === 'whitespace') {
+            bits = [...text.matchAll(EMBED_GAP_REGEX)].map(m => (m[0].length > 1 ? 1 : 0));
+        } else {
+            throw new Error(`Unknown embedding method: ${method}`);
+        }
+        const message = bitsToMessage(bits);
+        return message === null ? [] : [message];
+    }
+
     /**
      * Inject invisible watermark characters into text (for demo purposes)
      * @param {string} text
-     * @param {{ zwsp?: boolean, zwnj?: boolean, bom?: boolean, invisSep?: boolean }} types
-     * @returns {{ text: string, count: number }}
+     * @param {{ zwsp?: boolean, zwnj?: boolean, bom?: boolean, invisSep?: boolean, seed?: number | string,
+     *   density?: number, placement?: 'between' | 'inside' | 'any' }} types
+     *   seed: default random (returned in the result); density: chance of a
+     *   character after each word, half that inside longer words (default 0.6);
+     *   placement: default 'any'
+     * @returns {{ text: string, count: number, seed?: number | string }}
      */
     function inject(text, types = {}) {
         const chars = [];
@@ -550,22 +2069,28 @@ const WatermarkDetector = (() => {
             return { text, count: 0 };
         }
 
+        const seed = resolveSeed(types.seed);
+        const next = createRandom(seed);
+        const density = types.density === undefined ? 0.6 : types.density;
+        const placement = types.placement || 'any';
+        if (!['between', 'inside', 'any'].includes(placement)) throw new Error(`Unknown placement: ${placement}`);
+
         let result = '';
         let count = 0;
         const words = text.split(/(\s+)/);
 
         for (let i = 0; i < words.length; i++) {
             result += words[i];
-            // Insert between words with ~60% probability, and sometimes within words
-            if (i < words.length - 1 && Math.random() < 0.6) {
-                const char = chars[Math.floor(Math.random() * chars.length)];
+            // Insert between words, and sometimes within words
+            if (placement !== 'inside' && i < words.length - 1 && next() < density) {
+                const char = chars[Math.floor(next() * chars.length)];
                 result += char;
                 count++;
             }
             // Occasionally insert within longer words
-            if (words[i].length > 4 && Math.random() < 0.3) {
-                const pos = Math.floor(Math.random() * (words[i].length - 2)) + 1;
-                const char = chars[Math.floor(Math.random() * chars.length)];
+            if (placement !== 'between' && words[i].length > 4 && next() < density / 2) {
+                const pos = Math.floor(next() * (words[i].length - 2)) + 1;
+                const char = chars[Math.floor(next() * chars.length)];
                 result = result.slice(0, result.length - words[i].length + pos) +
                     char +
                     result.slice(result.length - words[i].length + pos);
@@ -573,7 +2098,7 @@ const WatermarkDetector = (() => {
             }
         }
 
-        return { text: result, count };
+        return { text: result, count, seed };
     }
 
     /**
@@ -588,22 +2113,314 @@ const WatermarkDetector = (() => {
             .replace(/'/g, '&#039;');
     }
 
+    /**
+     * Format a code point as a "U+XXXX" label
+     */
+    function formatCodePoint(cp) {
+        return 'U+' + cp.toString(16).toUpperCase().padStart(4, '0');
+    }
+
+    /**
+     * Check for C0/C1 control characters (excluding tab, LF, FF and CR,
+     * which are in the registry as formatting characters)
+     */
+    function isControlCode(code) {
+        return (
+            (code >= 0 && code <= 8) ||
+            code === 0x0B ||
+            (code >= 0x0E && code <= 0x1F) ||
+            code === 0x7F ||
+            (code >= 0x80 && code <= 0x9F)
+        );
+    }
+
+    /**
+     * Look up a single character (one code point) in the registry,
+     * falling back to a generic entry for C0/C1 controls not in our map
+     */
+    function lookupChar(ch) {
+        if (ALLOWED_CHARS.has(ch)) return null;
+        const info = INVISIBLE_CHARS[ch];
+        if (info) return info;
+        const code = ch.codePointAt(0);
+        if (isControlCode(code)) {
+            return { name: 'Control Character', code: formatCodePoint(code), category: 'control' };
+        }
+        return null;
+    }
+
+    /**
+     * List the invisible-character categories clean() can strip
+     * @returns {Array<{ id: string, label: string, count: number }>}
+     *   count: number of registry characters in the category (0 for 'control', which is a range)
+     */
+    function getCategories() {
+        const counts = {};
+        Object.values(INVISIBLE_CHARS).forEach(v => {
+            counts[v.category] = (counts[v.category] || 0) + 1;
+        });
+        return STRIPPABLE_CATEGORIES.map(id => ({
+            id,
+            label: CATEGORY_LABELS[id] || id,
+            count: counts[id] || 0,
+        }));
+    }
+
+    /**
+     * The kinds of compatibility character, for detectCompatibility() and
+     * clean()'s fold option
+     * @returns {Array<{ id: string, label: string }>}
+     */
+    function getCompatibilityKinds() {
+        return COMPATIBILITY_KINDS.map(({ id, label }) => ({ id, label }));
+    }
+
+    /**
+     * The named cleaning profiles, for clean()'s profile option
+     * @returns {Array<{ id: string, label: string, description: string, options: object }>}
+     */
+    function getProfiles() {
+        return Object.entries(CLEAN_PROFILES).map(([id, profile]) => ({
+            id,
+            label: profile.label,
+            description: profile.description,
+            options: { ...profile.options },
+        }));
+    }
+
     /**
      * Get info for an invisible character
      */
     function getCharInfo(ch) {
-        return INVISIBLE_CHARS[ch] || null;
+        return lookupChar(ch);
+    }
+
+    // Whether a string holds a character allowed by the custom rules
+    function hasAllowedChar(str) {
+        return ALLOWED_CHARS.size > 0 && [...str].some(ch => ALLOWED_CHARS.has(ch));
+    }
+
+    /**
+     * The ASCII replacement for a homoglyph, unless the character is allowed
+     */
+    function homoglyphOf(ch) {
+        return ALLOWED_CHARS.has(ch) ? undefined : HOMOGLYPHS[ch];
+    }
+
+    // =========================================================================
+    // Custom rules — characters, allowlist and homoglyphs added at runtime
+    // =========================================================================
+
+    // Rules added through the API, by character
+    const customChars = new Map();      // ch → registry entry
+    const customHomoglyphs = new Map(); // ch → replacement
+
+    // Built-in entries a custom rule replaced (undefined: there was none),
+    // put back by resetRules()
+    const builtinChars = new Map();
+    const builtinHomoglyphs = new Map();
+
+    const RULES_VERSION = 1;
+
+    const CATEGORY_ID_REGEX = /^[a-z0-9-]{1,32}$/;
+
+    // Longest replacement a custom homoglyph may have (the built-in ones have up to 4)
+    const MAX_REPLACEMENT_LENGTH = 8;
+
+    /**
+     * A rule's character, given as the character itself or as "U+XXXX"
+     */
+    function ruleChar(value) {
+        const str = String(value);
+        const code = /^U\+([0-9A-F]{1,6})$/i.exec(str.trim());
+        if (code) {
+            const cp = parseInt(code[1], 16);
+            if (cp > 0x10FFFF) throw new Error(`Not a Unicode code point: ${str}`);
+            return String.fromCodePoint(cp);
+        }
+        if ([...str].length !== 1) throw new Error(`Expected one character or a U+XXXX code, got ${JSON.stringify(str)}`);
+        return str;
+    }
+
+    // Recompile everything derived from the registries
+    function rebuildRules() {
+        INVISIBLE_REGEX = buildInvisibleRegex();
+        HOMOGLYPH_REGEX = buildHomoglyphRegex();
+        STRIPPABLE_CATEGORIES = strippableCategories();
+    }
+
+    function checkCategory(ch, category) {
+        // Category ids end up in HTML attributes and CSS classes: rules files are shared
+        if (category !== undefined && (typeof category !== 'string' || !CATEGORY_ID_REGEX.test(category))) {
+            throw new Error(`A category id must be 1-32 lowercase letters, digits or hyphens: ${formatCodePoint(ch.codePointAt(0))}`);
+        }
+    }
+
+    function addChar(ch, info) {
+        checkCategory(ch, info.category);
+        const code = formatCodePoint(ch.codePointAt(0));
+        const entry = { name: info.name || `Custom Character (${code})`, code, category: info.category || 'custom' };
+        if (!builtinChars.has(ch)) builtinChars.set(ch, INVISIBLE_CHARS[ch]);
+        INVISIBLE_CHARS[ch] = entry;
+        customChars.set(ch, entry);
+        return entry;
+    }
+
+    function checkReplacement(ch, replacement) {
+        const code = formatCodePoint(ch.codePointAt(0));
+        if (typeof replacement !== 'string' || replacement === '') {
+            throw new Error(`A homoglyph needs a replacement: ${code}`);
+        }
+        // Replacements are short look-alike text, never markup: rules files are shared
+        if ([...replacement].length > MAX_REPLACEMENT_LENGTH || /[<>&]/.test(replacement)) {
+            throw new Error(`A homoglyph replacement must be at most ${MAX_REPLACEMENT_LENGTH} characters, ` +
+                `without <, > or &: ${code}`);
+        }
+    }
+
+    function addHomoglyph(ch, replacement) {
+        checkReplacement(ch, replacement);
+        if (!builtinHomoglyphs.has(ch)) builtinHomoglyphs.set(ch, HOMOGLYPHS[ch]);
+        HOMOGLYPHS[ch] = replacement;
+        customHomoglyphs.set(ch, replacement);
+    }
+
+    /**
+     * Add a character to the registry, or change a built-in entry, so that
+     * detect(), revealHTML() and clean() treat it as hidden
+     * @param {string} ch - the character, or its "U+XXXX" code
+     * @param {{ name?: string, category?: string }} [info]
+     *   category: default 'custom', or any id of up to 32 lowercase letters, digits and hyphens;
+     *   'space' characters are cleaned to a normal space,
+     *   'formatting' ones are only reported with includeFormatting
+     * @returns {{ name: string, code: string, category: string }} the registry entry
+     */
+    function registerChar(ch, info = {}) {
+        const entry = addChar(ruleChar(ch), info);
+        rebuildRules();
+        return entry;
+    }
+
+    /**
+     * Never report, strip or replace a character (e.g. the no-break spaces and
+     * hyphens of typeset text), whatever the registries say
+     * @param {string} ch - the character, or its "U+XXXX" code
+     */
+    function allowChar(ch) {
+        ALLOWED_CHARS.add(ruleChar(ch));
+        rebuildRules();
+    }
+
+    /**
+     * Add a confusable mapping, or change a built-in one, for detectHomoglyphs()
+     * and clean({ fixHomoglyphs: true }). Letters are still only replaced inside
+     * words of another script (see analyzeScripts()).
+     * @param {string} ch - the look-alike, or its "U+XXXX" code
+     * @param {string} replacement - what it stands in for: up to 8 characters, without <, > or &
+     */
+    function registerHomoglyph(ch, replacement) {
+        addHomoglyph(ruleChar(ch), replacement);
+        rebuildRules();
+    }
+
+    /**
+     * Remove every custom rule and restore the built-in registries
+     */
+    function resetRules() {
+        builtinChars.forEach((entry, ch) => {
+            if (entry) INVISIBLE_CHARS[ch] = entry;
+            else delete INVISIBLE_CHARS[ch];
+        });
+        builtinHomoglyphs.forEach((replacement, ch) => {
+            if (replacement) HOMOGLYPHS[ch] = replacement;
+            else delete HOMOGLYPHS[ch];
+        });
+        [builtinChars, builtinHomoglyphs, customChars, customHomoglyphs, ALLOWED_CHARS].forEach(m => m.clear());
+        rebuildRules();
+    }
+
+    /**
+     * The custom rules as a JSON-ready profile. Characters are given as
+     * "U+XXXX" codes, so invisible ones survive being shared.
+     * @returns {{ version: number, chars: Array<{ code: string, name: string, category: string }>,
+     *   allowed: string[], homoglyphs: Array<{ code: string, replacement: string }> }}
+     */
+    function getRules() {
+        const code = ch => formatCodePoint(ch.codePointAt(0));
+        return {
+            version: RULES_VERSION,
+            chars: [...customChars.values()].map(({ code: c, name, category }) => ({ code: c, name, category })),
+            allowed: [...ALLOWED_CHARS].map(code),
+            homoglyphs: [...customHomoglyphs].map(([ch, replacement]) => ({ code: code(ch), replacement })),
+        };
+    }
+
+    /**
+     * Replace the custom rules with a profile from getRules(). The profile is
+     * checked first: if any rule is invalid, nothing changes.
+     * @param {{ version?: number, chars?: Array<{ code: string, name?: string, category?: string }>,
+     *   allowed?: string[], homoglyphs?: Array<{ code: string, replacement: string }> }} rules
+     */
+    function setRules(rules) {
+        if (!rules || typeof rules !== 'object') throw new Error('Rules must be an object');
+        if (rules.version !== undefined && rules.version > RULES_VERSION) {
+            throw new Error(`Rules version ${rules.version} is newer than this version supports (${RULES_VERSION})`);
+        }
+        const list = (key) => {
+            if (rules[key] === undefined) return [];
+            if (!Array.isArray(rules[key])) throw new Error(`Rules "${key}" must be a list`);
+            return rules[key];
+        };
+        const chars = list('chars').map((rule) => {
+            const ch = ruleChar(rule.code);
+            checkCategory(ch, rule.category);
+            return { ch, name: rule.name, category: rule.category };
+        });
+        const allowed = list('allowed').map(ruleChar);
+        const homoglyphs = list('homoglyphs').map(rule => {
+            const ch = ruleChar(rule.code);
+            checkReplacement(ch, rule.replacement);
+            return { ch, replacement: rule.replacement };
+        });
+
+        resetRules();
+        chars.forEach(rule => addChar(rule.ch, rule));
+        allowed.forEach(ch => ALLOWED_CHARS.add(ch));
+        homoglyphs.forEach(rule => addHomoglyph(rule.ch, rule.replacement));
+        rebuildRules();
     }
 
     // Public API
     return {
         detect,
+        createDetector,
         detectHomoglyphs,
         detectWhitespaceAnomalies,
+        detectCompatibility,
+        detectTypography,
+        scan,
         clean,
+        cleanWithReport,
+        diff,
+        diffHTML,
+        findCodeBlocks,
         revealHTML,
+        decodePayloads,
+        decodeZeroWidthBinary,
         inject,
+        embed,
+        extractEmbedded,
         getCharInfo,
+        getCategories,
+        getCompatibilityKinds,
+        getProfiles,
+        locate,
+        registerChar,
+        allowChar,
+        registerHomoglyph,
+        getRules,
+        setRules,
+        resetRules,
         INVISIBLE_CHARS,
         HOMOGLYPHS,
         AI_WATERMARK_INFO,
@@ -615,3 +2432,6 @@ const WatermarkDetector = (() => {
 if (typeof window !== 'undefined') {
     window.WatermarkDetector = WatermarkDetector;
 }
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WatermarkDetector;
+}
@@ -0,0 +1,210 @@
+/**
+ * TracesCleaner — ZIP archives
+ * Minimal ZIP reader/writer for .docx files and batch downloads. Uses the
+ * browser's built-in (De)CompressionStream for deflate, so it stays offline
+ * and dependency-free. ZIP64, encryption and multi-disk archives are not
+ * supported.
+ */
+
+const Zip = (() => {
+
+    const LOCAL_HEADER = 0x04034b50;
+    const CENTRAL_HEADER = 0x02014b50;
+    const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+    const UTF8_FLAG = 0x0800;
+
+    // =========================================================================
+    // CRC-32
+    // =========================================================================
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(data) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // =========================================================================
+    // Deflate via streams
+    // =========================================================================
+    async function pipe(data, stream) {
+        const buffer = await new Response(new Blob([data]).stream().pipeThrough(stream)).arrayBuffer();
+        return new Uint8Array(buffer);
+    }
+
+    function canDeflate() {
+        try {
+            void new CompressionStream('deflate-raw');
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // =========================================================================
+    // Reading
+    // =========================================================================
+
+    /**
+     * Read every file entry of a ZIP archive.
+     * @param {ArrayBuffer} buffer
+     * @returns {Promise<Array<{ name: string, data: Uint8Array, time: number, date: number }>>}
+     *   entries in archive order; directories are included with empty data
+     */
+    async function read(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+
+        // The end-of-central-directory record sits at the end, before an optional comment
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) throw new Error('Not a ZIP archive');
+
+        const count = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        if (count === 0xFFFF || offset === 0xFFFFFFFF) throw new Error('ZIP64 archives are not supported');
+
+        const decoder = new TextDecoder();
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== CENTRAL_HEADER) throw new Error('Corrupt ZIP central directory');
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            const time = view.getUint16(offset + 12, true);
+            const date = view.getUint16(offset + 14, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (flags & 0x1) throw new Error(`Encrypted ZIP entry: ${name}`);
+            if (view.getUint32(localOffset, true) !== LOCAL_HEADER) throw new Error(`Corrupt ZIP entry: ${name}`);
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            let data;
+            if (method === 0) data = raw.slice();
+            else if (method === 8) data = await pipe(raw, new DecompressionStream('deflate-raw'));
+            else throw new Error(`Unsupported ZIP compression method ${method}: ${name}`);
+
+            entries.push({ name, data, time, date });
+        }
+        return entries;
+    }
+
+    // =========================================================================
+    // Writing
+    // =========================================================================
+
+    // MS-DOS time/date fields for a JS Date
+    function dosDateTime(when) {
+        return {
+            time: (when.getHours() << 11) | (when.getMinutes() << 5) | (when.getSeconds() >> 1),
+            date: ((when.getFullYear() - 1980) << 9) | ((when.getMonth() + 1) << 5) | when.getDate(),
+        };
+    }
+
+    /**
+     * Build a ZIP archive. Entries are deflated when the browser supports it
+     * and it makes them smaller, otherwise stored.
+     * @param {Array<{ name: string, data: Uint8Array | string, time?: number, date?: number }>} entries
+     * @returns {Promise<Blob>}
+     */
+    async function write(entries) {
+        const encoder = new TextEncoder();
+        const deflate = canDeflate();
+        const now = dosDateTime(new Date());
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        for (const entry of entries) {
+            const name = encoder.encode(entry.name);
+            const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+            const crc = crc32(data);
+            let method = 0;
+            let stored = data;
+            if (deflate && data.length > 0 && !entry.name.endsWith('/')) {
+                const compressed = await pipe(data, new CompressionStream('deflate-raw'));
+                if (compressed.length < data.length) {
+                    method = 8;
+                    stored = compressed;
+                }
+            }
+            const time = entry.time !== undefined ? entry.time : now.time;
+            const date = entry.date !== undefined ? entry.date : now.date;
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, LOCAL_HEADER, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, UTF8_FLAG, true);
+            local.setUint16(8, method, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, stored.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            chunks.push(local, name, stored);
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, CENTRAL_HEADER, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 20, true);
+            header.setUint16(8, UTF8_FLAG, true);
+            header.setUint16(10, method, true);
+            header.setUint16(12, time, true);
+            header.setUint16(14, date, true);
+            header.setUint32(16, crc, true);
+            header.setUint32(20, stored.length, true);
+            header.setUint32(24, data.length, true);
+            header.setUint16(28, name.length, true);
+            header.setUint32(42, offset, true);
+            central.push(header, name);
+
+            offset += 30 + name.length + stored.length;
+        }
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...chunks, ...central, end], { type: 'application/zip' });
+    }
+
+    // Public API
+    return {
+        read,
+        write,
+        crc32,
+    };
+
+})();
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.Zip = Zip;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Zip;
+}
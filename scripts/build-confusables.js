@@ -0,0 +1,211 @@
+/**
+ * TracesCleaner — Confusables table generator
+ * Builds js/confusables.js, the offline homoglyph table used by the detector,
+ * from the Unicode confusables data (UTS #39 skeleton mappings).
+ *
+ * Usage:
+ *   node scripts/build-confusables.js <confusables.txt | confusables.json> [output]
+ *
+ * The input is either the official confusables.txt
+ * (https://www.unicode.org/Public/security/latest/confusables.txt) or a JSON
+ * object mapping source → skeleton, as shipped by the unicode-confusables npm
+ * package. Output defaults to js/confusables.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Latin small capitals are not skeleton sources in UTS #39, and NFKC leaves
+// them alone, so they are listed here (mapped to the lowercase letter they stand for)
+const SMALL_CAPITALS = {
+    'ᴀ': 'a', 'ʙ': 'b', 'ᴄ': 'c', 'ᴅ': 'd', 'ᴇ': 'e',
+    'ꜰ': 'f', 'ɢ': 'g', 'ʜ': 'h', 'ɪ': 'i', 'ᴊ': 'j',
+    'ᴋ': 'k', 'ʟ': 'l', 'ᴍ': 'm', 'ɴ': 'n', 'ᴏ': 'o',
+    'ᴘ': 'p', 'ꞯ': 'q', 'ʀ': 'r', 'ꜱ': 's', 'ᴛ': 't',
+    'ᴜ': 'u', 'ᴠ': 'v', 'ᴡ': 'w', 'ʏ': 'y', 'ᴢ': 'z',
+};
+
+// Caseless scripts whose letters are drawn after Latin capitals (Lisu 'ꓲ' is an I)
+const CAPITAL_SCRIPTS_REGEX = /[\p{Script=Lisu}\p{Script=Old_Italic}\p{Script=Runic}]/u;
+
+const ASCII_TARGET = /^[\x20-\x7E]+$/;
+const ALNUM = /^[A-Za-z0-9]+$/;
+
+function parseInput(file) {
+    const raw = fs.readFileSync(file, 'utf8');
+    if (file.endsWith('.json')) {
+        return { map: JSON.parse(raw), version: null };
+    }
+
+    const map = {};
+    const version = (raw.match(/^#\s*Version:\s*(\S+)/m) || [])[1] || null;
+    const toString = field => field.trim().split(/\s+/).map(hex => String.fromCodePoint(parseInt(hex, 16))).join('');
+    for (const line of raw.split(/\r?\n/)) {
+        const data = line.replace(/#.*/, '').trim();
+        if (!data) continue;
+        const [source, target] = data.split(';');
+        map[toString(source)] = toString(target);
+    }
+    return { map, version };
+}
+
+/**
+ * The ASCII characters behind each ASCII skeleton: skeletons are made for
+ * comparing strings, so one prototype stands for several characters
+ * ('l' for I, l, 1 and |, 'O' for O and 0)
+ */
+function skeletonClasses(map) {
+    const classes = {};
+    for (let cp = 0x21; cp <= 0x7E; cp++) {
+        const ch = String.fromCharCode(cp);
+        const skeleton = map[ch] || ch;
+        (classes[skeleton] = classes[skeleton] || []).push(ch);
+    }
+    return classes;
+}
+
+/**
+ * The character of a skeleton's class that keeps the source's case, so that
+ * Cyrillic 'І' becomes 'I' rather than its prototype 'l'
+ */
+function withCase(source, target, classes) {
+    const upper = /[\p{Lu}\p{Lt}]/u.test(source) || CAPITAL_SCRIPTS_REGEX.test(source);
+    const pattern = upper ? /[A-Z]/ : /\p{Ll}/u.test(source) ? /[a-z]/ : null;
+    if (!pattern || pattern.test(target)) return target;
+    return (classes[target] || []).find(ch => pattern.test(ch)) || target;
+}
+
+/**
+ * Value of a decimal digit: Nd characters come in runs of 0–9
+ */
+function digitValue(ch) {
+    const cp = ch.codePointAt(0);
+    let start = cp;
+    while (/\p{Nd}/u.test(String.fromCodePoint(start - 1))) start--;
+    return (cp - start) % 10;
+}
+
+/**
+ * Keep the skeleton mappings that make a good homoglyph: a non-ASCII source
+ * that renders like plain ASCII, replaced with the character it imitates.
+ * Letters take their NFKC form when it is ASCII (styled and mathematical
+ * letters), else a single-letter skeleton in the letter's own case; letters
+ * whose skeleton is several letters (Ю → 'lO') are real letters and stay.
+ * Spaces are taken as-is, decimal digits only for a digit of the same value;
+ * punctuation and symbols only when NFKC folds them to letters/digits too
+ * (fullwidth forms, parenthesized letters), so "×" or "…" stay untouched.
+ */
+function selectSkeletons(map) {
+    const table = {};
+    const classes = skeletonClasses(map);
+    for (const [source, target] of Object.entries(map)) {
+        if ([...source].length !== 1 || source.charCodeAt(0) < 0x80) continue;
+        const folded = source.normalize('NFKC');
+
+        if (/\p{L}/u.test(source)) {
+            // Superscripts and other modifier letters are left to normalization
+            if (ALNUM.test(folded) && !/\p{Lm}/u.test(source)) {
+                table[source] = folded;
+            } else if ([...target].length === 1 && /\p{L}|\p{N}/u.test(target)) {
+                // Letters only fold to letters and digits: 'ᐸ' → '<' would turn
+                // Canadian Syllabics into markup. Non-ASCII targets may still
+                // resolve to ASCII (see resolveChains)
+                table[source] = withCase(source, target, classes);
+            }
+        } else if (/\p{Zs}/u.test(source)) {
+            if (ASCII_TARGET.test(target)) table[source] = target;
+        } else if (/\p{Nd}/u.test(source)) {
+            // Digits only fold to the same digit: '৪' (Bengali four) looks like 8
+            if (target === String(digitValue(source))) table[source] = target;
+        } else if (/[\p{P}\p{S}]/u.test(source)) {
+            if (ALNUM.test(folded) || /^\([A-Za-z0-9]\)$/.test(folded) || /[！-～]/.test(source)) {
+                table[source] = ASCII_TARGET.test(folded) ? folded : target;
+            }
+        }
+    }
+    return table;
+}
+
+/**
+ * Styled letters that UTS #39 leaves out but NFKC folds to a single ASCII
+ * letter or digit: circled letters, further mathematical alphanumerics,
+ * fullwidth forms. Latin-1 (ª, º) and superscripts/modifier letters are skipped.
+ */
+function addCompatibilityLetters(table) {
+    for (let cp = 0x100; cp <= 0x1FFFF; cp++) {
+        if (cp >= 0xD800 && cp <= 0xDFFF) continue;
+        const ch = String.fromCodePoint(cp);
+        if (table[ch]) continue;
+        if (!/[\p{L}\p{Nd}\p{So}]/u.test(ch) || /\p{Lm}/u.test(ch)) continue;
+        const folded = ch.normalize('NFKC');
+        if (/^[A-Za-z0-9]$/.test(folded)) table[ch] = folded;
+    }
+}
+
+/**
+ * Resolve skeletons that point at another mapped character (ꭺ → ᴀ → a)
+ */
+function resolveChains(table) {
+    for (const [source, target] of Object.entries(table)) {
+        if (!ASCII_TARGET.test(target) && table[target]) table[source] = table[target];
+    }
+}
+
+function escapeJS(str) {
+    return [...str].map((ch) => {
+        const cp = ch.codePointAt(0);
+        if (ch === "'" || ch === '\\') return '\\' + ch;
+        if (cp >= 0x20 && cp <= 0x7E) return ch;
+        const hex = cp.toString(16).toUpperCase();
+        return cp > 0xFFFF ? `\\u{${hex}}` : '\\u' + hex.padStart(4, '0');
+    }).join('');
+}
+
+function main() {
+    const [input, output = path.join(__dirname, '..', 'js', 'confusables.js')] = process.argv.slice(2);
+    if (!input) {
+        console.error('Usage: node scripts/build-confusables.js <confusables.txt | confusables.json> [output]');
+        process.exit(1);
+    }
+
+    const { map, version } = parseInput(input);
+    const table = selectSkeletons(map);
+    Object.assign(table, SMALL_CAPITALS);
+    addCompatibilityLetters(table);
+    resolveChains(table);
+
+    const entries = Object.entries(table)
+        .filter(([, target]) => ASCII_TARGET.test(target))
+        .sort(([a], [b]) => a.codePointAt(0) - b.codePointAt(0));
+
+    const lines = [];
+    for (let i = 0; i < entries.length; i += 6) {
+        lines.push('    ' + entries.slice(i, i + 6).map(([s, t]) => `'${escapeJS(s)}': '${escapeJS(t)}',`).join(' '));
+    }
+
+    const source = version ? `confusables.txt ${version}` : path.basename(input);
+    const file = `/**
+ * TracesCleaner — Unicode confusables table
+ * GENERATED by scripts/build-confusables.js — do not edit by hand.
+ * Source: ${source} (UTS #39 skeletons), plus NFKC-folded styled letters
+ * (Unicode ${process.versions.unicode}) and Latin small capitals.
+ * Maps ${entries.length} look-alike characters to the ASCII they imitate.
+ */
+
+const CONFUSABLES = {
+${lines.join('\n')}
+};
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.CONFUSABLES = CONFUSABLES;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CONFUSABLES;
+}
+`;
+    fs.writeFileSync(output, file);
+    console.log(`Wrote ${entries.length} entries to ${path.relative(process.cwd(), output)}`);
+}
+
+main();
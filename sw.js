@@ -1,11 +1,18 @@
-const CACHE_NAME = 'tracescleaner-v1';
+const CACHE_NAME = 'tracescleaner-v7';
 const ASSETS = [
     './',
     './index.html',
     './invisible-chars.html',
     './statistical-watermarks.html',
     './css/styles.css',
+    './js/confusables.js',
+    './js/html-sanitizer.js',
+    './js/markdown.js',
+    './js/zip.js',
+    './js/file-cleaner.js',
     './js/watermark-detector.js',
+    './js/statistical-detector.js',
+    './js/detector-worker.js',
     './js/app.js',
     './manifest.json',
     './img/icon.svg',
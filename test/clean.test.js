@@ -0,0 +1,177 @@
+/**
+ * TracesCleaner — clean() properties
+ * Injected watermarks come back out, cleaning twice changes nothing, and the
+ * change report and diff describe exactly what clean() did.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const WatermarkDetector = require('../index.cjs');
+
+// Small seeded PRNG (mulberry32), so a failing input can be reproduced
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Building blocks for generated inputs: prose, look-alikes, hidden and
+// special characters, emoji sequences, combining marks and line endings
+const PIECES = [
+    'word', 'The', 'quick', 'fox', 'café', 'naïve', ' ', '  ', '\t', '\n', '\r\n', '.', ',',
+    '\u200B', '\u200C', '\u200D', '\uFEFF', '\u2060', '\u00AD', '\u202E', '\u2062', '\u00A0', '\u2009',
+    '\u3000', '\u2011', '\uFE0F', '\u{E0041}', '\u{E007F}', '\u{E0100}', '\u0001',
+    '\u0430', '\u0435', '\u043E', '\u0455', '\u0391', '\u{1D41A}', '\uFF46', // Cyrillic а е о ѕ, Greek Α, 𝐚, ｆ
+    '\u0301', '\u0308', 'e\u0301', 'п', 'Москва', 'می\u200Cخواهم', '👨\u200D👩\u200D👧', '❤\uFE0F', '👍🏽',
+    '```\n', '    ',
+];
+
+function generate(next, length) {
+    let text = '';
+    for (let i = 0; i < length; i++) text += PIECES[Math.floor(next() * PIECES.length)];
+    return text;
+}
+
+const OPTION_SETS = [
+    {},
+    { normalize: false },
+    { fixHomoglyphs: true },
+    { contextAware: true },
+    { trimTrailing: true, collapseSpaces: true },
+    { trimTrailing: true, collapseSpaces: true, textType: 'mixed' },
+    { fixHomoglyphs: true, contextAware: true, trimTrailing: true, collapseSpaces: true },
+    { categories: ['zero-width', 'tag'] },
+    { normalize: 'NFKC', fixHomoglyphs: true },
+    { normalize: 'NFD' },
+    { normalize: 'NFKD', fixHomoglyphs: true },
+    { normalize: false, fold: ['ligature', 'width', 'styled'] },
+    { straightQuotes: true, emDash: 'double', expandEllipsis: true, plainBullets: true, collapseSpaces: true },
+    ...WatermarkDetector.getProfiles().map(profile => ({ profile: profile.id })),
+];
+
+test('inject() → clean() removes everything that was injected', () => {
+    const text = 'Large language models sometimes hide characters inside perfectly ordinary sentences.';
+    const all = { zwsp: true, zwnj: true, bom: true, invisSep: true };
+    for (let i = 0; i < 50; i++) {
+        const injected = WatermarkDetector.inject(text, all);
+        assert.ok(injected.count > 0);
+        assert.equal(WatermarkDetector.detect(injected.text).total, injected.count);
+        assert.equal(WatermarkDetector.clean(injected.text), text);
+    }
+    for (const type of Object.keys(all)) {
+        const injected = WatermarkDetector.inject(text, { [type]: true });
+        assert.equal(WatermarkDetector.clean(injected.text), text, type);
+    }
+    assert.deepEqual(WatermarkDetector.inject(text), { text, count: 0 });
+});
+
+test('inject() → clean() round-trips text that is not plain ASCII', () => {
+    const text = 'Résumé — naïve café, Ελληνικά, 日本語 and 😀 emoji.';
+    for (let i = 0; i < 20; i++) {
+        const injected = WatermarkDetector.inject(text, { zwsp: true, bom: true });
+        assert.equal(WatermarkDetector.clean(injected.text, { contextAware: true }), text);
+    }
+});
+
+test('clean() is idempotent', () => {
+    const next = random(20240607);
+    for (let i = 0; i < 300; i++) {
+        const text = generate(next, 1 + Math.floor(next() * 40));
+        for (const options of OPTION_SETS) {
+            const once = WatermarkDetector.clean(text, options);
+            assert.equal(WatermarkDetector.clean(once, options), once,
+                `options ${JSON.stringify(options)}, input ${JSON.stringify(text)}`);
+        }
+    }
+});
+
+test('context-aware clean() drops a ZWJ whose VS16 is removed in the same pass', () => {
+    const options = { contextAware: true };
+    const text = 'x\uFE0F\u200D\u{1F469}';
+    const once = WatermarkDetector.clean(text, options);
+    assert.equal(once, 'x\u{1F469}');
+    assert.equal(WatermarkDetector.clean(once, options), once);
+
+    // After an emoji both stay
+    const kept = '\u2764\uFE0F\u200D\u{1F525}';
+    assert.equal(WatermarkDetector.clean(kept, options), kept);
+});
+
+test('HTML stripping is idempotent except for entities that were encoded twice', () => {
+    const options = { stripHTML: true };
+    const html = '<p>Tom &amp; Jerry&nbsp;<b>say</b> &#x201C;hi&#x201D;</p><br>Bye';
+    const once = WatermarkDetector.clean(html, options);
+    assert.equal(once, 'Tom & Jerry say “hi”\n\nBye');
+    assert.equal(WatermarkDetector.clean(once, options), once);
+
+    // "&amp;lt;" is the text "&lt;", which a second pass decodes again
+    assert.equal(WatermarkDetector.clean('&amp;lt;', options), '&lt;');
+});
+
+test('the change report and diff describe the clean-up', () => {
+    const next = random(7);
+    for (let i = 0; i < 100; i++) {
+        const text = generate(next, 30);
+        const options = OPTION_SETS[i % OPTION_SETS.length];
+        const report = WatermarkDetector.cleanWithReport(text, options);
+        assert.equal(report.text, WatermarkDetector.clean(text, options));
+
+        // Later passes may rework an earlier replacement (a no-break space
+        // becomes a space, then gets collapsed), but offsets stay in range
+        for (const edit of report.edits) {
+            assert.ok(edit.originalOffset >= 0 && edit.originalOffset <= text.length);
+            assert.ok(edit.outputOffset >= 0 && edit.outputOffset <= report.text.length);
+        }
+
+        const diff = WatermarkDetector.diff(text, options);
+        assert.equal(diff.text, report.text);
+        assert.equal(diff.segments.map(s => s.original).join(''), text);
+        assert.equal(diff.segments.map(s => s.replacement).join(''), report.text);
+    }
+});
+
+test('a single-pass report replays exactly', () => {
+    const text = 'a\u200Bb\u00A0c\uFEFF\u{E0041}d';
+    const report = WatermarkDetector.cleanWithReport(text);
+    assert.equal(report.text, 'ab cd');
+    assert.deepEqual(report.edits.map(e => [e.type, e.originalOffset, e.outputOffset, e.replacement]), [
+        ['invisible', 1, 1, ''],
+        ['space', 3, 2, ' '],
+        ['invisible', 5, 4, ''],
+        ['invisible', 6, 4, ''],
+    ]);
+    for (const edit of report.edits) {
+        assert.equal(text.slice(edit.originalOffset, edit.originalOffset + edit.original.length), edit.original);
+    }
+});
+
+test('profiles are named sets of options that other options override', () => {
+    const text = '<b>Hi</b>  the\uFB01nal\u00A0p\u0430ypal\u200B \n';
+    for (const profile of WatermarkDetector.getProfiles()) {
+        assert.equal(WatermarkDetector.clean(text, { profile: profile.id }), WatermarkDetector.clean(text, profile.options),
+            profile.id);
+    }
+    assert.equal(WatermarkDetector.clean(text, { profile: 'code' }), '<b>Hi</b>  the\uFB01nal p\u0430ypal \n');
+    assert.equal(WatermarkDetector.clean(text, { profile: 'academic' }), '<b>Hi</b>  thefinal\u00A0paypal\n');
+    assert.equal(WatermarkDetector.clean(text, { profile: 'strict' }), 'Hi thefinal paypal\n');
+    assert.equal(WatermarkDetector.clean(text, { profile: 'strict', stripHTML: false, textType: undefined }),
+        '<b>Hi</b> thefinal paypal\n');
+    assert.throws(() => WatermarkDetector.clean(text, { profile: 'toString' }), /Unknown profile/);
+
+    // Profiles are copies
+    WatermarkDetector.getProfiles()[0].options.stripHTML = false;
+    assert.equal(WatermarkDetector.getProfiles()[0].options.stripHTML, true);
+});
+
+test('NFKC folds compatibility characters, NFC does not', () => {
+    const text = '\uFB01 x\u00B2 \uFF21 \u2460';
+    assert.equal(WatermarkDetector.clean(text), text);
+    assert.equal(WatermarkDetector.clean(text, { normalize: 'NFKC' }), 'fi x2 A 1');
+    const report = WatermarkDetector.cleanWithReport(text, { normalize: 'NFKC' });
+    assert.deepEqual(report.edits.map(edit => [edit.type, edit.originalOffset, edit.replacement]),
+        [['normalize', 0, 'fi'], ['normalize', 3, '2'], ['normalize', 5, 'A'], ['normalize', 7, '1']]);
+    assert.throws(() => WatermarkDetector.clean(text, { normalize: 'NFX' }), /Unknown normalization form/);
+});
@@ -0,0 +1,131 @@
+/**
+ * TracesCleaner — seeded injector
+ * embed() is reproducible from its seed, every method reads back through the
+ * decoders, and clean() takes it all out again.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const WatermarkDetector = require('../index.cjs');
+
+const TEXT = 'The quick brown fox jumps over the lazy dog. Pack my box with five dozen liquor jugs. '.repeat(8);
+const METHODS = ['zero-width', 'tag', 'variation', 'homoglyph', 'whitespace'];
+const CLEAN_ALL = { fixHomoglyphs: true, collapseSpaces: true };
+
+test('the same seed gives the same output', () => {
+    for (const method of METHODS) {
+        for (const seed of [1, 'red team', 4294967295]) {
+            const a = WatermarkDetector.embed(TEXT, 'ID-0042', { method, seed, placement: 'any' });
+            const b = WatermarkDetector.embed(TEXT, 'ID-0042', { method, seed, placement: 'any' });
+            assert.deepEqual(a, b);
+            assert.equal(a.seed, seed);
+        }
+    }
+    const a = WatermarkDetector.embed(TEXT, 'ID-0042', { seed: 1 });
+    const b = WatermarkDetector.embed(TEXT, 'ID-0042', { seed: 2 });
+    assert.notEqual(a.text, b.text);
+});
+
+test('a seed is picked and returned when none is given', () => {
+    const result = WatermarkDetector.embed(TEXT, 'ID-0042');
+    assert.equal(typeof result.seed, 'number');
+    assert.equal(WatermarkDetector.embed(TEXT, 'ID-0042', { seed: result.seed }).text, result.text);
+});
+
+test('every method reads back and cleans out', () => {
+    for (const method of METHODS) {
+        for (const placement of ['between', 'inside', 'any']) {
+            for (const message of ['ID-0042', 'x1']) {
+                const result = WatermarkDetector.embed(TEXT, message, { method, seed: 9, placement, density: 0.25 });
+                assert.ok(result.count > 0);
+                const messages = WatermarkDetector.extractEmbedded(result.text, method);
+                assert.ok(messages.length > 0, `${method}, ${placement}`);
+                assert.ok(messages.every(m => m === message), `${method}, ${placement}: ${JSON.stringify(messages)}`);
+                assert.equal(WatermarkDetector.clean(result.text, CLEAN_ALL), TEXT, `${method}, ${placement}`);
+            }
+        }
+    }
+});
+
+test('zero-width, tag and variation payloads are found by the stock decoders', () => {
+    const message = 'ID-0042 ✓';
+    const zeroWidth = WatermarkDetector.embed(TEXT, message, { seed: 3, placement: 'any' });
+    const best = WatermarkDetector.decodeZeroWidthBinary(WatermarkDetector.detect(zeroWidth.text))[0];
+    assert.equal(best.message, message);
+    assert.equal(best.scheme.label, 'ZWSP=0, ZWNJ=1');
+
+    const tag = WatermarkDetector.embed(TEXT, 'ID-0042', { method: 'tag', seed: 3, density: 0.1 });
+    const tagPayloads = WatermarkDetector.decodePayloads(tag.text);
+    assert.equal(tagPayloads.length, tag.slots.length);
+    assert.ok(tagPayloads.every(p => p.type === 'tag' && p.message === 'ID-0042'));
+
+    const variation = WatermarkDetector.embed(TEXT, message, { method: 'variation', seed: 3, density: 0.1 });
+    assert.deepEqual(WatermarkDetector.decodePayloads(variation.text).map(p => p.message),
+        variation.slots.map(() => message));
+});
+
+test('density and placement decide the slots', () => {
+    const text = 'alpha beta gamma delta';
+    const between = WatermarkDetector.embed(text, 'ID', { method: 'tag', seed: 1, density: 1, placement: 'between' });
+    assert.deepEqual(between.slots, [5, 10, 16]);
+    const inside = WatermarkDetector.embed(text, 'ID', { method: 'tag', seed: 1, density: 1, placement: 'inside' });
+    assert.equal(inside.slots.length, 22 - 3 - 4);
+    assert.ok(inside.slots.every(slot => /\S/.test(text[slot - 1]) && /\S/.test(text[slot])));
+
+    const sparse = WatermarkDetector.embed(TEXT, 'ID', { method: 'tag', seed: 1, density: 0.1 });
+    const dense = WatermarkDetector.embed(TEXT, 'ID', { method: 'tag', seed: 1, density: 0.9 });
+    assert.ok(sparse.slots.length < dense.slots.length);
+
+    // Zero-width bits are shared out, never more slots than bits
+    const bits = WatermarkDetector.embed(TEXT, 'ID', { seed: 1, density: 1, placement: 'any' });
+    assert.equal(bits.slots.length, 16);
+    assert.equal(bits.count, 16);
+});
+
+test('combining marks stay on their letter', () => {
+    const text = 'cafe\u0301 nai\u0308ve re\u0301sume\u0301';
+    const result = WatermarkDetector.embed(text, 'ID', { method: 'tag', seed: 1, density: 1, placement: 'inside' });
+    assert.equal(result.slots.length, 12);
+    assert.ok(result.slots.every(slot => !/\p{M}/u.test(text[slot])));
+});
+
+test('homoglyph and whitespace bits run from the start and stop at a zero byte', () => {
+    const homoglyph = WatermarkDetector.embed(TEXT, 'A', { method: 'homoglyph', seed: 1 });
+    assert.equal(homoglyph.slots.length, 16);
+    assert.equal(homoglyph.text.slice(homoglyph.slots[15] + 1), TEXT.slice(homoglyph.slots[15] + 1));
+    assert.ok(WatermarkDetector.detectHomoglyphs(homoglyph.text).total > 0);
+
+    const whitespace = WatermarkDetector.embed(TEXT, 'A', { method: 'whitespace', seed: 1 });
+    assert.equal(whitespace.count, 2); // 0x41 has two 1 bits
+    assert.ok(WatermarkDetector.detectWhitespaceAnomalies(whitespace.text).issues.some(i => i.type === 'double-space'));
+
+    // Plain text carries no message
+    for (const method of METHODS) assert.deepEqual(WatermarkDetector.extractEmbedded(TEXT, method), []);
+});
+
+test('messages that do not fit are refused', () => {
+    assert.throws(() => WatermarkDetector.embed('short text', 'ID-0042', { method: 'homoglyph' }), /No room/);
+    assert.throws(() => WatermarkDetector.embed('short text', 'ID-0042', { method: 'whitespace' }), /No room/);
+    assert.throws(() => WatermarkDetector.embed('word', 'ID', { placement: 'between' }), /No room/);
+    assert.throws(() => WatermarkDetector.embed(TEXT, 'café', { method: 'tag' }), /ASCII/);
+    assert.throws(() => WatermarkDetector.embed(TEXT, 'x', { method: 'variation' }), /two bytes/);
+    assert.throws(() => WatermarkDetector.embed(TEXT, '', {}), /empty/);
+    assert.throws(() => WatermarkDetector.embed(TEXT, 'ID', { method: 'morse' }), /Unknown embedding method/);
+    assert.throws(() => WatermarkDetector.embed(TEXT, 'ID', { density: 0 }), /density/);
+    assert.throws(() => WatermarkDetector.embed(TEXT, 'ID', { placement: 'around' }), /Unknown placement/);
+});
+
+test('inject() is reproducible from its seed', () => {
+    const types = { zwsp: true, zwnj: true, bom: true, invisSep: true };
+    const a = WatermarkDetector.inject(TEXT, { ...types, seed: 11 });
+    assert.deepEqual(WatermarkDetector.inject(TEXT, { ...types, seed: 11 }), a);
+    assert.notEqual(WatermarkDetector.inject(TEXT, { ...types, seed: 12 }).text, a.text);
+
+    const between = WatermarkDetector.inject(TEXT, { zwsp: true, seed: 11, placement: 'between', density: 1 });
+    assert.equal(between.text.replace(/\u200B/g, ''), TEXT);
+    assert.equal(between.count, TEXT.split(/(\s+)/).length - 1);
+    assert.ok(!/\S\u200B\S/.test(between.text));
+    const inside = WatermarkDetector.inject(TEXT, { zwsp: true, seed: 11, placement: 'inside', density: 1 });
+    assert.ok(inside.count > 0);
+    assert.ok(!/\s\u200B|\u200B\s/.test(inside.text));
+});
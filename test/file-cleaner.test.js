@@ -0,0 +1,55 @@
+/**
+ * TracesCleaner — file cleaning
+ * Cleaned files must still be valid files: JSON still parses, CSV keeps its
+ * quoting, and no replacement ever turns into HTML or Word markup.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The browser scripts find each other as globals
+globalThis.WatermarkDetector = require('../index.cjs');
+globalThis.Zip = require('../js/zip.js');
+const FileCleaner = require('../js/file-cleaner.js');
+
+const EMAIL = WatermarkDetector.getProfiles().find(profile => profile.id === 'email').options;
+
+async function cleanText(name, content, options) {
+    const result = await FileCleaner.cleanFile(new File([content], name), options);
+    return { ...result, output: await result.blob.text() };
+}
+
+test('cleaned JSON still parses', async () => {
+    const json = '{"a":"it’s “x”","b":"6″ tall","c":"p\u0430y\u200Bpal"}';
+    for (const options of [EMAIL, { fixHomoglyphs: true }, { normalize: 'NFKC', fixHomoglyphs: true, straightQuotes: true }]) {
+        const data = JSON.parse((await cleanText('data.json', json, options)).output);
+        assert.equal(data.a, 'it’s “x”', JSON.stringify(options));
+        assert.equal(data.c, 'paypal', JSON.stringify(options));
+    }
+    // ″ is a homoglyph of "
+    const { output } = await cleanText('data.json', json, { fixHomoglyphs: true });
+    assert.equal(JSON.parse(output).b, '6″ tall');
+    const fullwidth = await cleanText('data.json', '{"a":"＂"}', { normalize: 'NFKC' });
+    assert.deepEqual(JSON.parse(fullwidth.output), { a: '＂' });
+});
+
+test('CSV keeps its quoting', async () => {
+    const csv = 'name,quote\r\nAnn,"He said “hi”"\r\n';
+    const { output, edits } = await cleanText('data.csv', csv, { ...EMAIL, fixHomoglyphs: true });
+    assert.equal(output, csv);
+    assert.equal(edits, 0);
+});
+
+test('character references in HTML and Word text are cleaned, and markup stays escaped', async () => {
+    const html = await cleanText('page.html', '<p>a&#x200B;b &amp; c∕d &nbsp;</p>', {});
+    assert.equal(html.output, '<p>ab &amp; c∕d &nbsp;</p>');
+    assert.equal(html.text, 'a\u200Bb & c∕d &nbsp;');
+
+    const xml = '<w:document><w:p><w:r><w:t>x&#x200B;y &lt;z&gt;</w:t></w:r></w:p></w:document>';
+    const docx = await Zip.write([{ name: 'word/document.xml', data: new TextEncoder().encode(xml), time: 0, date: 0 }]);
+    const result = await FileCleaner.cleanFile(new File([docx], 'doc.docx'), {});
+    const [entry] = await Zip.read(await result.blob.arrayBuffer());
+    assert.equal(new TextDecoder().decode(entry.data),
+        '<w:document><w:p><w:r><w:t>xy &lt;z&gt;</w:t></w:r></w:p></w:document>');
+    assert.equal(result.edits, 1);
+});
@@ -0,0 +1,141 @@
+/**
+ * TracesCleaner — fixture corpus
+ * Real-world samples, each with one planted zero-width space: emoji
+ * sequences, Persian text (ZWNJ is part of its spelling), Markdown with code
+ * blocks, and a CRLF file.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const WatermarkDetector = require('../index.cjs');
+
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+// The fixture with its planted zero-width space taken out
+function withoutPlanted(text) {
+    return text.replace('\u200B', '');
+}
+
+// detect() through the streaming detector, `size` code units at a time
+function detectInChunks(text, size, options) {
+    const detector = WatermarkDetector.createDetector(options);
+    for (let i = 0; i < text.length; i += size) detector.write(text.slice(i, i + size));
+    return detector.end();
+}
+
+function summary(result) {
+    const entries = map => [...map].map(([ch, entry]) => [ch, entry.positions]);
+    return { total: result.total, chars: entries(result.chars), legitimate: entries(result.legitimate) };
+}
+
+// Hidden characters in each fixture: the planted zero-width space, plus the
+// no-break spaces that come with copy-pasted prose
+const HIDDEN = {
+    'emoji.txt': ['\u200B'],
+    'persian.txt': ['\u200B'],
+    'code-blocks.md': ['\u00A0', '\u200B'],
+    'crlf.txt': ['\u00A0', '\u200B'],
+};
+
+for (const [name, hidden] of Object.entries(HIDDEN)) {
+    test(`${name}: only the expected characters are flagged`, () => {
+        const text = fixture(name);
+        const result = WatermarkDetector.detect(text, { contextAware: true });
+        assert.deepEqual([...result.chars.keys()].sort(), hidden);
+        assert.equal(result.total, hidden.length);
+        assert.deepEqual(result.chars.get('\u200B').positions, [text.indexOf('\u200B')]);
+    });
+
+    test(`${name}: streaming detection matches detect() at any chunk size`, () => {
+        const text = fixture(name);
+        for (const options of [{}, { includeFormatting: true, contextAware: true }]) {
+            const expected = summary(WatermarkDetector.detect(text, options));
+            for (const size of [1, 2, 3, 5, 64, 1000]) {
+                assert.deepEqual(summary(detectInChunks(text, size, options)), expected, `chunks of ${size}`);
+            }
+        }
+    });
+
+    test(`${name}: cleaning twice changes nothing`, () => {
+        const text = fixture(name);
+        const options = { contextAware: true, fixHomoglyphs: true, trimTrailing: true, collapseSpaces: true, textType: 'mixed' };
+        const once = WatermarkDetector.clean(text, options);
+        assert.equal(WatermarkDetector.clean(once, options), once);
+    });
+}
+
+test('emoji sequences survive a context-aware clean', () => {
+    const text = fixture('emoji.txt');
+    const result = WatermarkDetector.detect(text, { contextAware: true });
+    assert.deepEqual([...result.legitimate.keys()].map(ch => ch.codePointAt(0).toString(16)).sort(),
+        ['200d', 'e0062', 'e0063', 'e0065', 'e0067', 'e006e', 'e0073', 'e0074', 'e007f', 'fe0f']);
+    assert.equal(WatermarkDetector.clean(text, { contextAware: true }), withoutPlanted(text));
+
+    // Without context, every joiner, selector and tag goes
+    const stripped = WatermarkDetector.clean(text);
+    assert.equal(WatermarkDetector.detect(stripped).total, 0);
+    assert.ok(stripped.includes('👨👩👧👦'));
+});
+
+test('Persian keeps its zero-width non-joiners', () => {
+    const text = fixture('persian.txt');
+    const result = WatermarkDetector.detect(text, { contextAware: true });
+    assert.equal(result.legitimate.get('\u200C').count, 7);
+    assert.equal(WatermarkDetector.clean(text, { contextAware: true, fixHomoglyphs: true }), withoutPlanted(text));
+    assert.deepEqual(WatermarkDetector.detectHomoglyphs(text), { total: 0, chars: new Map(), mixedScript: [] });
+});
+
+test('code blocks keep their whitespace in mixed text', () => {
+    const text = fixture('code-blocks.md');
+    const cleaned = WatermarkDetector.clean(text, { trimTrailing: true, collapseSpaces: true, textType: 'mixed' });
+    assert.equal(cleaned, [
+        '# Setup',
+        '',
+        'Install the package and run it:',
+        '',
+        '```js',
+        'function greet(name) {',
+        '    const padded = name.padEnd(10, \' \');  ',
+        '\treturn `Hello,  ${padded}!`;',
+        '}',
+        '```',
+        '',
+        'Then call `greet()` with a name.',
+        '',
+        '~~~',
+        '  indented   output   ',
+        '~~~',
+        '',
+    ].join('\n'));
+    assert.deepEqual(WatermarkDetector.findCodeBlocks(text).map(block => text.slice(block.start, block.start + 3)), ['```', '~~~']);
+});
+
+test('CRLF files keep their line endings', () => {
+    const text = fixture('crlf.txt');
+    assert.equal(text.split('\r\n').length, 6);
+
+    const cleaned = WatermarkDetector.clean(text, { trimTrailing: true, collapseSpaces: true });
+    assert.equal(cleaned, [
+        'Line one of a Windows file.',
+        'Line two has a zero-width space.',
+        'Line three has a no-break space.',
+        '',
+        'Last line.',
+        '',
+    ].join('\r\n'));
+
+    const issues = WatermarkDetector.detectWhitespaceAnomalies(text).issues.map(issue => issue.type);
+    assert.deepEqual(issues.sort(), ['special-space', 'trailing-space']);
+
+    const location = WatermarkDetector.locate(text, text.indexOf('\u200B'));
+    assert.deepEqual([location.line, location.column], [2, 5]);
+
+    // A CRLF split across two chunks is still one line ending
+    for (const size of [1, 2, 3, 31]) {
+        assert.deepEqual(detectInChunks(text, size, { includeFormatting: true }).lineEndings, { crlf: 5, lf: 0, cr: 0 });
+    }
+});
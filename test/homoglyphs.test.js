@@ -0,0 +1,120 @@
+/**
+ * TracesCleaner — homoglyph table
+ * Every HOMOGLYPHS entry must be reported by detectHomoglyphs() exactly where
+ * clean({ fixHomoglyphs: true }) replaces it, and with the same replacement.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const WatermarkDetector = require('../index.cjs');
+
+const { HOMOGLYPHS } = WatermarkDetector;
+
+// Typographic punctuation and the no-break space are normal in pasted text
+const TYPOGRAPHIC = new Set(['\u00A0', '\u2013', '\u2014', '\u2018', '\u2019', '\u201C', '\u201D']);
+
+// Letters that are already Latin are the word's own script, except the
+// phonetic small capitals (ᴀ, ʜ, ...), which only imitate it
+function isLatinLetter(ch) {
+    return /\p{Script=Latin}/u.test(ch) && !/[\u0250-\u02AF\u1D00-\u1DBF]/u.test(ch);
+}
+
+test('detection and clean-up agree on every entry', () => {
+    const disagreements = [];
+    for (const [ch, replacement] of Object.entries(HOMOGLYPHS)) {
+        // Registry characters (special spaces, the non-breaking hyphen) are
+        // handled by the invisible-character pass instead
+        if (WatermarkDetector.getCharInfo(ch)) continue;
+
+        const text = `word ab${ch}cd word`;
+        const flagged = WatermarkDetector.detectHomoglyphs(text).chars.get(ch);
+        const cleaned = WatermarkDetector.clean(text, { fixHomoglyphs: true, normalize: false });
+        const fixed = cleaned === `word ab${replacement}cd word`;
+        if (Boolean(flagged) !== fixed || (flagged && flagged.replacement !== replacement)) {
+            disagreements.push(`U+${ch.codePointAt(0).toString(16).toUpperCase()}`);
+        }
+        if (!fixed && cleaned !== text) disagreements.push(`U+${ch.codePointAt(0).toString(16).toUpperCase()} (changed)`);
+    }
+    assert.deepEqual(disagreements, []);
+});
+
+test('every look-alike from another script is caught inside a Latin word', () => {
+    const missed = [];
+    for (const ch of Object.keys(HOMOGLYPHS)) {
+        if (TYPOGRAPHIC.has(ch) || isLatinLetter(ch) || WatermarkDetector.getCharInfo(ch)) continue;
+        const result = WatermarkDetector.detectHomoglyphs(`word ab${ch}cd word`);
+        if (result.total !== 1) missed.push(`U+${ch.codePointAt(0).toString(16).toUpperCase()}`);
+    }
+    assert.deepEqual(missed, []);
+});
+
+test('replacements are ASCII', () => {
+    for (const [ch, replacement] of Object.entries(HOMOGLYPHS)) {
+        assert.match(replacement, /^[\x20-\x7E]+$/, `U+${ch.codePointAt(0).toString(16).toUpperCase()}`);
+    }
+});
+
+test('letters are only replaced with letters and digits', () => {
+    for (const [ch, replacement] of Object.entries(HOMOGLYPHS)) {
+        if (!/\p{L}/u.test(ch)) continue;
+        assert.match(replacement, /^[A-Za-z0-9]+$/, `U+${ch.codePointAt(0).toString(16).toUpperCase()}`);
+    }
+    // Canadian Syllabics and Runic letters, not markup
+    assert.equal(WatermarkDetector.clean('ab\u1438cd\u1433 \uA778', { fixHomoglyphs: true }), 'ab\u1438cd\u1433 \uA778');
+});
+
+test('look-alikes become the character they imitate, in its case', () => {
+    const expected = {
+        '\u0406': 'I', '\u0399': 'I', '\u0430': 'a', '\u0410': 'A', '\u0440': 'p', '\u0420': 'P',
+        '\u{1D408}': 'I', '\u{1D426}': 'm', '\u{1D41E}': 'e', '\uFF29': 'I', '\uA4F2': 'I',
+        '\u{1F118}': '(I)', '\u{1D7CF}': '1', '\uFF15': '5',
+    };
+    for (const [ch, replacement] of Object.entries(expected)) {
+        assert.equal(HOMOGLYPHS[ch], replacement, `U+${ch.codePointAt(0).toString(16).toUpperCase()}`);
+    }
+    const clean = text => WatermarkDetector.clean(text, { fixHomoglyphs: true });
+    assert.equal(clean('\u0406nternet'), 'Internet');
+    assert.equal(clean('\u{1D407}\u{1D41E}\u{1D425}\u{1D425}\u{1D428} \u{1D408}\u{1D401}\u{1D40C}'), 'Hello IBM');
+});
+
+test('real letters and digits with a different value are kept', () => {
+    // Multi-letter skeletons (Ю → 'lO', Ы → 'bl', Æ → 'AE') are letters of their own
+    for (const ch of ['\u042E', '\u042B', '\u00C6', '\u0153']) assert.equal(HOMOGLYPHS[ch], undefined, ch);
+    // Bengali four looks like 8, Oriya two like 9
+    for (const ch of ['\u09EA', '\u09ED', '\u0A67', '\u0A6A', '\u0B68', '\u0D6D']) {
+        assert.equal(HOMOGLYPHS[ch], undefined, ch);
+    }
+    const clean = text => WatermarkDetector.clean(text, { fixHomoglyphs: true });
+    assert.equal(clean('Total: \u09EA items, room \u0B68'), 'Total: \u09EA items, room \u0B68');
+    assert.equal(clean('\u042E\u0433'), '\u042E\u0433');
+});
+
+test('supplementary-plane look-alikes are replaced whole', () => {
+    const text = 'the \u{1D41A}pple'; // mathematical bold a
+    const result = WatermarkDetector.detectHomoglyphs(text);
+    assert.equal(result.total, 1);
+    assert.deepEqual(result.chars.get('\u{1D41A}').positions, [4]);
+    assert.equal(WatermarkDetector.clean(text, { fixHomoglyphs: true, normalize: false }), 'the apple');
+});
+
+test('genuine Cyrillic and Greek text is left alone', () => {
+    const text = 'Привет, как дела? Καλημέρα κόσμε.';
+    assert.equal(WatermarkDetector.detectHomoglyphs(text).total, 0);
+    assert.equal(WatermarkDetector.clean(text, { fixHomoglyphs: true }), text);
+});
+
+test('a substitution inside an English word is fixed', () => {
+    const text = 'Visit gооgle.com for pаypаl'; // Cyrillic о and а
+    const result = WatermarkDetector.detectHomoglyphs(text);
+    assert.equal(result.total, 4);
+    assert.deepEqual(result.chars.get('о').occurrences.map(o => o.column), [8, 9]);
+    assert.equal(WatermarkDetector.clean(text, { fixHomoglyphs: true }), 'Visit google.com for paypal');
+});
+
+test('words mixing two real scripts are reported, not rewritten', () => {
+    const text = 'The word Mоскваbad is odd'; // Latin M, Cyrillic "осква", Latin "bad"
+    const result = WatermarkDetector.detectHomoglyphs(text);
+    assert.equal(result.mixedScript.length, 1);
+    assert.equal(result.mixedScript[0].word, 'Mоскваbad');
+    assert.deepEqual(result.mixedScript[0].scripts.sort(), ['Cyrillic', 'Latin']);
+});
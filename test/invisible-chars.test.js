@@ -0,0 +1,74 @@
+/**
+ * TracesCleaner — invisible character registry
+ * Every INVISIBLE_CHARS entry must be handled the same way by detect(),
+ * the streaming detector, revealHTML(), scan() and clean().
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const WatermarkDetector = require('../index.cjs');
+
+const { INVISIBLE_CHARS, HOMOGLYPHS } = WatermarkDetector;
+const entries = Object.entries(INVISIBLE_CHARS);
+
+// What clean() leaves in place of a stripped character
+function expectedReplacement(ch, info) {
+    if (info.category === 'formatting') return ch;
+    if (info.category === 'space') return ' ';
+    return HOMOGLYPHS[ch] || '';
+}
+
+test('the registry covers every category', () => {
+    const categories = new Set(entries.map(([, info]) => info.category));
+    WatermarkDetector.getCategories().forEach((category) => {
+        if (category.id !== 'control') assert.ok(categories.has(category.id), category.id);
+    });
+    entries.forEach(([ch, info]) => {
+        assert.equal(info.code, `U+${ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+        assert.deepEqual(WatermarkDetector.getCharInfo(ch), info);
+    });
+});
+
+for (const [ch, info] of entries) {
+    test(`${info.code} ${info.name}`, () => {
+        const text = `ab${ch}cd`;
+        const isFormatting = info.category === 'formatting';
+
+        const detection = WatermarkDetector.detect(text, { includeFormatting: true });
+        assert.equal(detection.total, 1);
+        assert.deepEqual(detection.chars.get(ch).positions, [2]);
+        assert.equal(WatermarkDetector.detect(text).total, isFormatting ? 0 : 1);
+
+        // One UTF-16 code unit per chunk splits supplementary characters
+        const detector = WatermarkDetector.createDetector({ includeFormatting: true });
+        for (let i = 0; i < text.length; i++) detector.write(text[i]);
+        assert.deepEqual(detector.end().chars.get(ch).positions, [2]);
+
+        const html = WatermarkDetector.revealHTML(text);
+        assert.match(html, /data-pos="2"/);
+        assert.ok(html.includes(`[${info.code}]`), html);
+        assert.equal(WatermarkDetector.scan(text).invisible, isFormatting ? 0 : 1);
+
+        const cleaned = WatermarkDetector.clean(text, { normalize: false });
+        assert.equal(cleaned, `ab${expectedReplacement(ch, info)}cd`);
+        assert.equal(WatermarkDetector.clean(text, { categories: [], normalize: false }), text);
+    });
+}
+
+test('C0 and C1 control characters are detected and stripped', () => {
+    for (const cp of [0x01, 0x08, 0x1B, 0x7F, 0x80, 0x9F]) {
+        const ch = String.fromCodePoint(cp);
+        const text = `ab${ch}cd`;
+        assert.equal(WatermarkDetector.getCharInfo(ch).category, 'control');
+        assert.equal(WatermarkDetector.detect(text).total, 1, ch);
+        assert.equal(WatermarkDetector.clean(text), 'abcd');
+    }
+});
+
+test('characters outside the registry are left alone', () => {
+    const text = 'Plain ASCII, café, Ελληνικά, 日本語, 😀 and 1 + 1 = 2.';
+    assert.equal(WatermarkDetector.detect(text).total, 0);
+    assert.equal(WatermarkDetector.getCharInfo('a'), null);
+    assert.doesNotMatch(WatermarkDetector.revealHTML(text), /data-pos/);
+    assert.equal(WatermarkDetector.clean(text), text);
+});
@@ -0,0 +1,36 @@
+/**
+ * TracesCleaner — Markdown rendering
+ * Emphasis must never reach into link and image URLs or split snake_case
+ * words, while still formatting ordinary text and link labels; indented list
+ * items nest.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Markdown = require('../js/markdown.js');
+
+test('underscores and asterisks in URLs are left alone', () => {
+    assert.equal(Markdown.toHTML('[docs](https://x.io/my_api_ref) and [b](https://x.io/a*b*c)'),
+        '<p><a href="https://x.io/my_api_ref">docs</a> and <a href="https://x.io/a*b*c">b</a></p>');
+    assert.equal(Markdown.toHTML('![a](https://x.io/a*b*c.png) ![b_c](https://x.io/a_b_c.png)'),
+        '<p><img src="https://x.io/a*b*c.png" alt="a"> <img src="https://x.io/a_b_c.png" alt="b_c"></p>');
+    // The label is still formatted
+    assert.equal(Markdown.toHTML('[**API** _ref_](https://x.io/my_api_ref)'),
+        '<p><a href="https://x.io/my_api_ref"><strong>API</strong> <em>ref</em></a></p>');
+});
+
+test('underscores inside words are not emphasis', () => {
+    assert.equal(Markdown.toHTML('call snake_case_name or __init__'), '<p>call snake_case_name or <strong>init</strong></p>');
+    assert.equal(Markdown.toHTML('MAX_RETRY_COUNT is 3'), '<p>MAX_RETRY_COUNT is 3</p>');
+    assert.equal(Markdown.toHTML('an _italic_ word, (_this_ too)'), '<p>an <em>italic</em> word, (<em>this</em> too)</p>');
+    assert.equal(Markdown.toHTML('in*tra*word'), '<p>in<em>tra</em>word</p>');
+});
+
+test('indented list items make nested lists', () => {
+    assert.equal(Markdown.toHTML('- fruit\n  - apple\n  - pear\n- vegetables'),
+        '<ul><li>fruit<ul><li>apple</li><li>pear</li></ul></li><li>vegetables</li></ul>');
+    assert.equal(Markdown.toHTML('1. Install\n   - npm\n     1. run `npm i`\n2. Test'),
+        '<ol><li>Install<ul><li>npm<ol><li>run <code>npm i</code></li></ol></li></ul></li><li>Test</li></ol>');
+    // A different list type at the same level starts a new list
+    assert.equal(Markdown.toHTML('- a\n1. b'), '<ul><li>a</li></ul>\n<ol><li>b</li></ol>');
+});
@@ -0,0 +1,72 @@
+/**
+ * TracesCleaner — normalization forms and compatibility characters
+ * clean() applies each form, folds only the compatibility characters it is
+ * told to, and detectCompatibility() lists exactly what NFKC would change.
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const WatermarkDetector = require('../index.cjs');
+
+afterEach(() => WatermarkDetector.resetRules());
+
+// ﬁ ligature, superscript ², fullwidth Ａ, circled ①, bold 𝐛, ½, subscript ₂,
+// then a decomposed é that only NFC composes
+const TEXT = 'theﬁnal x² Ａ ① \u{1D41B} ½ H₂O e\u0301';
+
+test('every normalization form', () => {
+    for (const form of ['NFC', 'NFD', 'NFKC', 'NFKD']) {
+        assert.equal(WatermarkDetector.clean(TEXT, { normalize: form }), TEXT.normalize(form), form);
+    }
+    assert.equal(WatermarkDetector.clean(TEXT, { normalize: true }), TEXT.normalize('NFC'));
+    assert.equal(WatermarkDetector.clean(TEXT, { normalize: false }), TEXT);
+    assert.throws(() => WatermarkDetector.clean(TEXT, { normalize: 'nfc' }), /Unknown normalization form/);
+});
+
+test('fold changes only the chosen characters and kinds', () => {
+    assert.equal(WatermarkDetector.clean(TEXT, { fold: ['ligature', 'subscript'] }),
+        'thefinal x² Ａ ① \u{1D41B} ½ H2O é');
+    assert.equal(WatermarkDetector.clean(TEXT, { normalize: false, fold: ['U+00B2', '½'] }),
+        'theﬁnal x2 Ａ ① \u{1D41B} 1⁄2 H₂O e\u0301');
+    assert.equal(WatermarkDetector.clean(TEXT, { normalize: 'NFD', fold: ['width'] }),
+        'theﬁnal x² A ① \u{1D41B} ½ H₂O e\u0301');
+
+    // Every kind at once is NFKC
+    const kinds = WatermarkDetector.getCompatibilityKinds().map(kind => kind.id);
+    assert.equal(WatermarkDetector.clean(TEXT, { fold: kinds }), TEXT.normalize('NFKC'));
+
+    // Folds are reported as normalization edits
+    const report = WatermarkDetector.cleanWithReport(TEXT, { fold: ['enclosed'] });
+    assert.deepEqual(report.edits.filter(edit => edit.original === '①').map(edit => [edit.type, edit.replacement]),
+        [['normalize', '1']]);
+
+    assert.throws(() => WatermarkDetector.clean(TEXT, { fold: ['ligatures'] }), /Unknown compatibility kind/);
+    assert.throws(() => WatermarkDetector.clean(TEXT, { fold: ['U+FB01,U+00B2'] }), /one character/);
+});
+
+test('detectCompatibility() lists what NFKC would change', () => {
+    const result = WatermarkDetector.detectCompatibility(TEXT + ' ﬁ');
+    assert.equal(result.total, 8);
+    assert.deepEqual([...result.chars.values()].map(entry => [entry.original, entry.replacement, entry.kind, entry.positions]), [
+        ['ﬁ', 'fi', 'ligature', [3, 27]],
+        ['²', '2', 'superscript', [9]],
+        ['Ａ', 'A', 'width', [11]],
+        ['①', '1', 'enclosed', [13]],
+        ['\u{1D41B}', 'b', 'styled', [15]],
+        ['½', '1⁄2', 'fraction', [18]],
+        ['₂', '2', 'subscript', [21]],
+    ]);
+    const fi = result.chars.get('ﬁ');
+    assert.equal(fi.code, 'U+FB01');
+    assert.deepEqual(fi.occurrences.map(o => [o.line, o.column]), [[1, 4], [1, 28]]);
+
+    // Plain and canonically decomposed text has none
+    assert.deepEqual(WatermarkDetector.detectCompatibility('plain e\u0301 text'), { total: 0, chars: new Map() });
+});
+
+test('allowed characters are not normalized or reported', () => {
+    const text = 'a\u00A0b ﬁ';
+    WatermarkDetector.allowChar('U+00A0');
+    assert.equal(WatermarkDetector.clean(text, { normalize: 'NFKC' }), 'a\u00A0b fi');
+    assert.deepEqual([...WatermarkDetector.detectCompatibility(text).chars.keys()], ['ﬁ']);
+});
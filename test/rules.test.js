@@ -0,0 +1,145 @@
+/**
+ * TracesCleaner — custom rules
+ * Registered characters, allowed characters and homoglyphs must reach every
+ * detector and clean(), survive a getRules()/setRules() round trip, and leave
+ * no trace after resetRules().
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const WatermarkDetector = require('../index.cjs');
+
+// Rules are module state: never let one test's rules leak into the next
+afterEach(() => WatermarkDetector.resetRules());
+
+const CLEAN_ALL = { fixHomoglyphs: true };
+
+test('a registered character is detected, revealed and cleaned', () => {
+    const text = 'our\uE000doc\uE000';
+    assert.equal(WatermarkDetector.detect(text).total, 0);
+
+    const entry = WatermarkDetector.registerChar('U+E000', { name: 'Org Marker' });
+    assert.deepEqual(entry, { name: 'Org Marker', code: 'U+E000', category: 'custom' });
+    assert.deepEqual(WatermarkDetector.getCharInfo('\uE000'), entry);
+    assert.equal(WatermarkDetector.detect(text).total, 2);
+    const detector = WatermarkDetector.createDetector();
+    detector.write(text);
+    assert.equal(detector.end().total, 2);
+    assert.match(WatermarkDetector.revealHTML(text), /U\+E000/);
+    assert.equal(WatermarkDetector.clean(text), 'ourdoc');
+    assert.equal(WatermarkDetector.clean(text, { categories: ['zero-width'] }), text);
+    assert.ok(WatermarkDetector.getCategories().some(c => c.id === 'custom' && c.count === 1));
+
+    assert.equal(WatermarkDetector.registerChar('U+E003', { category: 'org-2' }).category, 'org-2');
+
+    // Given as the character itself, with the default name
+    assert.equal(WatermarkDetector.registerChar('\uE001').name, 'Custom Character (U+E001)');
+});
+
+test('characters that are special in a regex class are escaped', () => {
+    for (const ch of ['-', ']', '^', '\\']) {
+        WatermarkDetector.registerChar(ch);
+        assert.equal(WatermarkDetector.clean(`a${ch}b`), 'ab', ch);
+        assert.equal(WatermarkDetector.clean('a,b'), 'a,b', ch);
+    }
+    WatermarkDetector.registerHomoglyph('-', '~');
+    assert.equal(WatermarkDetector.detectHomoglyphs('a-b').total, 1);
+});
+
+test('a registered space becomes a normal space', () => {
+    WatermarkDetector.registerChar('U+E002', { name: 'Org Space', category: 'space' });
+    assert.equal(WatermarkDetector.clean('two\uE002words'), 'two words');
+});
+
+test('allowed characters are never reported or changed', () => {
+    const text = 'Section\u00A012 \u2011 non\u2011breaking\u200B';
+    WatermarkDetector.allowChar('U+00A0');
+    WatermarkDetector.allowChar('\u2011');
+    assert.equal(WatermarkDetector.getCharInfo('\u00A0'), null);
+    assert.equal(WatermarkDetector.detect(text).total, 1);
+    assert.ok(!WatermarkDetector.detectWhitespaceAnomalies(text).issues.some(i => i.type === 'special-space'));
+    assert.equal(WatermarkDetector.detectHomoglyphs(text).total, 0);
+    assert.doesNotMatch(WatermarkDetector.revealHTML(text), /U\+00A0|U\+2011/);
+    assert.equal(WatermarkDetector.clean(text, CLEAN_ALL), 'Section\u00A012 \u2011 non\u2011breaking');
+
+    // Also characters matched by a range rather than the registry
+    WatermarkDetector.allowChar('U+0007');
+    assert.equal(WatermarkDetector.clean('bell\u0007'), 'bell\u0007');
+
+    // And homoglyphs
+    WatermarkDetector.allowChar('\u0430');
+    assert.equal(WatermarkDetector.clean('p\u0430ypal', CLEAN_ALL), 'p\u0430ypal');
+});
+
+test('a registered homoglyph is detected and fixed', () => {
+    const text = 'and\u2215or 1\u22152';
+    assert.equal(WatermarkDetector.detectHomoglyphs(text).total, 0);
+    WatermarkDetector.registerHomoglyph('U+2215', '/');
+    assert.equal(WatermarkDetector.detectHomoglyphs(text).total, 2);
+    assert.equal(WatermarkDetector.clean(text, CLEAN_ALL), 'and/or 1/2');
+    assert.equal(WatermarkDetector.clean(text), text);
+
+    // Changing a built-in mapping, undone by resetRules()
+    WatermarkDetector.registerHomoglyph('\u0430', 'A');
+    assert.equal(WatermarkDetector.clean('p\u0430ypal', CLEAN_ALL), 'pAypal');
+    WatermarkDetector.resetRules();
+    assert.equal(WatermarkDetector.clean('p\u0430ypal', CLEAN_ALL), 'paypal');
+    assert.equal(WatermarkDetector.HOMOGLYPHS['\u2215'], undefined);
+});
+
+test('resetRules() restores the built-in registries', () => {
+    const builtin = WatermarkDetector.getCharInfo('\u200B');
+    const categories = WatermarkDetector.getCategories();
+    WatermarkDetector.registerChar('U+200B', { name: 'Renamed', category: 'custom' });
+    WatermarkDetector.allowChar('U+00A0');
+    assert.equal(WatermarkDetector.getCharInfo('\u200B').name, 'Renamed');
+
+    WatermarkDetector.resetRules();
+    assert.deepEqual(WatermarkDetector.getCharInfo('\u200B'), builtin);
+    assert.deepEqual(WatermarkDetector.getCategories(), categories);
+    assert.equal(WatermarkDetector.clean('a\u00A0b'), 'a b');
+    assert.deepEqual(WatermarkDetector.getRules(), { version: 1, chars: [], allowed: [], homoglyphs: [] });
+});
+
+test('rules round-trip through JSON', () => {
+    WatermarkDetector.registerChar('U+E000', { name: 'Org Marker' });
+    WatermarkDetector.allowChar('U+00A0');
+    WatermarkDetector.registerHomoglyph('U+2215', '/');
+    const rules = JSON.parse(JSON.stringify(WatermarkDetector.getRules()));
+    assert.deepEqual(rules, {
+        version: 1,
+        chars: [{ code: 'U+E000', name: 'Org Marker', category: 'custom' }],
+        allowed: ['U+00A0'],
+        homoglyphs: [{ code: 'U+2215', replacement: '/' }],
+    });
+
+    WatermarkDetector.resetRules();
+    WatermarkDetector.setRules(rules);
+    assert.deepEqual(WatermarkDetector.getRules(), rules);
+    assert.equal(WatermarkDetector.clean('a\uE000\u00A0b\u2215c', CLEAN_ALL), 'a\u00A0b/c');
+});
+
+test('invalid rules are refused and change nothing', () => {
+    assert.throws(() => WatermarkDetector.registerChar('ab'), /one character/);
+    assert.throws(() => WatermarkDetector.registerChar(''), /one character/);
+    assert.throws(() => WatermarkDetector.allowChar('U+110000'), /code point/);
+    assert.throws(() => WatermarkDetector.registerHomoglyph('U+2215', ''), /replacement/);
+    assert.throws(() => WatermarkDetector.registerHomoglyph('\uA4EE', '<img src=x onerror=alert(1)>'), /without <, > or &/);
+    assert.throws(() => WatermarkDetector.registerHomoglyph('\uA4EE', '&'), /without <, > or &/);
+    assert.throws(() => WatermarkDetector.registerHomoglyph('\uA4EE', 'ABCDEFGHI'), /at most 8/);
+
+    WatermarkDetector.allowChar('U+00A0');
+    const rules = WatermarkDetector.getRules();
+    assert.throws(() => WatermarkDetector.setRules({ chars: [{ code: 'U+E000' }], allowed: ['xy'] }), /one character/);
+    assert.throws(() => WatermarkDetector.setRules({ homoglyphs: [{ code: 'U+2215' }] }), /replacement/);
+    assert.throws(() => WatermarkDetector.setRules({ homoglyphs: [{ code: 'U+2215', replacement: '<b>' }] }), /replacement/);
+    assert.throws(() => WatermarkDetector.setRules({ chars: 'U+E000' }), /must be a list/);
+    assert.throws(() => WatermarkDetector.setRules({ version: 2 }), /newer/);
+    assert.throws(() => WatermarkDetector.setRules(null), /object/);
+    assert.throws(() => WatermarkDetector.registerChar('U+E000', { category: 'Org Marks' }), /category id/);
+    assert.throws(() => WatermarkDetector.setRules({
+        chars: [{ code: 'U+E000', category: '"><img src=x onerror=alert(1)>' }],
+    }), /category id/);
+    assert.deepEqual(WatermarkDetector.getRules(), rules);
+    assert.equal(WatermarkDetector.getCharInfo('\uE000'), null);
+});
@@ -0,0 +1,133 @@
+/**
+ * TracesCleaner — green-list watermark estimator
+ * Text from a toy generator that prefers green tokens must score high with
+ * its key and near zero without it; unwatermarked text must score near zero.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const StatisticalDetector = require('../js/statistical-detector.js');
+
+// Small seeded PRNG (mulberry32), so a failing input can be reproduced
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const VOCABULARY = ('the of and to in is was that for on are with as his they at be this from have or by one had ' +
+    'not but what all were when we there can an your which their said if do will each about how up out them then ' +
+    'she many some so these would other into has more her two like him see time could no make than first been its ' +
+    'who now people my made over did down only way find use may water long little very after words called just ' +
+    'where most know get through back much go good new write our used me man too any day same right look think ' +
+    'also around another came come work three word must because does part even place well such here take why ' +
+    'things help put years different away again off went old number great tell men say small every found still ' +
+    'between name should home big give air line set own under read last never us left end along while might next ' +
+    'sound below saw something thought both few those always looked show large often together asked house world ' +
+    'going want school important until form food keep children feet land side without boy once animals life enough').split(' ');
+
+/**
+ * Words from VOCABULARY; a watermarking generator redraws a red word up to
+ * `tries` times, like a logit bias that makes green words far likelier.
+ */
+function generate(next, length, options = {}) {
+    const words = [VOCABULARY[Math.floor(next() * VOCABULARY.length)]];
+    while (words.length < length) {
+        let word;
+        for (let i = 0; i < (options.tries || 1); i++) {
+            word = VOCABULARY[Math.floor(next() * VOCABULARY.length)];
+            if (StatisticalDetector.isGreen(words[words.length - 1], word, options)) break;
+        }
+        words.push(word);
+    }
+    return words.join(' ');
+}
+
+test('watermarked text scores high with its key', () => {
+    const next = random(1);
+    for (let i = 0; i < 20; i++) {
+        const text = generate(next, 200, { tries: 4 });
+        const { overall } = StatisticalDetector.analyze(text);
+        assert.ok(overall.watermarked, `z = ${overall.z}`);
+        assert.ok(overall.p < 1e-4);
+    }
+});
+
+test('unwatermarked text scores near zero', () => {
+    const next = random(2);
+    const scores = [];
+    for (let i = 0; i < 40; i++) {
+        const { overall } = StatisticalDetector.analyze(generate(next, 300));
+        assert.ok(Math.abs(overall.z) < 4, `z = ${overall.z}`);
+        assert.ok(!overall.watermarked);
+        scores.push(overall.z);
+    }
+    const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
+    assert.ok(Math.abs(mean) < 0.75, `mean z = ${mean}`);
+});
+
+test('the watermark only shows up with the same key and γ', () => {
+    const text = generate(random(3), 300, { tries: 4, key: 'secret', gamma: 0.5 });
+    assert.ok(StatisticalDetector.analyze(text, { key: 'secret', gamma: 0.5 }).overall.watermarked);
+    assert.ok(!StatisticalDetector.analyze(text, { key: 'other', gamma: 0.5 }).overall.watermarked);
+    assert.ok(!StatisticalDetector.analyze(text).overall.watermarked);
+});
+
+test('paragraphs are scored separately', () => {
+    const next = random(4);
+    const text = [generate(next, 150), generate(next, 150, { tries: 4 }), 'Too short.'].join('\n\n');
+    const { paragraphs } = StatisticalDetector.analyze(text);
+    assert.deepEqual(paragraphs.map(p => p.watermarked), [false, true, false]);
+    assert.deepEqual(paragraphs.map(p => p.reliable), [true, true, false]);
+    for (const p of paragraphs) assert.ok(text.slice(p.start, p.end).trim());
+    assert.equal(text.slice(paragraphs[2].start, paragraphs[2].end), 'Too short.');
+});
+
+test('repeated pairs are scored once unless asked otherwise', () => {
+    const text = 'the same words again and again, '.repeat(20);
+    const deduplicated = StatisticalDetector.analyze(text).overall;
+    const all = StatisticalDetector.analyze(text, { ignoreRepeated: false }).overall;
+    assert.equal(all.tokens, StatisticalDetector.tokenize(text).length - 1);
+    assert.ok(deduplicated.tokens < 10);
+});
+
+test('word and byte tokens', () => {
+    assert.deepEqual(StatisticalDetector.tokenize("It's 42, isn't it?").map(t => [t.start, t.end]),
+        [[0, 4], [5, 7], [7, 8], [9, 14], [15, 17], [17, 18]]);
+    assert.deepEqual(StatisticalDetector.tokenize('aé\u{1F600}', 'byte').map(t => [t.id, t.start]),
+        [[0x61, 0], [0xC3, 1], [0xA9, 1], [0xF0, 2], [0x9F, 2], [0x98, 2], [0x80, 2]]);
+
+    // Lowercase letters, each redrawn while it is red after the previous byte
+    const next = random(5);
+    const options = { tokenizer: 'byte', key: 7 };
+    let text = 'a';
+    while (text.length < 300) {
+        let byte;
+        for (let i = 0; i < 4; i++) {
+            byte = 0x61 + Math.floor(next() * 26);
+            if (StatisticalDetector.isGreen(text.charCodeAt(text.length - 1), byte, options)) break;
+        }
+        text += String.fromCharCode(byte);
+    }
+    assert.ok(StatisticalDetector.analyze(text, { ...options, ignoreRepeated: false }).overall.watermarked);
+    assert.ok(!StatisticalDetector.analyze(text, { ignoreRepeated: false }).overall.watermarked);
+    assert.throws(() => StatisticalDetector.analyze(text, { tokenizer: 'bpe' }), /Unknown tokenizer/);
+});
+
+test('p-values follow the normal tail', () => {
+    assert.ok(Math.abs(StatisticalDetector.pValue(0) - 0.5) < 1e-6);
+    assert.ok(Math.abs(StatisticalDetector.pValue(1.6449) - 0.05) < 1e-4);
+    assert.ok(Math.abs(StatisticalDetector.pValue(4) - 3.167e-5) < 1e-7);
+    assert.ok(Math.abs(StatisticalDetector.pValue(-2) - 0.97725) < 1e-4);
+    assert.ok(StatisticalDetector.pValue(10) > 0 && StatisticalDetector.pValue(10) < 1e-22);
+});
+
+test('empty text and invalid γ', () => {
+    const result = StatisticalDetector.analyze('');
+    assert.deepEqual(result.overall, { tokens: 0, green: 0, z: 0, p: StatisticalDetector.pValue(0), reliable: false, watermarked: false });
+    assert.deepEqual(result.paragraphs, []);
+    assert.throws(() => StatisticalDetector.analyze('text', { gamma: 1.5 }), /gamma/);
+});
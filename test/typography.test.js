@@ -0,0 +1,74 @@
+/**
+ * TracesCleaner — typography
+ * Curly quotes, em dashes, ellipses and bullets are reported with their
+ * positions (em dashes with a rate per 1,000 words) and each clean() option
+ * turns exactly its own marks into ASCII.
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const WatermarkDetector = require('../index.cjs');
+
+afterEach(() => WatermarkDetector.resetRules());
+
+const TEXT = '“It’s done,” she said — mostly—and then…\n  • first\n◦ second\nA • B';
+
+test('each option changes only its own marks', () => {
+    const only = options => WatermarkDetector.clean(TEXT, options);
+    assert.equal(only({ straightQuotes: true }),
+        '"It\'s done," she said — mostly—and then…\n  • first\n◦ second\nA • B');
+    assert.equal(only({ emDash: 'spaced' }),
+        '“It’s done,” she said - mostly - and then…\n  • first\n◦ second\nA • B');
+    assert.equal(only({ emDash: 'double' }),
+        '“It’s done,” she said -- mostly--and then…\n  • first\n◦ second\nA • B');
+    assert.equal(only({ expandEllipsis: true }),
+        '“It’s done,” she said — mostly—and then...\n  • first\n◦ second\nA • B');
+    // Only bullets that start a line are list markers
+    assert.equal(only({ plainBullets: true }),
+        '“It’s done,” she said — mostly—and then…\n  - first\n- second\nA • B');
+    assert.equal(only({}), TEXT);
+    assert.throws(() => WatermarkDetector.clean(TEXT, { emDash: 'en' }), /Unknown em dash style/);
+});
+
+test('typography edits are reported and allowed characters are kept', () => {
+    const { edits } = WatermarkDetector.cleanWithReport('a — b…', { emDash: 'spaced', expandEllipsis: true });
+    assert.deepEqual(edits.map(e => [e.type, e.originalOffset, e.original, e.replacement]),
+        [['typography', 1, ' — ', ' - '], ['typography', 5, '…', '...']]);
+
+    WatermarkDetector.allowChar('U+2014');
+    WatermarkDetector.allowChar('’');
+    const options = { straightQuotes: true, emDash: 'double' };
+    assert.equal(WatermarkDetector.clean('‘it’s’ —', options), '\'it’s’ —');
+    assert.deepEqual(WatermarkDetector.detectTypography('’ —').issues, []);
+});
+
+test('detectTypography() counts each kind of mark', () => {
+    const result = WatermarkDetector.detectTypography(TEXT);
+    assert.equal(result.total, 8);
+    assert.deepEqual(result.issues.map(i => [i.type, i.count]),
+        [['smart-quote', 3], ['em-dash', 2], ['ellipsis', 1], ['bullet', 2]]);
+    const bullets = result.issues.find(i => i.type === 'bullet');
+    assert.deepEqual(bullets.positions, [TEXT.indexOf('•'), TEXT.indexOf('◦')]);
+    assert.deepEqual(bullets.occurrences.map(o => [o.line, o.column]), [[2, 3], [3, 1]]);
+
+    assert.deepEqual(WatermarkDetector.detectTypography('Plain "ASCII" text - nothing... here'),
+        { total: 0, words: 5, emDashesPer1000Words: 0, issues: [] });
+});
+
+test('em dashes are rated per 1,000 words', () => {
+    const text = 'word '.repeat(396) + 'one—two — three—four';
+    const result = WatermarkDetector.detectTypography(text);
+    assert.equal(result.words, 400);
+    assert.equal(result.emDashesPer1000Words, 7.5);
+    assert.equal(result.issues[0].description, 'Em dashes (7.5 per 1,000 words)');
+    assert.equal(WatermarkDetector.detectTypography('—').emDashesPer1000Words, 0);
+});
+
+test('the email and strict profiles use the typography options', () => {
+    assert.equal(WatermarkDetector.clean('“See” — later…', { profile: 'email' }),
+        '"See" — later...');
+    assert.equal(WatermarkDetector.clean('“See” — later…\n• item', { profile: 'strict' }),
+        '"See" - later...\n- item');
+    assert.equal(WatermarkDetector.clean('“See” — later', { profile: 'code' }), '“See” — later');
+    assert.equal(WatermarkDetector.clean('a—b', { profile: 'strict', emDash: 'double' }), 'a--b');
+});
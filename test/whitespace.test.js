@@ -0,0 +1,72 @@
+/**
+ * TracesCleaner — whitespace anomaly rules and the whitespace clean-up
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const WatermarkDetector = require('../index.cjs');
+
+function issue(text, type) {
+    return WatermarkDetector.detectWhitespaceAnomalies(text).issues.find(i => i.type === type);
+}
+
+test('trailing spaces and tabs, before LF and CRLF', () => {
+    const text = 'one  \ntwo\t\r\nthree\nfour ';
+    const trailing = issue(text, 'trailing-space');
+    assert.equal(trailing.count, 3);
+    assert.deepEqual(trailing.positions, [3, 9, 22]);
+    assert.deepEqual(trailing.occurrences.map(o => o.line), [1, 2, 4]);
+});
+
+test('double spaces between words, but not indentation', () => {
+    const text = '    indented line\nsome  words   here';
+    const double = issue(text, 'double-space');
+    assert.equal(double.count, 2);
+    assert.deepEqual(double.positions, [22, 29]);
+});
+
+test('mixed line endings point at the less common kind', () => {
+    const text = 'a\r\nb\r\nc\nd\r\n';
+    const mixed = issue(text, 'mixed-endings');
+    assert.equal(mixed.count, 1);
+    assert.deepEqual(mixed.positions, [7]);
+    assert.equal(issue('a\r\nb\r\n', 'mixed-endings'), undefined);
+    assert.equal(issue('a\nb\n', 'mixed-endings'), undefined);
+});
+
+test('special spaces are listed one kind at a time', () => {
+    const text = 'a\u00A0b\u2009c\u00A0d\u3000e';
+    const specials = WatermarkDetector.detectWhitespaceAnomalies(text).issues.filter(i => i.type === 'special-space');
+    assert.deepEqual(specials.map(i => [i.description, i.positions]).sort(), [
+        ['Ideographic Space (U+3000)', [7]],
+        ['Non-Breaking Space (U+00A0)', [1, 5]],
+        ['Thin Space (U+2009)', [3]],
+    ]);
+});
+
+test('clean text has no anomalies', () => {
+    const result = WatermarkDetector.detectWhitespaceAnomalies('Two lines\nof plain text.\n');
+    assert.deepEqual(result, { total: 0, issues: [] });
+});
+
+test('whitespace clean-up is opt-in', () => {
+    const text = 'Some  text   \nhere';
+    assert.equal(WatermarkDetector.clean(text), text);
+    assert.equal(WatermarkDetector.clean(text, { trimTrailing: true }), 'Some  text\nhere');
+    assert.equal(WatermarkDetector.clean(text, { collapseSpaces: true }), 'Some text   \nhere');
+    assert.equal(WatermarkDetector.clean(text, { trimTrailing: true, collapseSpaces: true }), 'Some text\nhere');
+});
+
+test('trimming keeps CRLF line endings', () => {
+    assert.equal(WatermarkDetector.clean('a  \r\nb \r\n', { trimTrailing: true }), 'a\r\nb\r\n');
+});
+
+test('code keeps its whitespace', () => {
+    const options = { trimTrailing: true, collapseSpaces: true };
+    const code = 'if (x) {  \n    y  =  1;\n}';
+    assert.equal(WatermarkDetector.clean(code, { ...options, textType: 'code' }), code);
+
+    const mixed = 'Prose  here  \n```\n  keep   this  \n```\nMore  prose';
+    assert.equal(WatermarkDetector.clean(mixed, { ...options, textType: 'mixed' }),
+        'Prose here\n```\n  keep   this  \n```\nMore prose');
+});